@@ -4,15 +4,15 @@
  * Modelo 65 - Nota Fiscal de Consumidor Eletrônica
  * 
  * DIFERENÇAS CRÍTICAS DA NF-e:
- * - Endpoint DIFERENTE: nfce.sefaz.ms.gov.br (não nfe.sefaz.ms.gov.br)
+ * - Endpoint DIFERENTE: webservice NFC-e da UF (SEFAZ própria ou SVRS), não o da NF-e
  * - mod = 65 (não 55)
  * - tpImp = 4 (DANFE NFC-e)
  * - indFinal = 1 (SEMPRE consumidor final)
  * - indPres = 1 (SEMPRE presencial)
  * - dest é OPCIONAL (obrigatório apenas >R$10.000)
  * - NÃO incluir enderDest
- * - NÃO incluir infRespTec
- * - infNFeSupl OBRIGATÓRIO (QR Code) - ANTES da assinatura
+ * - infRespTec apenas nas UFs que exigem (NFCE_UF_RESP_TEC)
+ * - infNFeSupl OBRIGATÓRIO (QR Code) - ANTES da assinatura (offline: depois, usa o DigestValue)
  * 
  * @author ConfirmaPay
  * @version 2.0.0
@@ -29,13 +29,51 @@ const forge = require('node-forge');
 const { SignedXml } = require('xml-crypto');
 const { DOMParser, XMLSerializer } = require('xmldom');
 const logger = require('../utils/logger');
-const { UF_CODIGOS, SEFAZ_URLS } = require('../utils/sefaz-config');
-
-const SEFAZ_TIMEOUT = parseInt(process.env.SEFAZ_TIMEOUT) || 30000;
+const { UF_CODIGOS, getSefazUrls } = require('../utils/sefaz-config');
+const { signEventoXml, signInutXml } = require('../utils/nfe-signer');
+const { parseXml, buscarElemento, obterTexto, serializarElemento } = require('../utils/xml-parser');
+const { gerarDataHora, obterAAMM, ufPorCodigo } = require('../utils/data-hora');
+const { isServicoParalisado } = require('../utils/contingencia');
+const { escapeXml } = require('../utils/xml-helpers');
+const { SEFAZ_TIMEOUT, gerarIdLote, isFalhaComunicacao, montarXmlEvento, gerarEnvelopeEvento } = require('../utils/sefaz-comunicacao');
+const { usaCSOSNRegime, arredondar } = require('../utils/icms');
+const { validarTributosItem, montarPIS, montarCOFINS } = require('../utils/pis-cofins-ipi');
+const {
+    validarReformaTributaria,
+    montarIBSCBS,
+    montarIS,
+    montarTotaisReformaTributaria,
+} = require('../utils/ibs-cbs');
+const { validarRateio, ratearValores, montarValoresItemXml } = require('../utils/rateio');
+const { validarPagamentos, montarPagamento } = require('../utils/pagamento');
 
 // Arquivo para controle de numeração NFC-e
 const NUMERACAO_FILE = path.join(__dirname, '../../data/numeracao_nfce_v2.json');
 
+// Fila de NFC-e emitidas offline (tpEmis=9) aguardando transmissão
+const OFFLINE_FILE = path.join(__dirname, '../../data/nfce_v2_offline.json');
+
+// Intervalo do envio em segundo plano da fila offline
+const OFFLINE_INTERVALO_MS = (parseInt(process.env.NFCE_OFFLINE_INTERVALO_SEG) || 60) * 1000;
+
+// Dias que as NFC-e offline já autorizadas permanecem na fila (consulta do protocolo)
+const OFFLINE_RETENCAO_DIAS = 7;
+
+// Justificativa do cancelamento/inutilização da NFC-e original substituída pela emissão offline
+const JUSTIFICATIVA_ORIGINAL_OFFLINE = 'NFC-e substituida por emissao em contingencia offline apos falha de comunicacao com a SEFAZ';
+
+// UFs que já rejeitam NFC-e sem o grupo infRespTec (responsável técnico). O grupo foi criado pela
+// NT 2018.005 (Portal Nacional da NF-e), com obrigatoriedade definida por cada UF em seu cronograma;
+// atualizar a lista conforme as notas técnicas/portais NFC-e da SEFA-PR e da SEF-SC e demais UFs
+const NFCE_UF_RESP_TEC = ['PR', 'SC'];
+
+// Opt-in (NFCE_OFFLINE_MANTER_CERTIFICADO=true): guarda em memória o certificado da emissão offline
+// para o envio em segundo plano, só enquanto o CNPJ tiver NFC-e offline pendentes. Sem ele, o envio
+// em segundo plano usa o certificado do servidor ou espera POST /offline/transmitir com o certificado
+const MANTER_CERTIFICADO_OFFLINE = process.env.NFCE_OFFLINE_MANTER_CERTIFICADO === 'true';
+const certificadosOffline = {};
+let transmissaoOfflineEmAndamento = false;
+
 // ========================================
 // FUNÇÕES UTILITÁRIAS
 // ========================================
@@ -88,6 +126,35 @@ function obterProximoNumero(cnpj, serie = 1) {
     return proximo;
 }
 
+/**
+ * Carrega a fila de NFC-e emitidas offline
+ */
+function carregarOffline() {
+    try {
+        if (fs.existsSync(OFFLINE_FILE)) {
+            return JSON.parse(fs.readFileSync(OFFLINE_FILE, 'utf8'));
+        }
+    } catch (e) {
+        logger.warn('Erro ao carregar fila offline NFC-e v2:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Salva a fila de NFC-e emitidas offline
+ */
+function salvarOffline(fila) {
+    try {
+        const dir = path.dirname(OFFLINE_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(OFFLINE_FILE, JSON.stringify(fila, null, 2));
+    } catch (e) {
+        logger.error('Erro ao salvar fila offline NFC-e v2:', e.message);
+    }
+}
+
 /**
  * Calcula dígito verificador da chave de acesso (módulo 11)
  */
@@ -126,46 +193,50 @@ function formatarValorUnitario(valor) {
     return Number(valor || 0).toFixed(4);
 }
 
-/**
- * Escapa caracteres especiais para XML
- */
-function escapeXml(str) {
-    if (!str) return '';
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-}
-
 // ========================================
 // QR CODE - Versão 2.00
 // ========================================
 
+/**
+ * URL do webservice NFC-e da UF (SEFAZ própria ou SVRS)
+ * Retorna null se o serviço não é oferecido para a UF
+ */
+function obterUrlNfce(uf, servico, ambiente) {
+    try {
+        const urls = getSefazUrls(uf, servico);
+        return ambiente === 1 ? urls.producao : urls.homologacao;
+    } catch (error) {
+        logger.warn(error.message);
+        return null;
+    }
+}
+
 /**
  * Gera o QR Code para NFC-e conforme Manual versão 7.0
+ * O layout é escolhido pelo tpEmis:
  * 
  * Formato ONLINE (tpEmis=1):
  * URL?p=chNFe|nVersao|tpAmb|cIdToken|cHashQRCode
  * 
- * @param {string} chaveAcesso - Chave de acesso 44 dígitos
- * @param {string} tpAmb - Tipo ambiente (1=prod, 2=hom)
- * @param {string} cscId - ID do CSC (será formatado com 6 dígitos)
- * @param {string} csc - Token CSC secreto
- * @param {string} uf - UF do emitente
+ * Formato OFFLINE (tpEmis=9):
+ * URL?p=chNFe|nVersao|tpAmb|diaEmi|vNF|digVal|cIdToken|cHashQRCode
+ * (digVal = DigestValue da assinatura em hexadecimal - só existe depois de assinar)
+ * 
+ * @param {object} params
+ * @param {string} params.chaveAcesso - Chave de acesso 44 dígitos
+ * @param {string} params.tpAmb - Tipo ambiente (1=prod, 2=hom)
+ * @param {string} params.tpEmis - Tipo de emissão (1=online, 9=offline)
+ * @param {string} params.cscId - ID do CSC (será formatado com 6 dígitos)
+ * @param {string} params.csc - Token CSC secreto
+ * @param {string} params.uf - UF do emitente
+ * @param {string} params.dhEmi - Data/hora de emissão (offline)
+ * @param {string} params.vNF - Valor total da nota (offline)
+ * @param {string} params.digVal - DigestValue (Base64) da assinatura (offline)
  */
-function gerarQRCode(chaveAcesso, tpAmb, cscId, csc, uf) {
-    const ufUpper = (uf || 'MS').toUpperCase();
-    const urls = SEFAZ_URLS[ufUpper];
-
-    // URL base do QR Code
-    const urlBase = urls?.NfceQRCode?.[tpAmb === '1' ? 'producao' : 'homologacao']
-        || 'https://hom.nfce.sefaz.ms.gov.br/nfce/qrcode';
-
-    // URL de consulta pública (HTTPS é obrigatório!)
-    const urlChave = urls?.NfceConsultaPublica?.[tpAmb === '1' ? 'producao' : 'homologacao']
-        || 'https://www.dfe.ms.gov.br/nfce/consulta';
+function gerarQRCode({ chaveAcesso, tpAmb, tpEmis = '1', cscId, csc, uf, dhEmi, vNF, digVal }) {
+    // URL base do QR Code e de consulta pública (urlChave) publicadas por cada UF
+    const urlBase = getSefazUrls(uf, 'NfceQRCode')[tpAmb === '1' ? 'producao' : 'homologacao'];
+    const urlChave = getSefazUrls(uf, 'NfceConsultaPublica')[tpAmb === '1' ? 'producao' : 'homologacao'];
 
     // cIdToken deve ser um INTEIRO (sem zeros à esquerda) conforme sped-nfe
     // O sped-nfe faz: $cscId = (int)$idToken;
@@ -174,18 +245,68 @@ function gerarQRCode(chaveAcesso, tpAmb, cscId, csc, uf) {
     // Versão do QR Code = 2
     const nVersao = '2';
 
-    // Montar string para hash: chNFe|nVersao|tpAmb|cIdToken + CSC (sem separador antes do CSC!)
-    const dadosParaHash = `${chaveAcesso}|${nVersao}|${tpAmb}|${cIdToken}${csc}`;
+    let campos;
+    if (String(tpEmis) === '9') {
+        if (!dhEmi || vNF === undefined || !digVal) {
+            throw new Error('QR Code offline exige dhEmi, vNF e digVal (gerar após a assinatura)');
+        }
+
+        campos = {
+            chNFe: chaveAcesso,
+            nVersao,
+            tpAmb,
+            diaEmi: dhEmi.substring(8, 10),
+            vNF: Number(vNF).toFixed(2),
+            // Hexadecimal dos caracteres do DigestValue (Base64), como no sped-nfe
+            digVal: Buffer.from(digVal, 'utf8').toString('hex'),
+            cIdToken,
+        };
+    } else {
+        campos = { chNFe: chaveAcesso, nVersao, tpAmb, cIdToken };
+    }
+
+    // String para hash: campos separados por "|" + CSC (sem separador antes do CSC!)
+    const parametros = Object.values(campos).join('|');
 
     // Hash SHA1 em hexadecimal maiúsculo
-    const cHashQRCode = crypto.createHash('sha1').update(dadosParaHash).digest('hex').toUpperCase();
+    const cHashQRCode = crypto.createHash('sha1').update(`${parametros}${csc}`).digest('hex').toUpperCase();
 
     // URL final do QR Code
-    const qrCodeUrl = `${urlBase}?p=${chaveAcesso}|${nVersao}|${tpAmb}|${cIdToken}|${cHashQRCode}`;
+    const qrCodeUrl = `${urlBase}?p=${parametros}|${cHashQRCode}`;
 
     logger.debug(`QR Code gerado: ${qrCodeUrl.substring(0, 80)}...`);
 
-    return { qrCodeUrl, urlChave, cHashQRCode };
+    return {
+        qrCodeUrl,
+        urlChave,
+        cHashQRCode,
+        dadosQRCode: {
+            layout: String(tpEmis) === '9' ? 'offline' : 'online',
+            parametros,
+            campos,
+            cHashQRCode,
+        },
+    };
+}
+
+/**
+ * Inclui o infNFeSupl na NFC-e offline já assinada
+ * O QR Code offline depende do DigestValue; o infNFeSupl fica fora da infNFe assinada,
+ * então pode ser inserido depois da assinatura (entre </infNFe> e <Signature>)
+ */
+function incluirQRCodeOffline(xmlAssinado, { chaveAcesso, tpAmb, cscId, csc, uf, dhEmi, vNF }) {
+    const digestMatch = xmlAssinado.match(/<DigestValue>([^<]+)<\/DigestValue>/);
+    if (!digestMatch) {
+        throw new Error('DigestValue não encontrado no XML assinado');
+    }
+
+    const qrCode = gerarQRCode({ chaveAcesso, tpAmb, tpEmis: '9', cscId, csc, uf, dhEmi, vNF, digVal: digestMatch[1] });
+    const infNFeSupl = `<infNFeSupl><qrCode><![CDATA[${qrCode.qrCodeUrl}]]></qrCode><urlChave>${qrCode.urlChave}</urlChave></infNFeSupl>`;
+
+    return {
+        ...qrCode,
+        xml: xmlAssinado.replace('</infNFe>', `</infNFe>${infNFeSupl}`),
+    };
 }
 
 // ========================================
@@ -355,6 +476,43 @@ function assinarXMLManual(xml, certificadoBase64, certificadoSenha) {
 // MONTAGEM DO XML NFC-e
 // ========================================
 
+/**
+ * Valor dos produtos, rateio de desconto/frete/seguro/outras e vNF da NFC-e
+ * Usado na montagem do XML e na validação dos pagamentos (antes de reservar o número)
+ */
+function calcularTotaisNFCe(dados) {
+    const vProd = arredondar(dados.itens.reduce((soma, item) => soma + parseFloat(item.valor_total || 0), 0));
+
+    // Desconto, frete, seguro e outras despesas rateados entre os itens
+    const rateio = ratearValores(dados, dados.itens);
+    const { vFrete, vSeg, vDesc, vOutro } = rateio.totais;
+    const vNF = arredondar(vProd - vDesc + vFrete + vSeg + vOutro);
+
+    return { vProd, rateio, vFrete, vSeg, vDesc, vOutro, vNF };
+}
+
+/**
+ * Valida o responsável técnico (infRespTec): obrigatório nas UFs de NFCE_UF_RESP_TEC e,
+ * quando informado, com todos os campos do grupo. Retorna a mensagem de erro ou null
+ */
+function validarResponsavelTecnico(respTec, uf) {
+    if (!respTec) {
+        return NFCE_UF_RESP_TEC.includes(uf)
+            ? `responsavel_tecnico (cnpj, contato, email, telefone) é obrigatório para NFC-e em ${uf}`
+            : null;
+    }
+    if (!/^\d{14}$/.test(String(respTec.cnpj || '').replace(/\D/g, ''))) {
+        return 'responsavel_tecnico.cnpj deve ter 14 dígitos';
+    }
+    if (!respTec.contato || !respTec.email) {
+        return 'responsavel_tecnico.contato e responsavel_tecnico.email são obrigatórios';
+    }
+    if (!/^\d{6,14}$/.test(String(respTec.telefone || '').replace(/\D/g, ''))) {
+        return 'responsavel_tecnico.telefone deve ter de 6 a 14 dígitos';
+    }
+    return null;
+}
+
 /**
  * Monta o XML da NFC-e (modelo 65)
  * 
@@ -364,15 +522,15 @@ function assinarXMLManual(xml, certificadoBase64, certificadoSenha) {
  * - indFinal = 1 (sempre consumidor final)
  * - indPres = 1 (sempre presencial)
  * - Sem enderDest
- * - Sem infRespTec
+ * - infRespTec só com responsavel_tecnico informado (obrigatório nas UFs que exigem)
  * - infNFeSupl com QR Code (incluído ANTES de assinar!)
+ *   Offline (tpEmis=9) sai sem infNFeSupl: ver incluirQRCodeOffline
  */
 function montarXMLNFCe(dados) {
     const {
         emitente,
         destinatario,
         itens,
-        pagamento,
         ambiente,
         serie,
         numero,
@@ -380,28 +538,24 @@ function montarXMLNFCe(dados) {
         uf,
         csc_id,
         csc_token,
+        contingencia,
+        responsavel_tecnico,
     } = dados;
 
-    const ufUpper = (uf || 'MS').toUpperCase();
-    const cUF = UF_CODIGOS[ufUpper] || '50';
-
-    // Data/hora no timezone de MS (-04:00)
-    const now = new Date();
-    const ano = now.getFullYear();
-    const mes = String(now.getMonth() + 1).padStart(2, '0');
-    const dia = String(now.getDate()).padStart(2, '0');
-    const hora = String(now.getHours()).padStart(2, '0');
-    const minuto = String(now.getMinutes()).padStart(2, '0');
-    const segundo = String(now.getSeconds()).padStart(2, '0');
+    const ufUpper = uf.toUpperCase();
+    const cUF = UF_CODIGOS[ufUpper];
+    const cMun = emitente.endereco.codigo_municipio;
 
-    const AAMM = `${String(ano).slice(-2)}${mes}`;
-    const dhEmi = `${ano}-${mes}-${dia}T${hora}:${minuto}:${segundo}-04:00`;
+    // Data/hora no fuso da UF do emitente (AAMM da chave no mesmo fuso)
+    const dhEmi = gerarDataHora(ufUpper, cMun);
+    const AAMM = obterAAMM(dhEmi);
 
     const cnpj = emitente.cnpj.replace(/\D/g, '');
     const mod = '65'; // NFC-e!
     const serieStr = String(serie || 1).padStart(3, '0');
     const nNF = String(numero).padStart(9, '0');
-    const tpEmis = '1'; // Normal (online)
+    // 1=Normal (online); 9=contingência offline
+    const tpEmis = contingencia ? '9' : '1';
     const cNF = gerarCodigoNumerico();
     const tpAmb = ambiente === 1 ? '1' : '2';
 
@@ -410,19 +564,18 @@ function montarXMLNFCe(dados) {
     const cDV = calcularDV(chave43);
     const chaveAcesso = chave43 + cDV;
 
-    // Calcular totais
-    let vProd = 0;
-    itens.forEach(item => {
-        vProd += parseFloat(item.valor_total || 0);
-    });
-    const vNF = vProd;
+    const { vProd, rateio, vFrete, vSeg, vDesc, vOutro, vNF } = calcularTotaisNFCe(dados);
 
     // Regime tributário
-    const CRT = emitente.regime_tributario || 1;
-    const usaCSOSN = CRT === 1 || CRT === 2;
+    const CRT = Number(emitente.regime_tributario || 1);
+    const usaCSOSN = usaCSOSNRegime(CRT);
 
     // Montar itens
     let itensXml = '';
+    let vPIS = 0;
+    let vCOFINS = 0;
+    const resultadosIS = [];
+    const resultadosIBSCBS = [];
     itens.forEach((item, index) => {
         const nItem = index + 1;
         const vItem = formatarValor(item.valor_total);
@@ -443,12 +596,29 @@ function montarXMLNFCe(dados) {
             icmsXml = `<ICMS00><orig>${item.origem || '0'}</orig><CST>00</CST><modBC>0</modBC><vBC>0.00</vBC><pICMS>0.00</pICMS><vICMS>0.00</vICMS></ICMS00>`;
         }
 
+        // Valor da operação do item (produto + frete + seguro + outras - desconto)
+        const valoresItem = rateio.itens[index];
+        const valorItem = parseFloat(item.valor_total || 0) +
+            valoresItem.vFrete + valoresItem.vSeg + valoresItem.vOutro - valoresItem.vDesc;
+
+        // PIS/COFINS (PISNT/COFINSNT CST 07 se não informados)
+        const pis = montarPIS(item, valorItem);
+        const cofins = montarCOFINS(item, valorItem);
+        vPIS = arredondar(vPIS + pis.valor);
+        vCOFINS = arredondar(vCOFINS + cofins.valor);
+
+        // Reforma Tributária: IS e IBS/CBS (base sem PIS e COFINS)
+        const is = montarIS(item, valorItem);
+        const ibsCbs = montarIBSCBS(item, valorItem - pis.valor - cofins.valor);
+        resultadosIS.push(is);
+        resultadosIBSCBS.push(ibsCbs);
+
         // IMPORTANTE: vTotTrib é OBRIGATÓRIO dentro de imposto (valor estimado de tributos)
         // NCM deve ter 2 ou 8 dígitos - usando 00 para serviços/genérico se não informado
         const ncmValue = (item.ncm || '00').replace(/\D/g, '');
         const ncmFormatted = ncmValue.length === 8 ? ncmValue : ncmValue.padEnd(8, '0').substring(0, 8);
 
-        itensXml += `<det nItem="${nItem}"><prod><cProd>${cProd}</cProd><cEAN>SEM GTIN</cEAN><xProd>${xProd}</xProd><NCM>${ncmFormatted}</NCM><CFOP>${item.cfop || '5102'}</CFOP><uCom>${escapeXml((item.unidade || 'UN').toUpperCase())}</uCom><qCom>${qCom}</qCom><vUnCom>${vUnit}</vUnCom><vProd>${vItem}</vProd><cEANTrib>SEM GTIN</cEANTrib><uTrib>${escapeXml((item.unidade || 'UN').toUpperCase())}</uTrib><qTrib>${qCom}</qTrib><vUnTrib>${vUnit}</vUnTrib><indTot>1</indTot></prod><imposto><vTotTrib>0.00</vTotTrib><ICMS>${icmsXml}</ICMS><PIS><PISNT><CST>07</CST></PISNT></PIS><COFINS><COFINSNT><CST>07</CST></COFINSNT></COFINS></imposto></det>`;
+        itensXml += `<det nItem="${nItem}"><prod><cProd>${cProd}</cProd><cEAN>SEM GTIN</cEAN><xProd>${xProd}</xProd><NCM>${ncmFormatted}</NCM><CFOP>${item.cfop || '5102'}</CFOP><uCom>${escapeXml((item.unidade || 'UN').toUpperCase())}</uCom><qCom>${qCom}</qCom><vUnCom>${vUnit}</vUnCom><vProd>${vItem}</vProd><cEANTrib>SEM GTIN</cEANTrib><uTrib>${escapeXml((item.unidade || 'UN').toUpperCase())}</uTrib><qTrib>${qCom}</qTrib><vUnTrib>${vUnit}</vUnTrib>${montarValoresItemXml(valoresItem)}<indTot>1</indTot></prod><imposto><vTotTrib>0.00</vTotTrib><ICMS>${icmsXml}</ICMS>${pis.xml}${cofins.xml}${is.xml}${ibsCbs.xml}</imposto></det>`;
     });
 
     // Destinatário - OPCIONAL na NFC-e
@@ -466,33 +636,48 @@ function montarXMLNFCe(dados) {
     }
 
     // Pagamento - vTroco é OBRIGATÓRIO na NFC-e!
-    const vPag = formatarValor(pagamento?.valor || vNF);
-    const tPag = String(pagamento?.forma || '01').padStart(2, '0');
-    const vTroco = formatarValor(pagamento?.troco || 0);
-    const pagXml = `<pag><detPag><tPag>${tPag}</tPag><vPag>${vPag}</vPag></detPag><vTroco>${vTroco}</vTroco></pag>`;
+    const pagXml = montarPagamento(dados, { vNF, trocoObrigatorio: true });
 
     // Gerar QR Code
-    const { qrCodeUrl, urlChave } = gerarQRCode(chaveAcesso, tpAmb, csc_id, csc_token, ufUpper);
+    // Offline o QR Code depende do DigestValue e só é gerado depois da assinatura
+    const qrCode = tpEmis === '9'
+        ? { qrCodeUrl: null, urlChave: null, dadosQRCode: null }
+        : gerarQRCode({ chaveAcesso, tpAmb, tpEmis, cscId: csc_id, csc: csc_token, uf: ufUpper });
+    const { qrCodeUrl, urlChave, dadosQRCode } = qrCode;
 
     // infNFeSupl - DEVE ser incluído no XML ANTES de assinar!
     // Posição: após </infNFe> e antes de </NFe>
-    const infNFeSupl = `<infNFeSupl><qrCode><![CDATA[${qrCodeUrl}]]></qrCode><urlChave>${urlChave}</urlChave></infNFeSupl>`;
+    const infNFeSupl = qrCodeUrl
+        ? `<infNFeSupl><qrCode><![CDATA[${qrCodeUrl}]]></qrCode><urlChave>${urlChave}</urlChave></infNFeSupl>`
+        : '';
 
-    // Endereço do emitente
-    const enderEmit = `<enderEmit><xLgr>${escapeXml((emitente.endereco?.logradouro || 'RUA').substring(0, 60))}</xLgr><nro>${escapeXml((emitente.endereco?.numero || 'SN').substring(0, 60))}</nro><xBairro>${escapeXml((emitente.endereco?.bairro || 'CENTRO').substring(0, 60))}</xBairro><cMun>${emitente.endereco?.codigo_municipio || '5002704'}</cMun><xMun>${escapeXml((emitente.endereco?.cidade || 'CAMPO GRANDE').substring(0, 60))}</xMun><UF>${ufUpper}</UF><CEP>${(emitente.endereco?.cep || '79000000').replace(/\D/g, '')}</CEP><cPais>1058</cPais><xPais>BRASIL</xPais></enderEmit>`;
+    // Endereço do emitente (CEP é opcional no leiaute)
+    const cepEmit = (emitente.endereco.cep || '').replace(/\D/g, '');
+    const enderEmit = `<enderEmit><xLgr>${escapeXml((emitente.endereco.logradouro || 'RUA').substring(0, 60))}</xLgr><nro>${escapeXml((emitente.endereco.numero || 'SN').substring(0, 60))}</nro><xBairro>${escapeXml((emitente.endereco.bairro || 'CENTRO').substring(0, 60))}</xBairro><cMun>${cMun}</cMun><xMun>${escapeXml(emitente.endereco.cidade.substring(0, 60))}</xMun><UF>${ufUpper}</UF>${cepEmit ? `<CEP>${cepEmit}</CEP>` : ''}<cPais>1058</cPais><xPais>BRASIL</xPais></enderEmit>`;
+
+    // Responsável técnico - só com os dados informados (validados na rota; obrigatório em NFCE_UF_RESP_TEC)
+    const respTecXml = responsavel_tecnico
+        ? `<infRespTec><CNPJ>${String(responsavel_tecnico.cnpj).replace(/\D/g, '')}</CNPJ><xContato>${escapeXml(String(responsavel_tecnico.contato).substring(0, 60))}</xContato><email>${escapeXml(String(responsavel_tecnico.email).substring(0, 60))}</email><fone>${String(responsavel_tecnico.telefone).replace(/\D/g, '')}</fone></infRespTec>`
+        : '';
+
+    // Contingência offline: entrada em contingência no momento da emissão
+    const contXml = contingencia ? `<dhCont>${dhEmi}</dhCont><xJust>${escapeXml(contingencia.xJust)}</xJust>` : '';
 
     // Montar XML completo da NFC-e
     // IMPORTANTE: Ordem correta dos elementos!
     // NOTA: vTotTrib é obrigatório dentro de ICMSTot (valor estimado de tributos)
-    const xml = `<NFe xmlns="http://www.portalfiscal.inf.br/nfe"><infNFe Id="NFe${chaveAcesso}" versao="4.00"><ide><cUF>${cUF}</cUF><cNF>${cNF}</cNF><natOp>${escapeXml((natureza_operacao || 'VENDA').substring(0, 60))}</natOp><mod>65</mod><serie>${serie || 1}</serie><nNF>${numero}</nNF><dhEmi>${dhEmi}</dhEmi><tpNF>1</tpNF><idDest>1</idDest><cMunFG>${emitente.endereco?.codigo_municipio || '5002704'}</cMunFG><tpImp>4</tpImp><tpEmis>1</tpEmis><cDV>${cDV}</cDV><tpAmb>${tpAmb}</tpAmb><finNFe>1</finNFe><indFinal>1</indFinal><indPres>1</indPres><procEmi>0</procEmi><verProc>1.0</verProc></ide><emit><CNPJ>${cnpj}</CNPJ><xNome>${escapeXml((emitente.razao_social || 'EMPRESA').substring(0, 60))}</xNome>${enderEmit}<IE>${(emitente.inscricao_estadual || '').replace(/\D/g, '')}</IE><CRT>${CRT}</CRT></emit>${destXml}${itensXml}<total><ICMSTot><vBC>0.00</vBC><vICMS>0.00</vICMS><vICMSDeson>0.00</vICMSDeson><vFCP>0.00</vFCP><vBCST>0.00</vBCST><vST>0.00</vST><vFCPST>0.00</vFCPST><vFCPSTRet>0.00</vFCPSTRet><vProd>${formatarValor(vProd)}</vProd><vFrete>0.00</vFrete><vSeg>0.00</vSeg><vDesc>0.00</vDesc><vII>0.00</vII><vIPI>0.00</vIPI><vIPIDevol>0.00</vIPIDevol><vPIS>0.00</vPIS><vCOFINS>0.00</vCOFINS><vOutro>0.00</vOutro><vNF>${formatarValor(vNF)}</vNF><vTotTrib>0.00</vTotTrib></ICMSTot></total><transp><modFrete>9</modFrete></transp>${pagXml}</infNFe>${infNFeSupl}</NFe>`;
+    const xml = `<NFe xmlns="http://www.portalfiscal.inf.br/nfe"><infNFe Id="NFe${chaveAcesso}" versao="4.00"><ide><cUF>${cUF}</cUF><cNF>${cNF}</cNF><natOp>${escapeXml((natureza_operacao || 'VENDA').substring(0, 60))}</natOp><mod>65</mod><serie>${serie || 1}</serie><nNF>${numero}</nNF><dhEmi>${dhEmi}</dhEmi><tpNF>1</tpNF><idDest>1</idDest><cMunFG>${cMun}</cMunFG><tpImp>4</tpImp><tpEmis>${tpEmis}</tpEmis><cDV>${cDV}</cDV><tpAmb>${tpAmb}</tpAmb><finNFe>1</finNFe><indFinal>1</indFinal><indPres>1</indPres><procEmi>0</procEmi><verProc>1.0</verProc>${contXml}</ide><emit><CNPJ>${cnpj}</CNPJ><xNome>${escapeXml((emitente.razao_social || 'EMPRESA').substring(0, 60))}</xNome>${enderEmit}<IE>${(emitente.inscricao_estadual || '').replace(/\D/g, '')}</IE><CRT>${CRT}</CRT></emit>${destXml}${itensXml}<total><ICMSTot><vBC>0.00</vBC><vICMS>0.00</vICMS><vICMSDeson>0.00</vICMSDeson><vFCP>0.00</vFCP><vBCST>0.00</vBCST><vST>0.00</vST><vFCPST>0.00</vFCPST><vFCPSTRet>0.00</vFCPSTRet><vProd>${formatarValor(vProd)}</vProd><vFrete>${formatarValor(vFrete)}</vFrete><vSeg>${formatarValor(vSeg)}</vSeg><vDesc>${formatarValor(vDesc)}</vDesc><vII>0.00</vII><vIPI>0.00</vIPI><vIPIDevol>0.00</vIPIDevol><vPIS>${formatarValor(vPIS)}</vPIS><vCOFINS>${formatarValor(vCOFINS)}</vCOFINS><vOutro>${formatarValor(vOutro)}</vOutro><vNF>${formatarValor(vNF)}</vNF><vTotTrib>0.00</vTotTrib></ICMSTot>${montarTotaisReformaTributaria(resultadosIS, resultadosIBSCBS)}</total><transp><modFrete>9</modFrete></transp>${pagXml}${respTecXml}</infNFe>${infNFeSupl}</NFe>`;
 
     return {
         xml,
         chaveAcesso,
         qrCodeUrl,
         urlChave,
+        dadosQRCode,
         vNF: formatarValor(vNF),
         dhEmi,
+        tpEmis,
+        tpAmb,
     };
 }
 
@@ -528,8 +713,8 @@ function criarHttpsAgent(certificadoBase64, certificadoSenha) {
  * Envia NFC-e para SEFAZ
  */
 async function enviarParaSEFAZ(urlSefaz, xmlAssinado, httpsAgent) {
-    // Envelope SOAP para NFC-e
-    const soapEnvelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4"><soap12:Header/><soap12:Body><nfe:nfeDadosMsg><enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><idLote>1</idLote><indSinc>1</indSinc>${xmlAssinado}</enviNFe></nfe:nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+    // Envelope SOAP para NFC-e (idLote único: envio em segundo plano e emissão podem ocorrer juntos)
+    const soapEnvelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4"><soap12:Header/><soap12:Body><nfe:nfeDadosMsg><enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><idLote>${gerarIdLote()}</idLote><indSinc>1</indSinc>${xmlAssinado}</enviNFe></nfe:nfeDadosMsg></soap12:Body></soap12:Envelope>`;
 
     const response = await axios.post(urlSefaz, soapEnvelope, {
         httpsAgent,
@@ -543,6 +728,374 @@ async function enviarParaSEFAZ(urlSefaz, xmlAssinado, httpsAgent) {
     return response.data;
 }
 
+/**
+ * Envia evento da NFC-e (cancelamento) para a SEFAZ
+ */
+async function enviarEventoSEFAZ(urlSefaz, xmlEventoAssinado, httpsAgent) {
+    const soapEnvelope = gerarEnvelopeEvento(gerarIdLote(), xmlEventoAssinado);
+
+    const response = await axios.post(urlSefaz, soapEnvelope, {
+        httpsAgent,
+        headers: {
+            'Content-Type': 'application/soap+xml; charset=utf-8',
+            'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4/nfeRecepcaoEvento',
+        },
+        timeout: SEFAZ_TIMEOUT,
+    });
+
+    return response.data;
+}
+
+/**
+ * Parse da resposta do evento (retEvento) e montagem do procEventoNFe
+ */
+function parseEventoResponse(xmlResponse, xmlEventoAssinado) {
+    const doc = parseXml(xmlResponse);
+    const retEvento = buscarElemento(doc, 'retEvento');
+    const infEvento = buscarElemento(retEvento, 'infEvento');
+    // Sem retEvento (rejeição do lote), o status vem do retEnvEvento
+    const origem = infEvento || buscarElemento(doc, 'retEnvEvento');
+
+    const cStat = parseInt(obterTexto(origem, 'cStat')) || 0;
+
+    return {
+        cStat,
+        xMotivo: obterTexto(origem, 'xMotivo') || 'Resposta inválida',
+        nProt: obterTexto(infEvento, 'nProt') || '',
+        dhRegEvento: obterTexto(infEvento, 'dhRegEvento') || '',
+        procEventoNFe: retEvento
+            ? `<procEventoNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00">${xmlEventoAssinado}${serializarElemento(retEvento)}</procEventoNFe>`
+            : null,
+    };
+}
+
+/**
+ * Envia o pedido de inutilização de numeração da NFC-e para a SEFAZ
+ */
+async function enviarInutilizacaoSEFAZ(urlSefaz, xmlInutAssinado, httpsAgent) {
+    const soapEnvelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4">${xmlInutAssinado}</nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+
+    const response = await axios.post(urlSefaz, soapEnvelope, {
+        httpsAgent,
+        headers: {
+            'Content-Type': 'application/soap+xml; charset=utf-8',
+            'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4/nfeInutilizacaoNF',
+        },
+        timeout: SEFAZ_TIMEOUT,
+    });
+
+    return response.data;
+}
+
+/**
+ * Parse da resposta da inutilização (retInutNFe) e montagem do procInutNFe
+ */
+function parseInutilizacaoResponse(xmlResponse, xmlInutAssinado) {
+    const doc = parseXml(xmlResponse);
+    const retInutNFe = buscarElemento(doc, 'retInutNFe');
+    const infInut = buscarElemento(retInutNFe, 'infInut');
+
+    return {
+        cStat: parseInt(obterTexto(infInut, 'cStat')) || 0,
+        xMotivo: obterTexto(infInut, 'xMotivo') || 'Resposta inválida',
+        nProt: obterTexto(infInut, 'nProt') || '',
+        dhRecbto: obterTexto(infInut, 'dhRecbto') || '',
+        procInutNFe: retInutNFe
+            ? `<procInutNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">${xmlInutAssinado}${serializarElemento(retInutNFe)}</procInutNFe>`
+            : null,
+    };
+}
+
+/**
+ * Extrai o status da NFC-e da resposta de autorização síncrona
+ * O protNFe traz o resultado da nota; sem ele, vale o cStat do lote (retEnviNFe)
+ */
+function extrairStatusProtocolo(xmlResposta) {
+    const doc = parseXml(xmlResposta);
+    const infProt = buscarElemento(doc, 'infProt');
+    const origem = infProt || buscarElemento(doc, 'retEnviNFe');
+
+    return {
+        cStat: parseInt(obterTexto(origem, 'cStat')) || 0,
+        xMotivo: obterTexto(origem, 'xMotivo') || 'Resposta inválida',
+        nProt: obterTexto(infProt, 'nProt') || '',
+        dhRecbto: obterTexto(infProt, 'dhRecbto') || '',
+    };
+}
+
+/**
+ * Consulta a situação da NFC-e pela chave de acesso (NfceConsultaProtocolo)
+ */
+async function consultarProtocoloSEFAZ(urlSefaz, chNFe, tpAmb, httpsAgent) {
+    const soapEnvelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeConsultaProtocolo4"><consSitNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><tpAmb>${tpAmb}</tpAmb><xServ>CONSULTAR</xServ><chNFe>${chNFe}</chNFe></consSitNFe></nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+
+    const response = await axios.post(urlSefaz, soapEnvelope, {
+        httpsAgent,
+        headers: {
+            'Content-Type': 'application/soap+xml; charset=utf-8',
+            'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeConsultaProtocolo4/nfeConsultaNF',
+        },
+        timeout: SEFAZ_TIMEOUT,
+    });
+
+    return response.data;
+}
+
+/**
+ * Parse da consulta de situação (retConsSitNFe)
+ * cStat: 100/150 = autorizada, 101/151/155 = cancelada, 217 = não consta na base da SEFAZ
+ */
+function parseConsultaProtocoloResponse(xmlResponse) {
+    const doc = parseXml(xmlResponse);
+    const retConsSitNFe = buscarElemento(doc, 'retConsSitNFe');
+    const infProt = buscarElemento(retConsSitNFe, 'infProt');
+
+    return {
+        cStat: parseInt(obterTexto(retConsSitNFe, 'cStat')) || 0,
+        xMotivo: obterTexto(retConsSitNFe, 'xMotivo') || 'Resposta inválida',
+        nProt: obterTexto(infProt, 'nProt') || '',
+        dhRecbto: obterTexto(infProt, 'dhRecbto') || '',
+    };
+}
+
+/**
+ * Consulta a NFC-e da fila offline na SEFAZ
+ */
+async function consultarNotaOffline(nota, chNFe, httpsAgent) {
+    const urlSefaz = obterUrlNfce(nota.uf, 'NfceConsultaProtocolo', nota.ambiente);
+    if (!urlSefaz) {
+        throw new Error(`URL de consulta NFC-e não configurada para UF ${nota.uf}`);
+    }
+
+    const xmlResposta = await consultarProtocoloSEFAZ(urlSefaz, chNFe, nota.ambiente === 1 ? '1' : '2', httpsAgent);
+    return parseConsultaProtocoloResponse(xmlResposta);
+}
+
+/**
+ * Certificado para transmitir as NFC-e offline de um CNPJ
+ * Usa o guardado na emissão offline (se habilitado) ou o certificado do servidor
+ */
+function obterCertificadoOffline(cnpj) {
+    if (certificadosOffline[cnpj]) {
+        return certificadosOffline[cnpj];
+    }
+    if (process.env.CERT_PFX_BASE64 && process.env.CERT_PASSWORD) {
+        return { certificado_base64: process.env.CERT_PFX_BASE64, certificado_senha: process.env.CERT_PASSWORD };
+    }
+    return null;
+}
+
+/**
+ * Resolve a NFC-e original de uma nota emitida offline após falha de comunicação
+ * (a original pode ter chegado à SEFAZ): consulta a chave original e
+ * - autorizada: cancela por substituição (110112) pela NFC-e offline autorizada;
+ *   com a offline rejeitada, vale a original
+ * - não consta na base (217): inutiliza o número original
+ * - já cancelada: nada a fazer
+ * Sem conclusão, a original continua pendente para a próxima rodada
+ */
+async function resolverNotaOriginal(chaveAcesso, nota, cert, httpsAgent) {
+    const original = nota.original;
+    const consulta = await consultarNotaOffline(nota, original.chave_acesso, httpsAgent);
+
+    original.cStat = consulta.cStat;
+    original.xMotivo = consulta.xMotivo;
+    original.ultimoErro = null;
+
+    if (consulta.cStat === 100 || consulta.cStat === 150) {
+        if (nota.status !== 'autorizada') {
+            original.situacao = 'autorizada';
+            original.protocolo = consulta.nProt;
+            logger.warn(`NFC-e original ${original.chave_acesso} autorizada e NFC-e offline ${chaveAcesso} rejeitada: vale a original`);
+            return;
+        }
+
+        const resposta = await registrarEventoNFCe({
+            uf: nota.uf,
+            ambiente: nota.ambiente,
+            chave_acesso: original.chave_acesso,
+            tpEvento: '110112',
+            detEvento: montarDetCancelamentoSubstituicao({
+                chave_acesso: original.chave_acesso,
+                protocolo: consulta.nProt,
+                justificativa: JUSTIFICATIVA_ORIGINAL_OFFLINE,
+                chave_substituta: chaveAcesso,
+            }),
+            ...cert,
+        });
+        if (resposta.cStat === 135 || resposta.cStat === 155) {
+            original.situacao = 'cancelada';
+            original.protocolo = resposta.nProt;
+            logger.info(`NFC-e original ${original.chave_acesso} cancelada por substituição: ${resposta.nProt}`);
+        } else {
+            original.ultimoErro = `${resposta.cStat} - ${resposta.xMotivo}`;
+        }
+        return;
+    }
+
+    if ([101, 151, 155].includes(consulta.cStat)) {
+        original.situacao = 'cancelada';
+        return;
+    }
+
+    if (consulta.cStat === 217) {
+        const resposta = await inutilizarNumeracao({
+            uf: nota.uf,
+            ambiente: nota.ambiente,
+            cnpj: nota.cnpj,
+            serie: nota.serie,
+            nNFIni: original.numero,
+            nNFFin: original.numero,
+            justificativa: JUSTIFICATIVA_ORIGINAL_OFFLINE,
+            ano: original.chave_acesso.substring(2, 4),
+            ...cert,
+        });
+        if (resposta.cStat === 102) {
+            original.situacao = 'inutilizada';
+            original.protocolo = resposta.nProt;
+            logger.info(`Número ${original.numero} da NFC-e original ${original.chave_acesso} inutilizado: ${resposta.nProt}`);
+        } else {
+            original.ultimoErro = `${resposta.cStat} - ${resposta.xMotivo}`;
+        }
+        return;
+    }
+
+    original.ultimoErro = `${consulta.cStat} - ${consulta.xMotivo}`;
+}
+
+/**
+ * Transmite as NFC-e pendentes da fila offline
+ * - autorizada (100/150): guarda o protocolo
+ * - duplicidade (204): a NFC-e já foi recebida; guarda o protocolo obtido na consulta pela chave
+ * - rejeitada: sai da fila de envio e fica registrada com cStat/xMotivo
+ * - falha de comunicação ou serviço paralisado (108/109): continua pendente e interrompe a rodada
+ * Depois do envio, resolve a NFC-e original das notas emitidas offline por falta de resposta
+ * @param {object} certificado - Opcional: { certificado_base64, certificado_senha } para todas as notas
+ * @param {string} chave - Opcional: transmite apenas esta NFC-e
+ * @returns {Array|null} - resultado por nota (null se já houver uma transmissão em andamento)
+ */
+async function transmitirPendentesOffline(certificado = null, chave = null) {
+    if (transmissaoOfflineEmAndamento) {
+        return null;
+    }
+    transmissaoOfflineEmAndamento = true;
+
+    const resultados = [];
+    try {
+        const fila = carregarOffline();
+        // Pendentes de envio ou com a NFC-e original (enviada sem resposta) ainda por cancelar/inutilizar
+        const pendentes = Object.entries(fila)
+            .filter(([chaveAcesso, nota]) => (nota.status === 'pendente' || nota.original?.situacao === 'pendente') &&
+                (!chave || chaveAcesso === chave));
+
+        for (const [chaveAcesso, nota] of pendentes) {
+            const cert = certificado || obterCertificadoOffline(nota.cnpj);
+            const urlSefaz = obterUrlNfce(nota.uf, 'NfceAutorizacao', nota.ambiente);
+
+            if (!cert || !urlSefaz) {
+                nota.ultimoErro = !cert
+                    ? 'Certificado não disponível: informe certificado_base64 e certificado_senha em /offline/transmitir'
+                    : `URL NFC-e não configurada para UF ${nota.uf}`;
+                continue;
+            }
+
+            try {
+                const httpsAgent = criarHttpsAgent(cert.certificado_base64, cert.certificado_senha);
+
+                if (nota.status === 'pendente') {
+                    nota.tentativas = (nota.tentativas || 0) + 1;
+                    nota.ultimaTentativa = new Date().toISOString();
+
+                    const xmlResposta = await enviarParaSEFAZ(urlSefaz, nota.xml, httpsAgent);
+                    let resposta = extrairStatusProtocolo(xmlResposta);
+
+                    // Duplicidade: um envio anterior (sem resposta) já chegou à SEFAZ
+                    if (resposta.cStat === 204) {
+                        logger.warn(`NFC-e offline ${chaveAcesso} em duplicidade, consultando o protocolo`);
+                        resposta = await consultarNotaOffline(nota, chaveAcesso, httpsAgent);
+                    }
+
+                    nota.cStat = resposta.cStat;
+                    nota.xMotivo = resposta.xMotivo;
+
+                    if (resposta.cStat === 100 || resposta.cStat === 150) {
+                        nota.status = 'autorizada';
+                        nota.protocolo = resposta.nProt;
+                        nota.dhRecbto = resposta.dhRecbto;
+                        nota.ultimoErro = null;
+                        logger.info(`NFC-e offline ${chaveAcesso} autorizada: ${resposta.nProt}`);
+                    } else if (isServicoParalisado(resposta.cStat)) {
+                        nota.ultimoErro = `${resposta.cStat} - ${resposta.xMotivo}`;
+                        logger.warn(`SEFAZ NFC-e ${nota.uf} paralisada, transmissão offline adiada: ${nota.ultimoErro}`);
+                        resultados.push({ chave_acesso: chaveAcesso, status: nota.status, cStat: nota.cStat, xMotivo: nota.xMotivo });
+                        break;
+                    } else {
+                        nota.status = 'rejeitada';
+                        nota.ultimoErro = `${resposta.cStat} - ${resposta.xMotivo}`;
+                        logger.error(`NFC-e offline ${chaveAcesso} rejeitada: ${nota.ultimoErro}`);
+                    }
+                }
+
+                if (nota.original?.situacao === 'pendente') {
+                    await resolverNotaOriginal(chaveAcesso, nota, cert, httpsAgent);
+                }
+
+                resultados.push({
+                    chave_acesso: chaveAcesso,
+                    status: nota.status,
+                    cStat: nota.cStat,
+                    xMotivo: nota.xMotivo,
+                    protocolo: nota.protocolo || '',
+                    original: nota.original,
+                });
+            } catch (error) {
+                // Nota já enviada: o erro é da resolução da NFC-e original
+                (nota.status === 'pendente' ? nota : nota.original).ultimoErro = error.message;
+
+                if (isFalhaComunicacao(error)) {
+                    logger.warn(`SEFAZ NFC-e ${nota.uf} ainda indisponível, transmissão offline adiada: ${error.message}`);
+                    resultados.push({ chave_acesso: chaveAcesso, status: nota.status, erro: error.message });
+                    break;
+                }
+
+                logger.error(`Erro ao transmitir NFC-e offline ${chaveAcesso}:`, error.message);
+                resultados.push({ chave_acesso: chaveAcesso, status: nota.status, erro: error.message });
+            }
+        }
+
+        // Recarregar antes de salvar: notas emitidas offline durante a transmissão não podem se perder
+        const atual = carregarOffline();
+        pendentes.forEach(([chaveAcesso, nota]) => {
+            atual[chaveAcesso] = nota;
+        });
+
+        // Autorizadas (com a original resolvida) ficam na fila apenas pelo período de retenção
+        const limite = Date.now() - OFFLINE_RETENCAO_DIAS * 24 * 60 * 60 * 1000;
+        Object.keys(atual).forEach(chaveAcesso => {
+            const nota = atual[chaveAcesso];
+            if (nota.status === 'autorizada' && nota.original?.situacao !== 'pendente' &&
+                new Date(nota.criadoEm).getTime() < limite) {
+                delete atual[chaveAcesso];
+            }
+        });
+
+        salvarOffline(atual);
+
+        // Certificado guardado só enquanto o CNPJ tiver NFC-e offline pendentes
+        Object.keys(certificadosOffline).forEach(cnpj => {
+            const pendente = Object.values(atual).some(nota => nota.cnpj === cnpj &&
+                (nota.status === 'pendente' || nota.original?.situacao === 'pendente'));
+            if (!pendente) {
+                delete certificadosOffline[cnpj];
+            }
+        });
+    } finally {
+        transmissaoOfflineEmAndamento = false;
+    }
+
+    return resultados;
+}
+
 /**
  * Parse da resposta de autorização
  */
@@ -575,7 +1128,7 @@ router.post('/status', async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { uf = 'MS', ambiente = 2, certificado_base64, certificado_senha } = req.body;
+        const { uf, ambiente = 2, certificado_base64, certificado_senha } = req.body;
 
         if (!certificado_base64 || !certificado_senha) {
             return res.status(400).json({
@@ -584,13 +1137,16 @@ router.post('/status', async (req, res) => {
             });
         }
 
-        const ufUpper = uf.toUpperCase();
+        const ufUpper = (uf || '').toUpperCase();
+        if (!UF_CODIGOS[ufUpper]) {
+            return res.status(400).json({ sucesso: false, erro: 'uf do emitente é obrigatória' });
+        }
+
         const tpAmb = ambiente === 1 ? '1' : '2';
-        const cUF = UF_CODIGOS[ufUpper] || '50';
+        const cUF = UF_CODIGOS[ufUpper];
 
         // Usar endpoint NFC-e (DIFERENTE do NF-e!)
-        const urls = SEFAZ_URLS[ufUpper];
-        const urlSefaz = urls?.NfceStatusServico?.[ambiente === 1 ? 'producao' : 'homologacao'];
+        const urlSefaz = obterUrlNfce(ufUpper, 'NfceStatusServico', ambiente);
 
         if (!urlSefaz) {
             return res.status(400).json({
@@ -644,9 +1200,70 @@ router.post('/status', async (req, res) => {
     }
 });
 
+/**
+ * Emite a NFC-e em contingência offline (tpEmis=9)
+ * A nota é assinada localmente, entra na fila de transmissão e o XML/QR Code são devolvidos na hora
+ * original = { chave_acesso, numero } da NFC-e enviada sem resposta, a cancelar ou inutilizar na transmissão
+ */
+function emitirOffline(dadosNota, certificadoBase64, certificadoSenha, xJust, original = null) {
+    const startTime = Date.now();
+    const contingencia = { xJust: (xJust || 'Falha de comunicacao com a SEFAZ - emissao em contingencia offline').substring(0, 256) };
+
+    const { xml: xmlSemQRCode, chaveAcesso, vNF, dhEmi, tpAmb } = montarXMLNFCe({ ...dadosNota, contingencia });
+
+    // QR Code offline: assinar primeiro e usar o DigestValue
+    const { xml: xmlAssinado, qrCodeUrl, urlChave, dadosQRCode } = incluirQRCodeOffline(
+        assinarXML(xmlSemQRCode, certificadoBase64, certificadoSenha),
+        { chaveAcesso, tpAmb, cscId: dadosNota.csc_id, csc: dadosNota.csc_token, uf: dadosNota.uf, dhEmi, vNF }
+    );
+
+    const cnpj = dadosNota.emitente.cnpj.replace(/\D/g, '');
+    if (MANTER_CERTIFICADO_OFFLINE) {
+        certificadosOffline[cnpj] = { certificado_base64: certificadoBase64, certificado_senha: certificadoSenha };
+    }
+
+    const fila = carregarOffline();
+    fila[chaveAcesso] = {
+        status: 'pendente',
+        uf: dadosNota.uf,
+        ambiente: dadosNota.ambiente === 1 ? 1 : 2,
+        cnpj,
+        numero: dadosNota.numero,
+        serie: dadosNota.serie,
+        xml: xmlAssinado,
+        original: original ? { ...original, situacao: 'pendente' } : undefined,
+        criadoEm: new Date().toISOString(),
+        tentativas: 0,
+    };
+    salvarOffline(fila);
+
+    logger.warn(`NFC-e ${chaveAcesso} emitida offline (tpEmis=9): ${contingencia.xJust}`);
+
+    return {
+        sucesso: true,
+        offline: true,
+        cStat: null,
+        xMotivo: 'NFC-e emitida em contingência offline - pendente de transmissão',
+        chave_acesso: chaveAcesso,
+        chave_original: original?.chave_acesso,
+        protocolo: '',
+        numero: dadosNota.numero,
+        serie: dadosNota.serie,
+        xml: xmlAssinado,
+        qrcode_url: qrCodeUrl,
+        qrcode_dados: dadosQRCode,
+        url_consulta: urlChave,
+        valor_total: vNF,
+        data_emissao: dhEmi,
+        tempoResposta: Date.now() - startTime,
+    };
+}
+
 /**
  * POST /api/nfce/v2/emitir
  * Emite NFC-e (modelo 65)
+ * offline=true emite direto em contingência offline (tpEmis=9); sem resposta da SEFAZ
+ * a emissão cai para offline automaticamente (offline_automatico=false desliga)
  */
 router.post('/emitir', async (req, res) => {
     const startTime = Date.now();
@@ -661,11 +1278,20 @@ router.post('/emitir', async (req, res) => {
             destinatario,
             itens,
             pagamento,
+            pagamentos,
+            desconto,
+            frete,
+            seguro,
+            outras_despesas,
             natureza_operacao,
             certificado_base64,
             certificado_senha,
             csc_id,
             csc_token,
+            offline = false,
+            offline_automatico = true,
+            justificativa_contingencia,
+            responsavel_tecnico,
         } = req.body;
 
         // Validações
@@ -675,6 +1301,27 @@ router.post('/emitir', async (req, res) => {
         if (!itens || itens.length === 0) {
             return res.status(400).json({ sucesso: false, erro: 'Itens são obrigatórios' });
         }
+        // Devolução, complementar e ajuste só por NF-e (modelo 55) referenciando a NFC-e
+        if (String(req.body.finalidade ?? '1') !== '1' || req.body.documentos_referenciados?.length) {
+            return res.status(400).json({ sucesso: false, erro: 'NFC-e admite apenas finalidade 1 (normal), sem documentos referenciados' });
+        }
+        for (let i = 0; i < itens.length; i++) {
+            // NFC-e não tem grupo de IPI
+            const erroItem = itens[i].ipi || itens[i].ipi_devolvido
+                ? 'NFC-e não admite IPI'
+                : validarTributosItem(itens[i]) || validarReformaTributaria(itens[i]);
+            if (erroItem) {
+                return res.status(400).json({ sucesso: false, erro: `Item ${i + 1}: ${erroItem}` });
+            }
+        }
+        const erroRateio = validarRateio(req.body, itens);
+        if (erroRateio) {
+            return res.status(400).json({ sucesso: false, erro: erroRateio });
+        }
+        const erroPagamento = validarPagamentos(req.body, calcularTotaisNFCe(req.body).vNF);
+        if (erroPagamento) {
+            return res.status(400).json({ sucesso: false, erro: erroPagamento });
+        }
         if (!certificado_base64 || !certificado_senha) {
             return res.status(400).json({ sucesso: false, erro: 'Certificado digital é obrigatório' });
         }
@@ -682,21 +1329,40 @@ router.post('/emitir', async (req, res) => {
             return res.status(400).json({ sucesso: false, erro: 'CSC (Código de Segurança do Contribuinte) é obrigatório para NFC-e' });
         }
 
-        const ufUpper = (uf || 'MS').toUpperCase();
+        // UF do emitente define autorizador, QR Code e cUF (sem padrão: a loja pode estar em qualquer UF)
+        const ufUpper = (uf || emitente.endereco?.uf || '').toUpperCase();
+        if (!UF_CODIGOS[ufUpper]) {
+            return res.status(400).json({ sucesso: false, erro: 'UF do emitente é obrigatória (uf ou emitente.endereco.uf)' });
+        }
+        const codigoMunicipio = String(emitente.endereco?.codigo_municipio || '');
+        if (!/^\d{7}$/.test(codigoMunicipio) || codigoMunicipio.substring(0, 2) !== UF_CODIGOS[ufUpper]) {
+            return res.status(400).json({ sucesso: false, erro: `emitente.endereco.codigo_municipio deve ser um código IBGE (7 dígitos) de município de ${ufUpper}` });
+        }
+        if (!emitente.endereco.cidade) {
+            return res.status(400).json({ sucesso: false, erro: 'emitente.endereco.cidade é obrigatória' });
+        }
+        const erroRespTec = validarResponsavelTecnico(responsavel_tecnico, ufUpper);
+        if (erroRespTec) {
+            return res.status(400).json({ sucesso: false, erro: erroRespTec });
+        }
+
         const cnpj = emitente.cnpj.replace(/\D/g, '');
         const serieNfce = serie || 1;
-        const tpAmb = ambiente === 1 ? '1' : '2';
 
         // Obter próximo número
         const numero = obterProximoNumero(cnpj, serieNfce);
         logger.info(`NFC-e número: ${numero}, série: ${serieNfce}`);
 
-        // Montar XML (já inclui infNFeSupl com QR Code)
-        const { xml, chaveAcesso, qrCodeUrl, urlChave, vNF, dhEmi } = montarXMLNFCe({
+        const dadosNota = {
             emitente,
             destinatario,
             itens,
             pagamento,
+            pagamentos,
+            desconto,
+            frete,
+            seguro,
+            outras_despesas,
             ambiente,
             serie: serieNfce,
             numero,
@@ -704,7 +1370,15 @@ router.post('/emitir', async (req, res) => {
             uf: ufUpper,
             csc_id,
             csc_token,
-        });
+            responsavel_tecnico,
+        };
+
+        if (offline) {
+            return res.json(emitirOffline(dadosNota, certificado_base64, certificado_senha, justificativa_contingencia));
+        }
+
+        // Montar XML (já inclui infNFeSupl com QR Code)
+        const { xml, chaveAcesso, qrCodeUrl, urlChave, dadosQRCode, vNF, dhEmi } = montarXMLNFCe(dadosNota);
 
         logger.info(`Chave de acesso: ${chaveAcesso}`);
 
@@ -723,9 +1397,8 @@ router.post('/emitir', async (req, res) => {
             logger.warn('Não foi possível salvar XML de debug');
         }
 
-        // Obter URL do webservice NFC-e (DIFERENTE do NF-e!)
-        const urls = SEFAZ_URLS[ufUpper];
-        const urlSefaz = urls?.NfceAutorizacao?.[tpAmb === '1' ? 'producao' : 'homologacao'];
+        // Obter URL do webservice NFC-e (DIFERENTE do NF-e!) - SEFAZ própria ou SVRS
+        const urlSefaz = obterUrlNfce(ufUpper, 'NfceAutorizacao', ambiente);
 
         if (!urlSefaz) {
             throw new Error(`URL NFC-e não configurada para UF ${ufUpper}`);
@@ -736,8 +1409,25 @@ router.post('/emitir', async (req, res) => {
         // Criar agente HTTPS com certificado
         const httpsAgent = criarHttpsAgent(certificado_base64, certificado_senha);
 
-        // Enviar para SEFAZ
-        const xmlResposta = await enviarParaSEFAZ(urlSefaz, xmlAssinado, httpsAgent);
+        // Enviar para SEFAZ (sem resposta: a original pode ter sido recebida, emitir offline com novo número)
+        let xmlResposta;
+        try {
+            xmlResposta = await enviarParaSEFAZ(urlSefaz, xmlAssinado, httpsAgent);
+        } catch (error) {
+            if (!isFalhaComunicacao(error) || !offline_automatico) {
+                throw error;
+            }
+
+            const numeroOffline = obterProximoNumero(cnpj, serieNfce);
+            logger.warn(`SEFAZ NFC-e ${ufUpper} sem resposta (${error.message}), emitindo offline com o número ${numeroOffline} (original: ${numero})`);
+            return res.json(emitirOffline(
+                { ...dadosNota, numero: numeroOffline },
+                certificado_base64,
+                certificado_senha,
+                justificativa_contingencia,
+                { chave_acesso: chaveAcesso, numero }
+            ));
+        }
 
         // Parse da resposta
         const resposta = parseAutorizacaoResponse(xmlResposta);
@@ -762,6 +1452,7 @@ router.post('/emitir', async (req, res) => {
                 serie: serieNfce,
                 xml: xmlAssinado,
                 qrcode_url: qrCodeUrl,
+                qrcode_dados: dadosQRCode,
                 url_consulta: urlChave,
                 valor_total: vNF,
                 data_emissao: dhEmi,
@@ -791,6 +1482,374 @@ router.post('/emitir', async (req, res) => {
     }
 });
 
+/**
+ * Valida os dados comuns dos cancelamentos de NFC-e
+ * Retorna a mensagem de erro ou null
+ */
+function validarCancelamento({ chave_acesso, protocolo, justificativa, certificado_base64, certificado_senha }) {
+    if (!certificado_base64 || !certificado_senha) {
+        return 'Certificado digital é obrigatório';
+    }
+    if (!/^\d{44}$/.test(chave_acesso || '') || chave_acesso.substring(20, 22) !== '65') {
+        return 'chave_acesso deve ser a chave (44 dígitos) de uma NFC-e modelo 65';
+    }
+    if (!/^\d{15}$/.test(protocolo || '')) {
+        return 'protocolo de autorização (15 dígitos) é obrigatório';
+    }
+    if (!justificativa || justificativa.length < 15 || justificativa.length > 255) {
+        return 'justificativa deve ter entre 15 e 255 caracteres';
+    }
+    return null;
+}
+
+/**
+ * Monta o detEvento do cancelamento por substituição (110112)
+ */
+function montarDetCancelamentoSubstituicao({ chave_acesso, protocolo, justificativa, chave_substituta }) {
+    return `<descEvento>Cancelamento por substituicao</descEvento><cOrgaoAutor>${chave_acesso.substring(0, 2)}</cOrgaoAutor><tpAutor>1</tpAutor><verAplic>1.0</verAplic><nProt>${protocolo}</nProt><xJust>${escapeXml(justificativa)}</xJust><chNFeRef>${chave_substituta}</chNFeRef>`;
+}
+
+/**
+ * Assina e envia um evento da NFC-e (autorizador da UF da chave)
+ */
+async function registrarEventoNFCe({ uf, ambiente, chave_acesso, tpEvento, detEvento, certificado_base64, certificado_senha }) {
+    const ufUpper = (uf || ufPorCodigo(chave_acesso.substring(0, 2)) || '').toUpperCase();
+    const tpAmb = ambiente === 1 ? '1' : '2';
+
+    // Evento vai para o autorizador da UF da chave (NfceRecepcaoEvento - DIFERENTE do NF-e!)
+    const urlSefaz = obterUrlNfce(ufUpper, 'NfceRecepcaoEvento', ambiente);
+
+    if (!urlSefaz) {
+        throw new Error(`URL de eventos NFC-e não configurada para UF ${ufUpper}`);
+    }
+
+    const { xmlEvento } = montarXmlEvento({
+        cOrgao: chave_acesso.substring(0, 2),
+        tpAmb,
+        CNPJ: chave_acesso.substring(6, 20),
+        chNFe: chave_acesso,
+        tpEvento,
+        nSeqEvento: 1,
+        detEvento,
+    });
+
+    const xmlEventoAssinado = signEventoXml(xmlEvento, {
+        certBase64: certificado_base64,
+        certPassword: certificado_senha,
+    });
+
+    logger.info(`Enviando evento ${tpEvento} da NFC-e ${chave_acesso}: ${urlSefaz}`);
+
+    const httpsAgent = criarHttpsAgent(certificado_base64, certificado_senha);
+    const xmlResposta = await enviarEventoSEFAZ(urlSefaz, xmlEventoAssinado, httpsAgent);
+    return parseEventoResponse(xmlResposta, xmlEventoAssinado);
+}
+
+/**
+ * Assina e envia o evento de cancelamento da NFC-e com o certificado da requisição
+ */
+async function cancelarNFCe(req, res, { tpEvento, detEvento }) {
+    const startTime = Date.now();
+    const { uf, ambiente, chave_acesso, certificado_base64, certificado_senha } = req.body;
+
+    const ufUpper = (uf || ufPorCodigo(chave_acesso.substring(0, 2)) || '').toUpperCase();
+    if (!obterUrlNfce(ufUpper, 'NfceRecepcaoEvento', ambiente)) {
+        return res.status(400).json({
+            sucesso: false,
+            erro: `URL de eventos NFC-e não configurada para UF ${ufUpper}`,
+        });
+    }
+
+    const resposta = await registrarEventoNFCe({
+        uf: ufUpper,
+        ambiente,
+        chave_acesso,
+        tpEvento,
+        detEvento,
+        certificado_base64,
+        certificado_senha,
+    });
+
+    const elapsed = Date.now() - startTime;
+    logger.info(`Evento ${tpEvento} NFC-e processado em ${elapsed}ms - cStat: ${resposta.cStat}`);
+
+    // 135 = evento registrado; 155 = cancelamento homologado fora de prazo
+    const sucesso = resposta.cStat === 135 || resposta.cStat === 155;
+
+    return res.json({
+        sucesso,
+        cStat: resposta.cStat,
+        xMotivo: resposta.xMotivo,
+        chave_acesso,
+        tpEvento,
+        protocolo: resposta.nProt,
+        data_evento: resposta.dhRegEvento,
+        xml: sucesso ? resposta.procEventoNFe : null,
+        tempoResposta: elapsed,
+    });
+}
+
+/**
+ * POST /api/nfce/v2/cancelar
+ * Cancelamento de NFC-e (evento 110111)
+ */
+router.post('/cancelar', async (req, res) => {
+    try {
+        const erro = validarCancelamento(req.body);
+        if (erro) {
+            return res.status(400).json({ sucesso: false, erro });
+        }
+
+        const { protocolo, justificativa } = req.body;
+
+        return await cancelarNFCe(req, res, {
+            tpEvento: '110111',
+            detEvento: `<descEvento>Cancelamento</descEvento><nProt>${protocolo}</nProt><xJust>${escapeXml(justificativa)}</xJust>`,
+        });
+
+    } catch (error) {
+        logger.error('Erro ao cancelar NFC-e v2:', error);
+        return res.status(500).json({
+            sucesso: false,
+            erro: error.message || 'Erro interno ao cancelar NFC-e',
+        });
+    }
+});
+
+/**
+ * POST /api/nfce/v2/cancelar-substituicao
+ * Cancelamento por substituição de NFC-e (evento 110112)
+ * chave_substituta = NFC-e autorizada que substitui a cancelada (chNFeRef)
+ */
+router.post('/cancelar-substituicao', async (req, res) => {
+    try {
+        const erro = validarCancelamento(req.body);
+        if (erro) {
+            return res.status(400).json({ sucesso: false, erro });
+        }
+
+        const { chave_acesso, chave_substituta, protocolo, justificativa } = req.body;
+
+        if (!/^\d{44}$/.test(chave_substituta || '') || chave_substituta.substring(20, 22) !== '65') {
+            return res.status(400).json({ sucesso: false, erro: 'chave_substituta deve ser a chave (44 dígitos) de uma NFC-e modelo 65' });
+        }
+        if (chave_substituta === chave_acesso) {
+            return res.status(400).json({ sucesso: false, erro: 'chave_substituta deve ser diferente da NFC-e cancelada' });
+        }
+
+        return await cancelarNFCe(req, res, {
+            tpEvento: '110112',
+            detEvento: montarDetCancelamentoSubstituicao({ chave_acesso, protocolo, justificativa, chave_substituta }),
+        });
+
+    } catch (error) {
+        logger.error('Erro no cancelamento por substituição NFC-e v2:', error);
+        return res.status(500).json({
+            sucesso: false,
+            erro: error.message || 'Erro interno ao cancelar NFC-e',
+        });
+    }
+});
+
+/**
+ * Assina e envia a inutilização de uma faixa de numeração da NFC-e
+ */
+async function inutilizarNumeracao({ uf, ambiente, cnpj, serie, nNFIni, nNFFin, justificativa, ano, certificado_base64, certificado_senha }) {
+    const cUF = UF_CODIGOS[uf];
+    const tpAmb = ambiente === 1 ? '1' : '2';
+
+    // Inutilização da NFC-e usa o webservice da NFC-e (NfceInutilizacao - DIFERENTE do NF-e!)
+    const urlSefaz = obterUrlNfce(uf, 'NfceInutilizacao', ambiente);
+
+    if (!urlSefaz) {
+        throw new Error(`URL de inutilização NFC-e não configurada para UF ${uf}`);
+    }
+
+    const anoStr = String(ano || new Date().getFullYear()).slice(-2);
+    const idInut = `ID${cUF}${anoStr}${cnpj}65${String(serie).padStart(3, '0')}${String(nNFIni).padStart(9, '0')}${String(nNFFin).padStart(9, '0')}`;
+
+    const xmlInut = `<inutNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><infInut Id="${idInut}"><tpAmb>${tpAmb}</tpAmb><xServ>INUTILIZAR</xServ><cUF>${cUF}</cUF><ano>${anoStr}</ano><CNPJ>${cnpj}</CNPJ><mod>65</mod><serie>${serie}</serie><nNFIni>${nNFIni}</nNFIni><nNFFin>${nNFFin}</nNFFin><xJust>${escapeXml(justificativa)}</xJust></infInut></inutNFe>`;
+
+    const xmlInutAssinado = signInutXml(xmlInut, {
+        certBase64: certificado_base64,
+        certPassword: certificado_senha,
+    });
+
+    logger.info(`Inutilizando NFC-e ${nNFIni}-${nNFFin} série ${serie}: ${urlSefaz}`);
+
+    const httpsAgent = criarHttpsAgent(certificado_base64, certificado_senha);
+    const xmlResposta = await enviarInutilizacaoSEFAZ(urlSefaz, xmlInutAssinado, httpsAgent);
+    return parseInutilizacaoResponse(xmlResposta, xmlInutAssinado);
+}
+
+/**
+ * POST /api/nfce/v2/inutilizar
+ * Inutilização de faixa de numeração da NFC-e (modelo 65) com o certificado da requisição
+ */
+router.post('/inutilizar', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uf,
+            ambiente,
+            cnpj,
+            serie = 1,
+            numero_inicial,
+            numero_final,
+            justificativa,
+            ano,
+            certificado_base64,
+            certificado_senha,
+        } = req.body;
+
+        if (!certificado_base64 || !certificado_senha) {
+            return res.status(400).json({ sucesso: false, erro: 'Certificado digital é obrigatório' });
+        }
+
+        const cnpjLimpo = String(cnpj || '').replace(/\D/g, '');
+        if (cnpjLimpo.length !== 14) {
+            return res.status(400).json({ sucesso: false, erro: 'cnpj do emitente (14 dígitos) é obrigatório' });
+        }
+
+        const nNFIni = parseInt(numero_inicial, 10);
+        const nNFFin = parseInt(numero_final, 10);
+        if (!(nNFIni >= 1) || !(nNFFin >= nNFIni) || nNFFin > 999999999) {
+            return res.status(400).json({ sucesso: false, erro: 'numero_inicial e numero_final devem formar uma faixa válida (1 a 999999999)' });
+        }
+
+        const serieNum = parseInt(serie, 10);
+        if (!(serieNum >= 0) || serieNum > 999) {
+            return res.status(400).json({ sucesso: false, erro: 'serie deve estar entre 0 e 999' });
+        }
+
+        if (!justificativa || justificativa.length < 15 || justificativa.length > 255) {
+            return res.status(400).json({ sucesso: false, erro: 'justificativa deve ter entre 15 e 255 caracteres' });
+        }
+
+        const ufUpper = (uf || '').toUpperCase();
+
+        if (!UF_CODIGOS[ufUpper]) {
+            return res.status(400).json({ sucesso: false, erro: 'uf do emitente é obrigatória' });
+        }
+
+        if (!obterUrlNfce(ufUpper, 'NfceInutilizacao', ambiente)) {
+            return res.status(400).json({
+                sucesso: false,
+                erro: `URL de inutilização NFC-e não configurada para UF ${ufUpper}`,
+            });
+        }
+
+        const resposta = await inutilizarNumeracao({
+            uf: ufUpper,
+            ambiente,
+            cnpj: cnpjLimpo,
+            serie: serieNum,
+            nNFIni,
+            nNFFin,
+            justificativa,
+            ano,
+            certificado_base64,
+            certificado_senha,
+        });
+
+        const elapsed = Date.now() - startTime;
+        logger.info(`Inutilização NFC-e processada em ${elapsed}ms - cStat: ${resposta.cStat}`);
+
+        // 102 = inutilização de número homologado
+        const sucesso = resposta.cStat === 102;
+
+        return res.json({
+            sucesso,
+            cStat: resposta.cStat,
+            xMotivo: resposta.xMotivo,
+            serie: serieNum,
+            numero_inicial: nNFIni,
+            numero_final: nNFFin,
+            protocolo: resposta.nProt,
+            data_recebimento: resposta.dhRecbto,
+            xml: sucesso ? resposta.procInutNFe : null,
+            tempoResposta: elapsed,
+        });
+
+    } catch (error) {
+        logger.error('Erro ao inutilizar NFC-e v2:', error);
+        return res.status(500).json({
+            sucesso: false,
+            erro: error.message || 'Erro interno ao inutilizar NFC-e',
+        });
+    }
+});
+
+/**
+ * GET /api/nfce/v2/offline/pendentes
+ * Fila de NFC-e emitidas offline (?status=pendente|rejeitada|autorizada)
+ */
+router.get('/offline/pendentes', (req, res) => {
+    const fila = carregarOffline();
+    const notas = Object.entries(fila)
+        .filter(([, nota]) => !req.query.status || nota.status === req.query.status)
+        .map(([chave, nota]) => ({
+            chave_acesso: chave,
+            status: nota.status,
+            uf: nota.uf,
+            numero: nota.numero,
+            serie: nota.serie,
+            criadoEm: nota.criadoEm,
+            tentativas: nota.tentativas,
+            ultimaTentativa: nota.ultimaTentativa || null,
+            cStat: nota.cStat || null,
+            xMotivo: nota.xMotivo || null,
+            protocolo: nota.protocolo || '',
+            ultimoErro: nota.ultimoErro || null,
+            original: nota.original || null,
+        }));
+
+    res.json({
+        sucesso: true,
+        total: notas.length,
+        notas,
+    });
+});
+
+/**
+ * POST /api/nfce/v2/offline/transmitir
+ * Força a transmissão das NFC-e offline pendentes (todas ou a informada em "chave")
+ */
+router.post('/offline/transmitir', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { chave, certificado_base64, certificado_senha } = req.body;
+        const certificado = (certificado_base64 && certificado_senha)
+            ? { certificado_base64, certificado_senha }
+            : null;
+
+        const resultados = await transmitirPendentesOffline(certificado, chave);
+
+        if (resultados === null) {
+            return res.status(409).json({
+                sucesso: false,
+                erro: 'Transmissão offline já em andamento',
+            });
+        }
+
+        return res.json({
+            sucesso: resultados.every(r => r.status === 'autorizada'),
+            notas: resultados,
+            tempoResposta: Date.now() - startTime,
+        });
+
+    } catch (error) {
+        logger.error('Erro ao transmitir NFC-e offline:', error);
+        return res.status(500).json({
+            sucesso: false,
+            erro: error.message,
+            tempoResposta: Date.now() - startTime,
+        });
+    }
+});
+
 /**
  * POST /api/nfce/v2/atualizar-numero
  * Atualiza o último número de NFC-e
@@ -848,16 +1907,21 @@ router.get('/info', (req, res) => {
         endpoints: {
             status: 'POST /api/nfce/v2/status',
             emitir: 'POST /api/nfce/v2/emitir',
+            cancelar: 'POST /api/nfce/v2/cancelar',
+            cancelarSubstituicao: 'POST /api/nfce/v2/cancelar-substituicao',
+            inutilizar: 'POST /api/nfce/v2/inutilizar',
+            offlinePendentes: 'GET /api/nfce/v2/offline/pendentes',
+            offlineTransmitir: 'POST /api/nfce/v2/offline/transmitir',
             atualizarNumero: 'POST /api/nfce/v2/atualizar-numero',
             debugXml: 'GET /api/nfce/v2/debug-xml',
         },
         diferencasNFe: [
-            'Endpoint DIFERENTE: nfce.sefaz.ms.gov.br',
+            'Endpoint DIFERENTE: webservice NFC-e da UF (SEFAZ própria ou SVRS)',
             'mod = 65 (não 55)',
             'tpImp = 4 (DANFE NFC-e)',
             'Destinatário opcional',
             'Sem enderDest',
-            'Sem infRespTec',
+            `infRespTec obrigatório em ${NFCE_UF_RESP_TEC.join(', ')}`,
             'infNFeSupl obrigatório (QR Code)',
         ],
     });
@@ -898,4 +1962,11 @@ router.get('/debug-xml', (req, res) => {
     }
 });
 
+// Envio em segundo plano da fila offline (não impede o encerramento do processo)
+setInterval(() => {
+    transmitirPendentesOffline().catch(error => {
+        logger.error('Erro no envio em segundo plano da fila offline NFC-e:', error.message);
+    });
+}, OFFLINE_INTERVALO_MS).unref();
+
 module.exports = router;
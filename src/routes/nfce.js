@@ -15,6 +15,7 @@ const axios = require('axios');
 const forge = require('node-forge');
 const logger = require('../utils/logger');
 const { UF_CODIGOS, SEFAZ_URLS, getSefazUrls } = require('../utils/sefaz-config');
+const { gerarDataHora, obterAAMM } = require('../utils/data-hora');
 const { signNFeXml } = require('../utils/nfe-signer');
 
 const SEFAZ_TIMEOUT = parseInt(process.env.SEFAZ_TIMEOUT) || 30000;
@@ -204,21 +205,9 @@ function montarXMLNFCe(dados, config) {
 
     const cUF = UF_CODIGOS[uf?.toUpperCase()] || '50';
 
-    // Gerar data/hora no timezone -04:00 (MS - não tem horário de verão desde 2019)
-    const dataUTC = new Date();
-    const offsetMS = -4 * 60; // -4 horas em minutos
-    const dataMS = new Date(dataUTC.getTime() + (offsetMS * 60 * 1000));
-
-    // Formatar data manualmente para evitar problemas com toISOString()
-    const ano = dataMS.getUTCFullYear();
-    const mes = String(dataMS.getUTCMonth() + 1).padStart(2, '0');
-    const dia = String(dataMS.getUTCDate()).padStart(2, '0');
-    const hora = String(dataMS.getUTCHours()).padStart(2, '0');
-    const minuto = String(dataMS.getUTCMinutes()).padStart(2, '0');
-    const segundo = String(dataMS.getUTCSeconds()).padStart(2, '0');
-
-    const AAMM = `${String(ano).slice(-2)}${mes}`;
-    const dhEmi = `${ano}-${mes}-${dia}T${hora}:${minuto}:${segundo}-04:00`;
+    // Data/hora no fuso da UF do emitente (sem horário de verão desde 2019)
+    const dhEmi = gerarDataHora(uf || 'MS', emitente.endereco?.codigo_municipio);
+    const AAMM = obterAAMM(dhEmi);
 
     const cnpj = emitente.cnpj.replace(/\D/g, '');
     const mod = '65'; // NFC-e!
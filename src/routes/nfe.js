@@ -10,12 +10,72 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { UF_CODIGOS } = require('../utils/sefaz-config');
-
-const SEFAZ_TIMEOUT = parseInt(process.env.SEFAZ_TIMEOUT) || 30000;
+const {
+    isContingenciaHabilitada,
+    isServicoParalisado,
+    obterContingencia,
+    precisaRevalidar,
+    adiarRevalidacao,
+    ativarContingencia,
+} = require('../utils/contingencia');
+const { gerarDataHora, obterAAMM } = require('../utils/data-hora');
+const { usaCSOSNRegime, validarICMS, montarICMS, somarTotaisICMS, arredondar } = require('../utils/icms');
+const {
+    validarTributosItem,
+    montarPIS,
+    montarCOFINS,
+    montarIPI,
+    montarIPIDevolvido,
+} = require('../utils/pis-cofins-ipi');
+const {
+    validarReformaTributaria,
+    montarIBSCBS,
+    montarIS,
+    montarTotaisReformaTributaria,
+} = require('../utils/ibs-cbs');
+const { validarRateio, ratearValores, montarValoresItemXml } = require('../utils/rateio');
+const { validarTransporte, montarTransporte } = require('../utils/transporte');
+const { validarCobranca, montarCobranca } = require('../utils/cobranca');
+const { validarPagamentos, montarPagamento } = require('../utils/pagamento');
+const {
+    obterFinalidade,
+    finalidadeSemPagamento,
+    obterTipoOperacao,
+    mapearCfopDevolucao,
+    validarFinalidade,
+    montarDocumentosReferenciados,
+} = require('../utils/finalidade');
+const {
+    destinatarioEstrangeiro,
+    obterUFs,
+    obterDestinoOperacao,
+    obterConsumidorFinal,
+    exigeDifal,
+    validarDestinoOperacao,
+    montarExportacao,
+} = require('../utils/destino-operacao');
+const { montarICMSUFDest, montarTotaisDifalXml } = require('../utils/difal');
+const { parseXml, buscarElemento, buscarElementos, obterTexto } = require('../utils/xml-parser');
+const { escapeXml } = require('../utils/xml-helpers');
+const { signNFeXml } = require('../utils/nfe-signer');
+const { SEFAZ_TIMEOUT, tempoMaximoAutorizacaoAssincrona } = require('../utils/sefaz-comunicacao');
+
+// Máximo de NF-e por lote enviNFe
+const LOTE_MAX_NFE = 50;
 
 // Arquivo para controle de numeração por CNPJ/série
 const NUMERACAO_FILE = path.join(__dirname, '../../data/numeracao_nfe.json');
 
+// NF-e emitidas em EPEC aguardando transmissão à SEFAZ de origem (por chave de acesso)
+const EPEC_FILE = path.join(__dirname, '../../data/epec_pendentes.json');
+
+// NF-e sem resposta da SEFAZ de origem (reemitidas em SVC ou com situação indefinida), por chave original:
+// a chave precisa ser consultada depois para cancelar ou inutilizar a nota original
+const ORIGINAIS_CONTINGENCIA_FILE = path.join(__dirname, '../../data/contingencia_originais.json');
+
+// NfeConsultaProtocolo: NF-e não consta na base de dados da SEFAZ
+const CSTAT_NFE_NAO_CONSTA = 217;
+
 /**
  * Carrega o controle de numeração
  */
@@ -45,6 +105,64 @@ function salvarNumeracao(numeracao) {
     }
 }
 
+/**
+ * Carrega as NF-e emitidas em EPEC aguardando transmissão
+ */
+function carregarEpecPendentes() {
+    try {
+        if (fs.existsSync(EPEC_FILE)) {
+            return JSON.parse(fs.readFileSync(EPEC_FILE, 'utf8'));
+        }
+    } catch (e) {
+        logger.warn('Erro ao carregar pendentes EPEC:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Salva as NF-e emitidas em EPEC aguardando transmissão
+ */
+function salvarEpecPendentes(pendentes) {
+    try {
+        const dir = path.dirname(EPEC_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(EPEC_FILE, JSON.stringify(pendentes, null, 2));
+    } catch (e) {
+        logger.error('Erro ao salvar pendentes EPEC:', e.message);
+    }
+}
+
+/**
+ * Carrega as chaves originais de NF-e sem resposta da SEFAZ de origem
+ */
+function carregarOriginaisContingencia() {
+    try {
+        if (fs.existsSync(ORIGINAIS_CONTINGENCIA_FILE)) {
+            return JSON.parse(fs.readFileSync(ORIGINAIS_CONTINGENCIA_FILE, 'utf8'));
+        }
+    } catch (e) {
+        logger.warn('Erro ao carregar chaves originais de contingência:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Salva as chaves originais de NF-e sem resposta da SEFAZ de origem
+ */
+function salvarOriginaisContingencia(originais) {
+    try {
+        const dir = path.dirname(ORIGINAIS_CONTINGENCIA_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(ORIGINAIS_CONTINGENCIA_FILE, JSON.stringify(originais, null, 2));
+    } catch (e) {
+        logger.error('Erro ao salvar chaves originais de contingência:', e.message);
+    }
+}
+
 /**
  * Obtém o próximo número de NF-e para um CNPJ/série
  */
@@ -113,6 +231,83 @@ function formatarValor(valor) {
     return Number(valor || 0).toFixed(2);
 }
 
+/**
+ * Rateio e tributos dos itens e totais da nota (ICMSTot e vNF)
+ * Usado na montagem do XML e na validação dos pagamentos (antes de reservar o número)
+ */
+function calcularTotaisNota(dados) {
+    let vProd = 0;
+    dados.itens.forEach(item => {
+        vProd += parseFloat(item.valor_total || 0);
+    });
+
+    const usaCSOSN = usaCSOSNRegime(Number(dados.emitente.regime_tributario || 1));
+
+    // Desconto, frete, seguro e outras despesas rateados entre os itens
+    const rateio = ratearValores(dados, dados.itens);
+
+    // Venda interestadual a consumidor final não contribuinte: ICMSUFDest (DIFAL) em todos os itens
+    const comDifal = exigeDifal(dados);
+    const { ufEmit, ufDest } = obterUFs(dados);
+
+    // Tributos por item sobre o valor da operação (produto + frete + seguro + outras - desconto)
+    // IPI (ou IPI devolvido) entra na base do ICMS ST
+    const tributosItens = dados.itens.map((item, index) => {
+        const { vFrete, vSeg, vDesc, vOutro } = rateio.itens[index];
+        const valorItem = parseFloat(item.valor_total || 0) + vFrete + vSeg + vOutro - vDesc;
+        const ipi = montarIPI(item, valorItem);
+        const ipiDevol = montarIPIDevolvido(item);
+        const icms = montarICMS(item, {
+            usaCSOSN,
+            valorBase: valorItem,
+            valorBaseST: valorItem + ipi.valor + ipiDevol.valor,
+        });
+        const pis = montarPIS(item, valorItem);
+        const cofins = montarCOFINS(item, valorItem);
+        // Base do IBS/CBS: valor do item sem ICMS, FCP, PIS e COFINS
+        const baseIBSCBS = valorItem - icms.totais.vICMS - icms.totais.vFCP - pis.valor - cofins.valor;
+        return {
+            ipi,
+            icms,
+            pis,
+            cofins,
+            difal: comDifal
+                ? montarICMSUFDest(dados, item, { ufEmit, ufDest, valorBase: valorItem + ipi.valor })
+                : { xml: '', totais: null },
+            is: montarIS(item, valorItem),
+            ibsCbs: montarIBSCBS(item, baseIBSCBS),
+            ipiDevol,
+        };
+    });
+    const totaisICMS = somarTotaisICMS(tributosItens.map(tributos => tributos.icms.totais));
+    const somarTributo = nome => tributosItens.reduce((soma, tributos) => arredondar(soma + tributos[nome].valor), 0);
+    const vIPI = somarTributo('ipi');
+    const vPIS = somarTributo('pis');
+    const vCOFINS = somarTributo('cofins');
+    const vIPIDevol = somarTributo('ipiDevol');
+
+    // vNF = vProd - vDesc - ICMS desonerado deduzido + ICMS ST + FCP ST + vFrete + vSeg + vOutro + IPI + IPI devolvido
+    const { vFrete, vSeg, vDesc, vOutro } = rateio.totais;
+    const vNF = arredondar(vProd - vDesc - totaisICMS.vICMSDesonDeduzido + totaisICMS.vST + totaisICMS.vFCPST +
+        vFrete + vSeg + vOutro + vIPI + vIPIDevol);
+
+    return {
+        rateio,
+        tributosItens,
+        totaisICMS,
+        vProd,
+        vIPI,
+        vIPIDevol,
+        vPIS,
+        vCOFINS,
+        vFrete,
+        vSeg,
+        vDesc,
+        vOutro,
+        vNF,
+    };
+}
+
 /**
  * Monta XML da NF-e a partir dos dados JSON
  * Formato baseado no teste que passou em homologação (test-nfe.ps1)
@@ -122,26 +317,28 @@ function montarXMLNFe(dados, config) {
         emitente,
         destinatario,
         itens,
-        pagamento,
         ambiente,
         serie,
         numero,
         natureza_operacao,
         uf,
+        contingencia,
+        transporte,
+        cobranca,
     } = dados;
 
-    const cUF = UF_CODIGOS[uf?.toUpperCase()] || '50';
-    const dataAtual = new Date();
-    // Ajustar para timezone -04:00 (MS)
-    const dataMS = new Date(dataAtual.getTime() - (4 * 60 * 60 * 1000));
-    const AAMM = `${String(dataMS.getFullYear()).slice(-2)}${String(dataMS.getMonth() + 1).padStart(2, '0')}`;
-    const dhEmi = dataMS.toISOString().slice(0, 19) + '-04:00';
+    const ufEmit = (uf || emitente.endereco?.uf || 'MS').toUpperCase();
+    const cUF = UF_CODIGOS[ufEmit] || '50';
+    // Data/hora no fuso da UF do emitente (AAMM da chave no mesmo fuso)
+    const dhEmi = gerarDataHora(ufEmit, emitente.endereco?.codigo_municipio);
+    const AAMM = obterAAMM(dhEmi);
 
     const cnpj = emitente.cnpj.replace(/\D/g, '');
     const mod = '55';
     const serieStr = String(serie || 1).padStart(3, '0');
     const nNF = String(numero).padStart(9, '0');
-    const tpEmis = '1'; // Normal
+    // 1=Normal; 6/7=contingência SVC-AN/SVC-RS
+    const tpEmis = contingencia?.tpEmis || '1';
     const cNF = gerarCodigoNumerico();
     const tpAmb = ambiente === 1 ? '1' : '2';
 
@@ -150,16 +347,30 @@ function montarXMLNFe(dados, config) {
     const cDV = calcularDV(chave43);
     const chaveAcesso = chave43 + cDV;
 
-    // Calcular totais
-    let vProd = 0;
-    itens.forEach(item => {
-        vProd += parseFloat(item.valor_total || 0);
-    });
-    const vNF = vProd;
-
-    // Regime tributário: 1=Simples Nacional
-    const CRT = emitente.regime_tributario || 1;
-    const usaCSOSN = CRT === 1 || CRT === 2;
+    const CRT = Number(emitente.regime_tributario || 1);
+    const {
+        rateio,
+        tributosItens,
+        totaisICMS,
+        vProd,
+        vIPI,
+        vIPIDevol,
+        vPIS,
+        vCOFINS,
+        vFrete,
+        vSeg,
+        vDesc,
+        vOutro,
+        vNF,
+    } = calcularTotaisNota(dados);
+
+    // Finalidade (1=normal, 2=complementar, 3=ajuste, 4=devolução) e tipo (0=entrada, 1=saída)
+    const finNFe = obterFinalidade(dados);
+    const tpNF = obterTipoOperacao(dados);
+    // Complementar, ajuste e devolução: presença "não se aplica"
+    const indPres = finNFe === '1' ? '1' : '0';
+    // 1=interna, 2=interestadual, 3=exterior (UF do destinatário x UF do emitente)
+    const idDest = obterDestinoOperacao(dados);
 
     // Montar itens - EXATAMENTE como no teste que funcionou
     let itensXml = '';
@@ -176,16 +387,7 @@ function montarXMLNFe(dados, config) {
             ? 'PRODUTO TESTE HOMOLOGACAO'
             : (item.descricao || 'PRODUTO').substring(0, 120);
 
-        // ICMS para Simples Nacional
-        let icmsXml;
-        if (usaCSOSN) {
-            const csosn = item.csosn || '102';
-            icmsXml = `<ICMSSN102><orig>${item.origem || '0'}</orig><CSOSN>${csosn}</CSOSN></ICMSSN102>`;
-        } else {
-            icmsXml = `<ICMS00><orig>${item.origem || '0'}</orig><CST>00</CST><modBC>0</modBC><vBC>0.00</vBC><pICMS>0.00</pICMS><vICMS>0.00</vICMS></ICMS00>`;
-        }
-
-        // PIS e COFINS - usar PISNT/COFINSNT CST 07 como no teste
+        const tributos = tributosItens[index];
         itensXml += `<det nItem="${nItem}">` +
             `<prod>` +
             `<cProd>${cProd}</cProd>` +
@@ -201,13 +403,19 @@ function montarXMLNFe(dados, config) {
             `<uTrib>UN</uTrib>` +
             `<qTrib>${qCom}</qTrib>` +
             `<vUnTrib>${vUnit}</vUnTrib>` +
+            montarValoresItemXml(rateio.itens[index]) +
             `<indTot>1</indTot>` +
             `</prod>` +
             `<imposto>` +
-            `<ICMS>${icmsXml}</ICMS>` +
-            `<PIS><PISNT><CST>07</CST></PISNT></PIS>` +
-            `<COFINS><COFINSNT><CST>07</CST></COFINSNT></COFINS>` +
+            tributos.icms.xml +
+            tributos.ipi.xml +
+            tributos.pis.xml +
+            tributos.cofins.xml +
+            tributos.difal.xml +
+            tributos.is.xml +
+            tributos.ibsCbs.xml +
             `</imposto>` +
+            tributos.ipiDevol.xml +
             `</det>`;
     });
 
@@ -215,33 +423,58 @@ function montarXMLNFe(dados, config) {
     let destXml = '';
     // Usar CPF de teste em homologação: 12345678909
     const cpfDest = tpAmb === '2' ? '12345678909' : (destinatario?.documento || destinatario?.cpf || '').replace(/\D/g, '');
-
-    if (cpfDest && cpfDest.length >= 11) {
-        const idTag = cpfDest.length === 11 ? 'CPF' : 'CNPJ';
-        const xNome = 'NF-E EMITIDA EM AMBIENTE DE HOMOLOGACAO - SEM VALOR FISCAL';
+    const estrangeiro = destinatarioEstrangeiro(destinatario);
+
+    // Indicador de IE: 1=contribuinte (informa IE), 2=isento, 9=não contribuinte
+    const indIEDest = String(destinatario?.indicador_ie || '9');
+    const ieDest = indIEDest === '1' ? (destinatario?.inscricao_estadual || '').replace(/\D/g, '') : '';
+
+    if (estrangeiro || (cpfDest && cpfDest.length >= 11)) {
+        const idXml = estrangeiro
+            ? `<idEstrangeiro>${escapeXml(destinatario.id_estrangeiro || '')}</idEstrangeiro>`
+            : `<${cpfDest.length === 11 ? 'CPF' : 'CNPJ'}>${cpfDest}</${cpfDest.length === 11 ? 'CPF' : 'CNPJ'}>`;
+        const xNome = tpAmb === '2'
+            ? 'NF-E EMITIDA EM AMBIENTE DE HOMOLOGACAO - SEM VALOR FISCAL'
+            : escapeXml((destinatario?.nome || destinatario?.razao_social || 'CONSUMIDOR').substring(0, 60));
+
+        // Endereço do destinatário; na mesma UF, sem endereço informado, vale o município do emitente
+        const enderDest = destinatario?.endereco || {};
+        const mesmaUF = idDest === '1';
+        const ufDestino = obterUFs(dados).ufDest;
+        const cMunDest = estrangeiro
+            ? '9999999'
+            : enderDest.codigo_municipio || emitente.endereco?.codigo_municipio || '5002704';
+        const xMunDest = estrangeiro
+            ? 'EXTERIOR'
+            : enderDest.cidade || (mesmaUF ? emitente.endereco?.cidade : '') || 'CAMPO GRANDE';
+        const cepDest = estrangeiro
+            ? ''
+            : String(enderDest.cep || (mesmaUF ? emitente.endereco?.cep || '79000000' : '')).replace(/\D/g, '');
 
         destXml = `<dest>` +
-            `<${idTag}>${cpfDest}</${idTag}>` +
+            idXml +
             `<xNome>${xNome}</xNome>` +
             `<enderDest>` +
-            `<xLgr>RUA TESTE</xLgr>` +
-            `<nro>1</nro>` +
-            `<xBairro>CENTRO</xBairro>` +
-            `<cMun>${emitente.endereco?.codigo_municipio || '5002704'}</cMun>` +
-            `<xMun>${emitente.endereco?.cidade || 'CAMPO GRANDE'}</xMun>` +
-            `<UF>${(uf || 'MS').toUpperCase()}</UF>` +
-            `<CEP>${(emitente.endereco?.cep || '79000000').replace(/\D/g, '')}</CEP>` +
-            `<cPais>1058</cPais>` +
-            `<xPais>BRASIL</xPais>` +
+            `<xLgr>${escapeXml((enderDest.logradouro || 'RUA TESTE').substring(0, 60))}</xLgr>` +
+            `<nro>${escapeXml(String(enderDest.numero || '1').substring(0, 60))}</nro>` +
+            `<xBairro>${escapeXml((enderDest.bairro || 'CENTRO').substring(0, 60))}</xBairro>` +
+            `<cMun>${cMunDest}</cMun>` +
+            `<xMun>${escapeXml(xMunDest.substring(0, 60))}</xMun>` +
+            `<UF>${ufDestino}</UF>` +
+            (cepDest ? `<CEP>${cepDest}</CEP>` : '') +
+            `<cPais>${estrangeiro ? enderDest.codigo_pais : '1058'}</cPais>` +
+            `<xPais>${estrangeiro ? escapeXml(String(enderDest.pais).substring(0, 60)) : 'BRASIL'}</xPais>` +
             `</enderDest>` +
-            `<indIEDest>9</indIEDest>` +
+            `<indIEDest>${estrangeiro ? '9' : indIEDest}</indIEDest>` +
+            (ieDest && !estrangeiro ? `<IE>${ieDest}</IE>` : '') +
             `</dest>`;
     }
 
-    // Pagamento
-    const vPag = formatarValor(pagamento?.valor || vNF);
-    const tPag = String(pagamento?.forma || '01').padStart(2, '0');
-    const pagXml = `<pag><detPag><tPag>${tPag}</tPag><vPag>${vPag}</vPag></detPag></pag>`;
+    // Cobrança (fatura/duplicatas)
+    const cobrXml = montarCobranca(cobranca, { vNF, dataEmissao: dhEmi.substring(0, 10), numero });
+
+    // Pagamento: com duplicatas o padrão é boleto (15) a prazo; ajuste e devolução sem pagamento (90)
+    const pagXml = montarPagamento(dados, { vNF, aPrazo: !!cobranca, semPagamento: finalidadeSemPagamento(finNFe) });
 
     // Responsável técnico - usar CNPJ do emitente como no teste
     const respTecXml = `<infRespTec>` +
@@ -263,18 +496,20 @@ function montarXMLNFe(dados, config) {
         `<serie>${serie || 1}</serie>` +
         `<nNF>${numero}</nNF>` +
         `<dhEmi>${dhEmi}</dhEmi>` +
-        `<tpNF>1</tpNF>` +
-        `<idDest>1</idDest>` +
+        `<tpNF>${tpNF}</tpNF>` +
+        `<idDest>${idDest}</idDest>` +
         `<cMunFG>${emitente.endereco?.codigo_municipio || '5002704'}</cMunFG>` +
         `<tpImp>1</tpImp>` +
-        `<tpEmis>1</tpEmis>` +
+        `<tpEmis>${tpEmis}</tpEmis>` +
         `<cDV>${cDV}</cDV>` +
         `<tpAmb>${tpAmb}</tpAmb>` +
-        `<finNFe>1</finNFe>` +
-        `<indFinal>1</indFinal>` +
-        `<indPres>1</indPres>` +
+        `<finNFe>${finNFe}</finNFe>` +
+        `<indFinal>${obterConsumidorFinal(dados)}</indFinal>` +
+        `<indPres>${indPres}</indPres>` +
         `<procEmi>0</procEmi>` +
         `<verProc>1.0</verProc>` +
+        (contingencia ? `<dhCont>${contingencia.dhCont}</dhCont><xJust>${contingencia.xJust}</xJust>` : '') +
+        montarDocumentosReferenciados(dados.documentos_referenciados) +
         `</ide>` +
         `<emit>` +
         `<CNPJ>${cnpj}</CNPJ>` +
@@ -285,7 +520,7 @@ function montarXMLNFe(dados, config) {
         `<xBairro>${(emitente.endereco?.bairro || 'CENTRO').substring(0, 60)}</xBairro>` +
         `<cMun>${emitente.endereco?.codigo_municipio || '5002704'}</cMun>` +
         `<xMun>${(emitente.endereco?.cidade || 'CAMPO GRANDE').substring(0, 60)}</xMun>` +
-        `<UF>${(uf || 'MS').toUpperCase()}</UF>` +
+        `<UF>${ufEmit}</UF>` +
         `<CEP>${(emitente.endereco?.cep || '79000000').replace(/\D/g, '')}</CEP>` +
         `<cPais>1058</cPais>` +
         `<xPais>BRASIL</xPais>` +
@@ -297,29 +532,36 @@ function montarXMLNFe(dados, config) {
         itensXml +
         `<total>` +
         `<ICMSTot>` +
-        `<vBC>0.00</vBC>` +
-        `<vICMS>0.00</vICMS>` +
-        `<vICMSDeson>0.00</vICMSDeson>` +
-        `<vFCP>0.00</vFCP>` +
-        `<vBCST>0.00</vBCST>` +
-        `<vST>0.00</vST>` +
-        `<vFCPST>0.00</vFCPST>` +
-        `<vFCPSTRet>0.00</vFCPSTRet>` +
+        `<vBC>${formatarValor(totaisICMS.vBC)}</vBC>` +
+        `<vICMS>${formatarValor(totaisICMS.vICMS)}</vICMS>` +
+        `<vICMSDeson>${formatarValor(totaisICMS.vICMSDeson)}</vICMSDeson>` +
+        montarTotaisDifalXml(tributosItens.filter(tributos => tributos.difal.totais).map(tributos => tributos.difal.totais)) +
+        `<vFCP>${formatarValor(totaisICMS.vFCP)}</vFCP>` +
+        `<vBCST>${formatarValor(totaisICMS.vBCST)}</vBCST>` +
+        `<vST>${formatarValor(totaisICMS.vST)}</vST>` +
+        `<vFCPST>${formatarValor(totaisICMS.vFCPST)}</vFCPST>` +
+        `<vFCPSTRet>${formatarValor(totaisICMS.vFCPSTRet)}</vFCPSTRet>` +
         `<vProd>${formatarValor(vProd)}</vProd>` +
-        `<vFrete>0.00</vFrete>` +
-        `<vSeg>0.00</vSeg>` +
-        `<vDesc>0.00</vDesc>` +
+        `<vFrete>${formatarValor(vFrete)}</vFrete>` +
+        `<vSeg>${formatarValor(vSeg)}</vSeg>` +
+        `<vDesc>${formatarValor(vDesc)}</vDesc>` +
         `<vII>0.00</vII>` +
-        `<vIPI>0.00</vIPI>` +
-        `<vIPIDevol>0.00</vIPIDevol>` +
-        `<vPIS>0.00</vPIS>` +
-        `<vCOFINS>0.00</vCOFINS>` +
-        `<vOutro>0.00</vOutro>` +
+        `<vIPI>${formatarValor(vIPI)}</vIPI>` +
+        `<vIPIDevol>${formatarValor(vIPIDevol)}</vIPIDevol>` +
+        `<vPIS>${formatarValor(vPIS)}</vPIS>` +
+        `<vCOFINS>${formatarValor(vCOFINS)}</vCOFINS>` +
+        `<vOutro>${formatarValor(vOutro)}</vOutro>` +
         `<vNF>${formatarValor(vNF)}</vNF>` +
         `</ICMSTot>` +
+        montarTotaisReformaTributaria(
+            tributosItens.map(tributos => tributos.is),
+            tributosItens.map(tributos => tributos.ibsCbs)
+        ) +
         `</total>` +
-        `<transp><modFrete>9</modFrete></transp>` +
+        montarTransporte(transporte) +
+        cobrXml +
         pagXml +
+        montarExportacao(dados.exportacao) +
         respTecXml +
         `</infNFe>` +
         `</NFe>`;
@@ -413,73 +655,220 @@ router.post('/atualizar-numero', (req, res) => {
 });
 
 /**
- * POST /api/nfe/emitir
- * Recebe dados JSON, monta XML e envia para /api/sefaz/autorizar
- * Usa a mesma lógica de assinatura que já funciona
- * Se número não for fornecido, gera automaticamente
+ * Valida os dados mínimos de uma NF-e recebida em JSON
+ * Retorna a mensagem de erro ou null
  */
-router.post('/emitir', async (req, res) => {
-    const startTime = Date.now();
+function validarDadosNota(dados) {
+    if (!dados.emitente || !dados.emitente.cnpj) {
+        return 'Dados do emitente não fornecidos';
+    }
 
-    try {
-        const dados = req.body;
+    if (!dados.itens || dados.itens.length === 0) {
+        return 'Itens da NF-e não fornecidos';
+    }
 
-        // Validações básicas
-        if (!dados.emitente || !dados.emitente.cnpj) {
-            return res.status(400).json({ error: 'Dados do emitente não fornecidos' });
+    const usaCSOSN = usaCSOSNRegime(Number(dados.emitente.regime_tributario || 1));
+    for (let i = 0; i < dados.itens.length; i++) {
+        const erroItem = validarICMS(dados.itens[i], usaCSOSN) ||
+            validarTributosItem(dados.itens[i]) ||
+            validarReformaTributaria(dados.itens[i]);
+        if (erroItem) {
+            return `Item ${i + 1}: ${erroItem}`;
         }
+    }
 
-        if (!dados.itens || dados.itens.length === 0) {
-            return res.status(400).json({ error: 'Itens da NF-e não fornecidos' });
-        }
+    const erroFinalidade = validarFinalidade(dados);
+    if (erroFinalidade) {
+        return erroFinalidade;
+    }
+
+    const erroDestino = validarDestinoOperacao(dados);
+    if (erroDestino) {
+        return erroDestino;
+    }
 
-        const cnpj = dados.emitente.cnpj.replace(/\D/g, '');
-        const serie = dados.serie || 1;
-        const uf = dados.uf || dados.emitente.endereco?.uf || 'MS';
-        const ambiente = dados.ambiente || 2;
+    const erroRateio = validarRateio(dados, dados.itens);
+    if (erroRateio) {
+        return erroRateio;
+    }
 
-        // Se número não foi fornecido, gerar automaticamente
-        let numero = dados.numero;
-        if (!numero) {
-            numero = obterProximoNumero(cnpj, serie);
-            logger.info(`Número NF-e gerado automaticamente: ${numero} (CNPJ: ${cnpj}, Série: ${serie})`);
+    const erroTransporte = validarTransporte(dados.transporte);
+    if (erroTransporte) {
+        return erroTransporte;
+    }
+
+    // Vencimentos a partir do dia da emissão no fuso da UF do emitente
+    const ufEmit = (dados.uf || dados.emitente.endereco?.uf || 'MS').toUpperCase();
+    const dataEmissao = gerarDataHora(ufEmit, dados.emitente.endereco?.codigo_municipio).substring(0, 10);
+    const erroCobranca = validarCobranca(dados.cobranca, dataEmissao);
+    if (erroCobranca) {
+        return erroCobranca;
+    }
+
+    // Pagamentos precisam cobrir o vNF (calculado com tributos e rateio), com a mesma forma padrão da emissão
+    return validarPagamentos(dados, calcularTotaisNota(dados).vNF, {
+        aPrazo: !!dados.cobranca,
+        semPagamento: finalidadeSemPagamento(obterFinalidade(dados)),
+    });
+}
+
+/**
+ * Consulta o cadastro do destinatário na SEFAZ (/api/sefaz/consulta-cadastro) e define indicador_ie/inscricao_estadual
+ * Só roda com "consultar_cadastro: true"; se a consulta falhar a nota segue como não contribuinte (9)
+ */
+async function definirIndicadorIEDestinatario(dados, req) {
+    const destinatario = dados.destinatario;
+    if (!dados.consultar_cadastro || !destinatario || destinatario.indicador_ie) {
+        return;
+    }
+
+    const documento = (destinatario.documento || destinatario.cpf || destinatario.cnpj || '').replace(/\D/g, '');
+    if (documento.length !== 11 && documento.length !== 14) {
+        return;
+    }
+
+    const ufDest = (destinatario.endereco?.uf || destinatario.uf || dados.uf || 'MS').toUpperCase();
+
+    try {
+        const axios = require('axios');
+        const cadastroUrl = `http://localhost:${process.env.PORT || 3100}/api/sefaz/consulta-cadastro`;
+
+        const cadastroResponse = await axios({
+            method: 'POST',
+            url: cadastroUrl,
+            data: {
+                uf: ufDest,
+                ambiente: dados.ambiente || 2,
+                [documento.length === 11 ? 'CPF' : 'CNPJ']: documento,
+                certificado: dados.certificado_base64 || dados.certificado,
+                senhaCertificado: dados.certificado_senha
+            },
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': process.env.API_KEY || req.headers['x-api-key']
+            },
+            timeout: SEFAZ_TIMEOUT
+        });
+
+        const contribuintes = cadastroResponse.data.contribuintes || [];
+        const habilitado = contribuintes.find(c => c.situacao === 'habilitado' && /^\d+$/.test(c.IE || ''));
+
+        if (habilitado) {
+            destinatario.indicador_ie = 1;
+            destinatario.inscricao_estadual = habilitado.IE;
+        } else if (contribuintes.some(c => (c.IE || '').toUpperCase() === 'ISENTO')) {
+            destinatario.indicador_ie = 2;
         } else {
-            // Atualizar controle com o número fornecido (para manter sincronizado)
-            atualizarUltimoNumero(cnpj, serie, numero);
+            destinatario.indicador_ie = 9;
         }
 
-        // Adicionar número ao dados para montagem do XML
-        dados.numero = numero;
-        dados.serie = serie;
+        logger.info(`Cadastro do destinatário ${documento} (${ufDest}): indIEDest ${destinatario.indicador_ie}`, {
+            cStat: cadastroResponse.data.cStat,
+        });
+    } catch (error) {
+        const motivo = error.response?.data?.xMotivo || error.response?.data?.error || error.message;
+        logger.warn(`Consulta cadastro do destinatário falhou, usando indIEDest 9: ${motivo}`);
+    }
+}
+
+/**
+ * Define número/série da NF-e (gerando automaticamente se necessário) e monta o XML
+ */
+function prepararNota(dados) {
+    const cnpj = dados.emitente.cnpj.replace(/\D/g, '');
+    const serie = dados.serie || 1;
+
+    // Se número não foi fornecido, gerar automaticamente
+    let numero = dados.numero;
+    if (!numero) {
+        numero = obterProximoNumero(cnpj, serie);
+        logger.info(`Número NF-e gerado automaticamente: ${numero} (CNPJ: ${cnpj}, Série: ${serie})`);
+    } else {
+        // Atualizar controle com o número fornecido (para manter sincronizado)
+        atualizarUltimoNumero(cnpj, serie, numero);
+    }
+
+    // Adicionar número ao dados para montagem do XML
+    dados.numero = numero;
+    dados.serie = serie;
 
-        // Montar XML (sem assinatura - a assinatura será feita pelo /api/sefaz/autorizar)
-        const { xml, chaveAcesso } = montarXMLNFe(dados, {});
-        logger.info(`XML montado. Chave de acesso: ${chaveAcesso}`);
-        logger.info(`XML gerado (primeiros 500 chars): ${xml.substring(0, 500)}...`);
+    // Montar XML (sem assinatura - a assinatura será feita pelo /api/sefaz/autorizar)
+    const { xml, chaveAcesso } = montarXMLNFe(dados, {});
+    logger.info(`XML montado. Chave de acesso: ${chaveAcesso}`);
 
-        // Extrair certificado da requisição (se fornecido)
-        const certificadoBase64 = dados.certificado_base64 || dados.certificado;
-        const certificadoSenha = dados.certificado_senha;
+    return { xml, chaveAcesso };
+}
 
-        // Chamar internamente o endpoint /api/sefaz/autorizar que já funciona
-        // Isso usa a mesma assinatura e envelope que passou nos testes de homologação
-        const axios = require('axios');
+/**
+ * Extrai cStat/xMotivo da NF-e a partir do resultado do /api/sefaz/autorizar
+ * Quando cStat = 104 (lote processado), o status real da NF-e está no protNFe
+ */
+function extrairStatusNota(result) {
+    let nfeCstat = result.cStat;
+    let nfeXMotivo = result.xMotivo;
 
-        // Fazer chamada interna para /api/sefaz/autorizar
-        const autorizarUrl = `http://localhost:${process.env.PORT || 3100}/api/sefaz/autorizar`;
+    if (result.cStat === 104 && result.protNFe) {
+        // Extrair cStat do protocolo da NF-e
+        const cStatMatch = result.protNFe.match(/<cStat>(\d+)<\/cStat>/);
+        const xMotivoMatch = result.protNFe.match(/<xMotivo>([^<]+)<\/xMotivo>/);
 
-        logger.info(`Chamando ${autorizarUrl} internamente`);
-        if (certificadoBase64) {
-            logger.info('Certificado fornecido na requisição será usado para assinatura');
+        if (cStatMatch) {
+            nfeCstat = parseInt(cStatMatch[1]);
+        }
+        if (xMotivoMatch) {
+            nfeXMotivo = xMotivoMatch[1];
         }
 
-        const autorizarResponse = await axios({
+        logger.info(`Status NF-e extraído do protNFe: ${nfeCstat} - ${nfeXMotivo}`);
+    }
+
+    return { nfeCstat, nfeXMotivo };
+}
+
+/**
+ * Chama internamente o /api/sefaz/autorizar (xmlNfe pode ser string ou array do lote)
+ */
+async function chamarAutorizar(req, { uf, ambiente, xmlNfe, certificadoBase64, certificadoSenha }, timeout) {
+    const axios = require('axios');
+    const autorizarUrl = `http://localhost:${process.env.PORT || 3100}/api/sefaz/autorizar`;
+
+    logger.info(`Chamando ${autorizarUrl} internamente`);
+
+    const autorizarResponse = await axios({
+        method: 'POST',
+        url: autorizarUrl,
+        data: {
+            uf: uf,
+            ambiente: ambiente,
+            xmlNfe: xmlNfe,
+            certificado: certificadoBase64,
+            senhaCertificado: certificadoSenha
+        },
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.API_KEY || req.headers['x-api-key']
+        },
+        timeout
+    });
+
+    return autorizarResponse.data;
+}
+
+/**
+ * Consulta a situação da NF-e pela chave (NfeConsultaProtocolo via /api/sefaz/consultar)
+ * Falha na consulta volta como cStat 0 (situação indefinida)
+ */
+async function consultarChave(req, { uf, ambiente, chNFe, certificadoBase64, certificadoSenha }) {
+    const axios = require('axios');
+
+    try {
+        const consultaResponse = await axios({
             method: 'POST',
-            url: autorizarUrl,
+            url: `http://localhost:${process.env.PORT || 3100}/api/sefaz/consultar`,
             data: {
-                uf: uf,
-                ambiente: ambiente,
-                xmlNfe: xml,
+                uf,
+                ambiente,
+                chNFe,
                 certificado: certificadoBase64,
                 senhaCertificado: certificadoSenha
             },
@@ -489,72 +878,879 @@ router.post('/emitir', async (req, res) => {
             },
             timeout: SEFAZ_TIMEOUT
         });
+        return consultaResponse.data;
+    } catch (error) {
+        const errData = error.response?.data || {};
+        logger.warn(`Consulta da NF-e ${chNFe} falhou: ${errData.mensagem || errData.error || error.message}`);
+        return { cStat: 0, xMotivo: `Situação indefinida: consulta da chave falhou (${errData.mensagem || errData.error || error.message})` };
+    }
+}
 
-        const tempoResposta = Date.now() - startTime;
-        const result = autorizarResponse.data;
+/**
+ * Guarda as chaves originais das notas para consulta posterior (cancelar ou inutilizar a original)
+ */
+function registrarOriginaisContingencia(notas, situacoes, { uf, ambiente, motivo }) {
+    const originais = carregarOriginaisContingencia();
+
+    notas.forEach((nota, i) => {
+        const chave = nota.chaveOriginal || nota.chaveAcesso;
+        originais[chave] = {
+            uf,
+            ambiente,
+            numero: nota.dados.numero,
+            serie: nota.dados.serie || 1,
+            chave_contingencia: nota.chaveOriginal ? nota.chaveAcesso : null,
+            cStat: situacoes[i].cStat,
+            xMotivo: situacoes[i].xMotivo,
+            motivo,
+            criadoEm: new Date().toISOString(),
+        };
+    });
+
+    salvarOriginaisContingencia(originais);
+}
+
+/**
+ * Resultado no formato de /api/sefaz/autorizar a partir da consulta das chaves
+ * (NF-e autorizada na SEFAZ de origem apesar da falha de comunicação, ou situação indefinida)
+ * Autorizada: XML assinado (mesma assinatura do envio) e protNFe da consulta, para montar o nfeProc
+ */
+function resultadoConsultaOriginais(notas, situacoes, { motivo, certificadoBase64, certificadoSenha }) {
+    const certificadoOpts = certificadoBase64 && certificadoSenha
+        ? { certBase64: certificadoBase64, certPassword: certificadoSenha }
+        : null;
+
+    const notasResultado = notas.map((nota, i) => {
+        const protNFe = situacoes[i].protNFe;
+        const cStat = protNFe?.cStat || situacoes[i].cStat;
+
+        let xmlAssinado = null;
+        if ([100, 150].includes(cStat)) {
+            try {
+                xmlAssinado = signNFeXml(nota.xml, certificadoOpts);
+            } catch (signError) {
+                logger.error(`Erro ao assinar o XML da NF-e ${nota.chaveAcesso} autorizada:`, signError.message);
+            }
+        }
 
-        // Quando cStat = 104 (lote processado), o status real da NF-e está no protNFe
-        // Precisamos extrair o cStat interno do protocolo
-        let nfeCstat = result.cStat;
-        let nfeXMotivo = result.xMotivo;
+        return {
+            chNFe: nota.chaveAcesso,
+            cStat,
+            xMotivo: protNFe?.xMotivo || situacoes[i].xMotivo,
+            nProt: protNFe?.nProt || null,
+            dhRecbto: protNFe?.dhRecbto || null,
+            // Mesmo formato do protNFe da autorização (conteúdo interno da tag)
+            protNFe: protNFe?.xml ? protNFe.xml.replace(/^<protNFe[^>]*>|<\/protNFe>$/g, '') : null,
+            xmlAssinado,
+        };
+    });
+
+    if (notasResultado.length === 1) {
+        return { ...notasResultado[0], notas: notasResultado };
+    }
+    return {
+        cStat: 0,
+        xMotivo: `Falha de comunicação (${motivo}); situação das NF-e obtida pela consulta das chaves`,
+        notas: notasResultado,
+    };
+}
+
+/**
+ * Retorna a contingência SVC ativa para a UF
+ * Vencido o intervalo de revalidação, consulta /api/sefaz/status-servico (que encerra a contingência se a SEFAZ voltou)
+ */
+async function verificarContingencia(req, uf, ambiente) {
+    const contingencia = obterContingencia(uf, ambiente);
+    if (!contingencia || !precisaRevalidar(contingencia)) {
+        return contingencia;
+    }
+
+    adiarRevalidacao(contingencia);
+
+    try {
+        const axios = require('axios');
+        await axios({
+            method: 'POST',
+            url: `http://localhost:${process.env.PORT || 3100}/api/sefaz/status-servico`,
+            data: { uf, ambiente },
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': process.env.API_KEY || req.headers['x-api-key']
+            },
+            timeout: SEFAZ_TIMEOUT
+        });
+    } catch (error) {
+        logger.warn(`Não foi possível revalidar o status da SEFAZ-${uf}: ${error.message}`);
+    }
 
-        if (result.cStat === 104 && result.protNFe) {
-            // Extrair cStat do protocolo da NF-e
-            const cStatMatch = result.protNFe.match(/<cStat>(\d+)<\/cStat>/);
-            const xMotivoMatch = result.protNFe.match(/<xMotivo>([^<]+)<\/xMotivo>/);
+    return obterContingencia(uf, ambiente);
+}
 
-            if (cStatMatch) {
-                nfeCstat = parseInt(cStatMatch[1]);
+/**
+ * Motivo para entrar em contingência a partir do resultado (ou erro) da autorização
+ * Só falhas de comunicação (timeout, conexão) e serviço paralisado (108/109) contam; rejeições não
+ */
+function motivoContingencia(result, error) {
+    if (error) {
+        if (error.response?.data?.falhaComunicacao) {
+            return error.response.data.xMotivo;
+        }
+        // Timeout da própria chamada interna: a SEFAZ não respondeu a tempo
+        if (!error.response && error.code === 'ECONNABORTED') {
+            return `Timeout na autorização: ${error.message}`;
+        }
+        return null;
+    }
+
+    return isServicoParalisado(result.cStat) ? `${result.cStat} - ${result.xMotivo}` : null;
+}
+
+/**
+ * Envia as notas para autorização; se a SEFAZ de origem estiver fora, entra em contingência SVC,
+ * regenera o XML (tpEmis 6/7, dhCont, xJust - mesmo número) e reenvia ao SVC-AN/SVC-RS
+ * Sem resposta da SEFAZ (timeout/conexão), a nota pode ter sido recebida: só vai ao SVC se a consulta
+ * pela chave confirmar que ela não consta na base; senão devolve a situação consultada. Se a consulta
+ * também falhar, a contingência é ativada para as próximas notas e estas ficam com situação indefinida
+ * notas = [{ dados, xml, chaveAcesso }] (atualizadas no lugar quando o XML é regenerado)
+ */
+async function autorizarNotas(req, { uf, ambiente, notas, lote, certificadoBase64, certificadoSenha, timeout }) {
+    const enviar = () => chamarAutorizar(req, {
+        uf,
+        ambiente,
+        xmlNfe: lote ? notas.map(n => n.xml) : notas[0].xml,
+        certificadoBase64,
+        certificadoSenha,
+    }, timeout);
+
+    let result;
+    let motivo;
+    let situacoes = null;
+    try {
+        result = await enviar();
+        motivo = motivoContingencia(result);
+    } catch (error) {
+        motivo = motivoContingencia(null, error);
+        if (!motivo || !podeUsarContingencia(notas[0].dados)) {
+            throw error;
+        }
+
+        situacoes = [];
+        for (const nota of notas) {
+            situacoes.push(await consultarChave(req, {
+                uf,
+                ambiente,
+                chNFe: nota.chaveAcesso,
+                certificadoBase64,
+                certificadoSenha,
+            }));
+        }
+
+        if (!situacoes.every(situacao => situacao.cStat === CSTAT_NFE_NAO_CONSTA)) {
+            const indefinidas = notas.filter((nota, i) => !situacoes[i].cStat);
+            if (indefinidas.length > 0) {
+                // Nem a consulta respondeu: SEFAZ de origem fora. As próximas emissões já saem no SVC;
+                // estas ficam indefinidas, pois o mesmo número só é reenviado com a chave confirmada fora da base
+                const contingencia = ativarContingencia(uf, ambiente, motivo);
+                logger.warn(`Falha de comunicação na autorização e na consulta das chaves; próximas NF-e em contingência ${contingencia.autorizador}`, { motivo });
+                registrarOriginaisContingencia(indefinidas, situacoes.filter(situacao => !situacao.cStat), { uf, ambiente, motivo });
+            } else {
+                logger.warn('Falha de comunicação na autorização; NF-e encontrada na base da SEFAZ, contingência não ativada', { motivo });
             }
-            if (xMotivoMatch) {
-                nfeXMotivo = xMotivoMatch[1];
+            return resultadoConsultaOriginais(notas, situacoes, { motivo, certificadoBase64, certificadoSenha });
+        }
+    }
+
+    if (!motivo || !podeUsarContingencia(notas[0].dados)) {
+        return result;
+    }
+
+    const contingencia = ativarContingencia(uf, ambiente, motivo);
+    logger.warn(`Reenviando ${notas.length} NF-e em contingência ${contingencia.autorizador}`, { motivo });
+
+    notas.forEach(nota => {
+        nota.chaveOriginal = nota.chaveAcesso;
+        nota.dados.contingencia = contingencia;
+        Object.assign(nota, montarXMLNFe(nota.dados, {}));
+        logger.info(`XML regenerado em contingência. Chave: ${nota.chaveAcesso} (original: ${nota.chaveOriginal})`);
+    });
+
+    if (situacoes) {
+        registrarOriginaisContingencia(notas, situacoes, { uf, ambiente, motivo });
+    }
+
+    return enviar();
+}
+
+/**
+ * Contingência automática: habilitada no servidor, não desligada na requisição (contingencia_svc: false)
+ * e a nota ainda não foi emitida em contingência
+ */
+function podeUsarContingencia(dados) {
+    return isContingenciaHabilitada() && dados.contingencia_svc !== false && !dados.contingencia;
+}
+
+/**
+ * Dados da contingência para a resposta da emissão
+ */
+function resumoContingencia(dados) {
+    if (!dados.contingencia) {
+        return null;
+    }
+
+    return {
+        autorizador: dados.contingencia.autorizador,
+        tpEmis: dados.contingencia.tpEmis,
+        dhCont: dados.contingencia.dhCont,
+        xJust: dados.contingencia.xJust,
+    };
+}
+
+/**
+ * Emite várias NF-e em um único lote enviNFe (até 50)
+ * Campos comuns (emitente, uf, ambiente, certificado) vêm do corpo; cada item de "notas" traz os dados da nota
+ */
+async function emitirLote(req, res, startTime) {
+    const base = Array.isArray(req.body) ? {} : { ...req.body };
+    const notasEntrada = Array.isArray(req.body) ? req.body : req.body.notas;
+    delete base.notas;
+
+    if (base.epec || notasEntrada.some(n => n.epec)) {
+        return res.status(400).json({ error: 'EPEC deve ser emitido nota a nota' });
+    }
+
+    if (notasEntrada.length === 0 || notasEntrada.length > LOTE_MAX_NFE) {
+        return res.status(400).json({ error: `O lote deve ter entre 1 e ${LOTE_MAX_NFE} NF-e` });
+    }
+
+    // UF, ambiente e certificado são únicos por lote (mesmo webservice e mesma conexão)
+    const primeira = { ...base, ...notasEntrada[0] };
+    const uf = primeira.uf || primeira.emitente?.endereco?.uf || 'MS';
+    const ambiente = primeira.ambiente || 2;
+    const certificadoBase64 = primeira.certificado_base64 || primeira.certificado;
+    const certificadoSenha = primeira.certificado_senha;
+
+    // SEFAZ de origem fora: todo o lote sai direto em contingência SVC
+    const contingencia = await verificarContingencia(req, uf, ambiente);
+
+    // Validar todas as notas antes de reservar qualquer número (evita lacunas a inutilizar)
+    const dadosNotas = notasEntrada.map(nota => ({ ...base, ...nota, uf, ambiente }));
+    for (let i = 0; i < dadosNotas.length; i++) {
+        const erro = validarDadosNota(dadosNotas[i]);
+        if (erro) {
+            return res.status(400).json({ error: erro, indice: i });
+        }
+    }
+
+    const notas = [];
+    for (const dados of dadosNotas) {
+        await definirIndicadorIEDestinatario(dados, req);
+        if (contingencia && dados.contingencia_svc !== false) {
+            dados.contingencia = contingencia;
+        }
+        notas.push({ dados, ...prepararNota(dados) });
+    }
+
+    logger.info(`Enviando lote com ${notas.length} NF-e`);
+
+    const result = await autorizarNotas(req, {
+        uf,
+        ambiente,
+        notas,
+        lote: true,
+        certificadoBase64,
+        certificadoSenha,
+        // Lote é assíncrono: envio + todas as consultas do recibo (senão o lote pode ser autorizado
+        // depois que a chamada já falhou, com os números consumidos)
+        timeout: tempoMaximoAutorizacaoAssincrona(),
+    });
+    const tempoResposta = Date.now() - startTime;
+
+    // Mapear cada protNFe de volta para a nota pela chave de acesso
+    const resultados = notas.map(({ dados, chaveAcesso, chaveOriginal }) => {
+        const nota = (result.notas || []).find(n => n.chNFe === chaveAcesso) || {};
+        const sucesso = nota.cStat === 100;
+        // Lote processado sem protNFe para esta chave: não herdar o 104 do lote
+        const semProtocolo = !nota.cStat && result.cStat === 104;
+
+        return {
+            sucesso,
+            numero: dados.numero,
+            serie: dados.serie,
+            chave_acesso: chaveAcesso,
+            chave_original: chaveOriginal,
+            protocolo: nota.nProt || '',
+            cStat: nota.cStat || (semProtocolo ? 0 : result.cStat),
+            xMotivo: nota.xMotivo || (semProtocolo ? 'Protocolo não retornado para esta NF-e' : result.xMotivo),
+            dhRecbto: nota.dhRecbto || '',
+            xml: sucesso ? nota.xmlAssinado : null,
+        };
+    });
+
+    logger.info(`Resultado lote ${result.idLote}: ${result.cStat} - ${result.xMotivo}`, {
+        autorizadas: resultados.filter(r => r.sucesso).length,
+        total: resultados.length,
+        tempo: tempoResposta,
+    });
+
+    res.json({
+        sucesso: resultados.every(r => r.sucesso),
+        idLote: result.idLote,
+        nRec: result.nRec,
+        cStat: result.cStat,
+        xMotivo: result.xMotivo,
+        pendente: !!result.pendente,
+        ambiente: ambiente === 1 ? 'Produção' : 'Homologação',
+        contingencia: resumoContingencia(notas[0].dados),
+        notas: resultados,
+        tempoResposta,
+    });
+}
+
+/**
+ * Emite a NF-e em contingência EPEC (tpEmis=4)
+ * Registra o evento 110140 no Ambiente Nacional e guarda a nota para transmissão posterior à SEFAZ de origem
+ */
+async function emitirEpec(req, res, startTime, dados, uf, ambiente) {
+    dados.contingencia = {
+        autorizador: 'EPEC',
+        tpEmis: '4',
+        dhCont: gerarDataHora(uf, dados.emitente.endereco?.codigo_municipio),
+        xJust: (dados.justificativa_contingencia || `SEFAZ ${uf} indisponivel para autorizacao de NF-e - emissao em contingencia EPEC`).substring(0, 256),
+    };
+
+    const { xml, chaveAcesso } = prepararNota(dados);
+
+    const axios = require('axios');
+    const epecResponse = await axios({
+        method: 'POST',
+        url: `http://localhost:${process.env.PORT || 3100}/api/sefaz/epec`,
+        data: {
+            uf: uf,
+            ambiente: ambiente,
+            xmlNfe: xml,
+            certificado: dados.certificado_base64 || dados.certificado,
+            senhaCertificado: dados.certificado_senha
+        },
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.API_KEY || req.headers['x-api-key']
+        },
+        timeout: SEFAZ_TIMEOUT
+    });
+
+    const result = epecResponse.data;
+    const tempoResposta = Date.now() - startTime;
+
+    if (result.registrado) {
+        const pendentes = carregarEpecPendentes();
+        pendentes[chaveAcesso] = {
+            uf,
+            ambiente,
+            numero: dados.numero,
+            serie: dados.serie,
+            xml: result.xmlNfeAssinado,
+            epec: { nProt: result.nProt, dhRegEvento: result.dhRegEvento },
+            criadoEm: new Date().toISOString(),
+        };
+        salvarEpecPendentes(pendentes);
+    }
+
+    logger.info(`Resultado EPEC: ${result.cStat} - ${result.xMotivo}`, {
+        chave: chaveAcesso,
+        tempo: tempoResposta,
+    });
+
+    res.json({
+        sucesso: result.registrado,
+        numero: dados.numero,
+        serie: dados.serie,
+        chave_acesso: chaveAcesso,
+        protocolo: result.nProt || '',
+        cStat: result.cStat,
+        xMotivo: result.xMotivo,
+        dhRecbto: result.dhRegEvento,
+        ambiente: ambiente === 1 ? 'Produção' : 'Homologação',
+        contingencia: resumoContingencia(dados),
+        // A NF-e ainda precisa ser transmitida à SEFAZ de origem (POST /api/nfe/epec/transmitir)
+        pendente_transmissao: result.registrado,
+        xml: result.registrado ? result.xmlNfeAssinado : null,
+        xml_evento: result.xmlEvento,
+        tempoResposta,
+    });
+}
+
+// Campos do grupo de ICMS da nota original reaproveitados na devolução (tag -> campo de item.icms)
+const CAMPOS_ICMS_DEVOLUCAO = {
+    orig: 'origem',
+    CST: 'cst',
+    CSOSN: 'csosn',
+    modBC: 'modalidade_bc',
+    pRedBC: 'reducao_bc',
+    pICMS: 'aliquota',
+    pFCP: 'aliquota_fcp',
+    modBCST: 'modalidade_bc_st',
+    pMVAST: 'mva',
+    pRedBCST: 'reducao_bc_st',
+    pICMSST: 'aliquota_st',
+    pFCPST: 'aliquota_fcp_st',
+    pCredSN: 'aliquota_credito_sn',
+};
+
+/**
+ * Converte emit/dest da nota original no destinatário da devolução
+ */
+function participanteParaDestinatario(participante, indicadorIE) {
+    const endereco = buscarElemento(participante, 'enderEmit') || buscarElemento(participante, 'enderDest');
+    const ie = obterTexto(participante, 'IE');
+
+    const idEstrangeiro = obterTexto(participante, 'idEstrangeiro');
+
+    return {
+        documento: obterTexto(participante, 'CNPJ') || obterTexto(participante, 'CPF'),
+        id_estrangeiro: idEstrangeiro !== null ? idEstrangeiro : undefined,
+        nome: obterTexto(participante, 'xNome'),
+        inscricao_estadual: ie || undefined,
+        indicador_ie: indicadorIE || (ie ? 1 : 9),
+        endereco: endereco ? {
+            logradouro: obterTexto(endereco, 'xLgr'),
+            numero: obterTexto(endereco, 'nro'),
+            bairro: obterTexto(endereco, 'xBairro'),
+            codigo_municipio: obterTexto(endereco, 'cMun'),
+            cidade: obterTexto(endereco, 'xMun'),
+            uf: obterTexto(endereco, 'UF'),
+            cep: obterTexto(endereco, 'CEP'),
+            codigo_pais: obterTexto(endereco, 'cPais'),
+            pais: obterTexto(endereco, 'xPais'),
+        } : undefined,
+    };
+}
+
+/**
+ * Tributos do item original: ICMS (mesma tributação), PIS/COFINS e IPI devolvido proporcional
+ */
+function tributosItemDevolucao(det, fracao) {
+    const tributos = {};
+
+    const icms = buscarElemento(det, 'ICMS');
+    const grupoICMS = icms && Array.from(icms.childNodes).find(child => child.nodeType === 1);
+    if (grupoICMS) {
+        tributos.icms = {};
+        Object.entries(CAMPOS_ICMS_DEVOLUCAO).forEach(([tagICMS, campo]) => {
+            const valor = obterTexto(grupoICMS, tagICMS);
+            if (valor !== null) {
+                tributos.icms[campo] = /^(orig|CST|CSOSN|modBC|modBCST)$/.test(tagICMS) ? valor : Number(valor);
             }
+        });
+    }
 
-            logger.info(`Status NF-e extraído do protNFe: ${nfeCstat} - ${nfeXMotivo}`);
+    ['PIS', 'COFINS'].forEach(nome => {
+        const grupo = buscarElemento(det, nome);
+        const cst = grupo && obterTexto(grupo, 'CST');
+        if (cst) {
+            const aliquota = obterTexto(grupo, `p${nome}`);
+            const aliquotaValor = obterTexto(grupo, 'vAliqProd');
+            tributos[nome.toLowerCase()] = {
+                cst,
+                aliquota: aliquota !== null ? Number(aliquota) : undefined,
+                aliquota_valor: aliquotaValor !== null ? Number(aliquotaValor) : undefined,
+            };
         }
+    });
 
-        logger.info(`Resultado autorização: ${nfeCstat} - ${nfeXMotivo}`, {
-            tempo: tempoResposta,
-            sucesso: nfeCstat === 100,
+    // IPI destacado na nota original volta no grupo impostoDevol
+    const vIPI = Number(obterTexto(buscarElemento(det, 'IPI'), 'vIPI') || 0);
+    if (vIPI > 0) {
+        tributos.ipi_devolvido = {
+            percentual: arredondar(fracao * 100),
+            valor: arredondar(vIPI * fracao),
+        };
+    }
+
+    return tributos;
+}
+
+/**
+ * Monta os dados da NF-e de devolução a partir do XML autorizado da nota original
+ *
+ * Emitente da nota original: devolução de entrada (tpNF 0), destinatário = destinatário original
+ * Destinatário da nota original: devolução de saída (tpNF 1), destinatário = emitente original
+ * CFOP de cada item convertido para o CFOP de devolução correspondente (ou item.cfop informado)
+ *
+ * @returns {{ dados?: Object, chave?: string, erro?: string }}
+ */
+function montarDadosDevolucao(corpo) {
+    let doc;
+    try {
+        doc = parseXml(corpo.xml);
+    } catch (e) {
+        return { erro: `XML da NF-e original inválido: ${e.message}` };
+    }
+
+    const infNFe = buscarElemento(doc, 'infNFe');
+    const cStat = obterTexto(buscarElemento(doc, 'protNFe'), 'cStat');
+    if (!infNFe || !['100', '150'].includes(cStat)) {
+        return { erro: 'XML deve ser de uma NF-e autorizada (nfeProc com protocolo de autorização)' };
+    }
+
+    const chave = (obterTexto(buscarElemento(doc, 'protNFe'), 'chNFe') ||
+        (infNFe.getAttribute('Id') || '').replace(/^NFe/, ''));
+
+    // Quem emite a devolução define o tipo da nota e o destinatário
+    const emitOriginal = buscarElemento(infNFe, 'emit');
+    const destOriginal = buscarElemento(infNFe, 'dest');
+    const documentoEmitente = corpo.emitente.cnpj.replace(/\D/g, '');
+    let tpNF;
+    let destinatario;
+    if (obterTexto(emitOriginal, 'CNPJ') === documentoEmitente) {
+        tpNF = '0';
+        destinatario = destOriginal
+            ? participanteParaDestinatario(destOriginal, Number(obterTexto(destOriginal, 'indIEDest') || 9))
+            : undefined;
+    } else if (destOriginal && obterTexto(destOriginal, 'CNPJ') === documentoEmitente) {
+        tpNF = '1';
+        destinatario = participanteParaDestinatario(emitOriginal);
+    } else {
+        return { erro: 'Emitente não é emitente nem destinatário da NF-e original' };
+    }
+
+    const dets = buscarElementos(infNFe, 'det');
+    const selecionados = Array.isArray(corpo.itens) && corpo.itens.length > 0
+        ? corpo.itens
+        : dets.map(det => ({ numero_item: Number(det.getAttribute('nItem')) }));
+
+    const itens = [];
+    for (const selecionado of selecionados) {
+        const { numero_item: numeroItem, ...camposItem } = selecionado;
+        const det = dets.find(d => Number(d.getAttribute('nItem')) === Number(numeroItem));
+        if (!det) {
+            return { erro: `Item ${numeroItem} não encontrado na NF-e original` };
+        }
+
+        const prod = buscarElemento(det, 'prod');
+        const qCom = Number(obterTexto(prod, 'qCom'));
+        const quantidade = Number(camposItem.quantidade ?? qCom);
+        if (!(quantidade > 0) || quantidade > qCom) {
+            return { erro: `Item ${numeroItem}: quantidade devolvida deve ser maior que 0 e até ${qCom}` };
+        }
+        const fracao = quantidade / qCom;
+
+        const cfopOriginal = obterTexto(prod, 'CFOP');
+        const cfop = camposItem.cfop || mapearCfopDevolucao(cfopOriginal, tpNF);
+        if (!cfop) {
+            return { erro: `Item ${numeroItem}: CFOP ${cfopOriginal} sem CFOP de devolução correspondente, informe cfop` };
+        }
+
+        // Valores acessórios da nota original proporcionais à quantidade devolvida
+        const proporcional = tagValor => {
+            const valor = Number(obterTexto(prod, tagValor) || 0);
+            return valor > 0 ? arredondar(valor * fracao) : undefined;
+        };
+
+        itens.push({
+            codigo: obterTexto(prod, 'cProd'),
+            descricao: obterTexto(prod, 'xProd'),
+            ncm: obterTexto(prod, 'NCM'),
+            quantidade,
+            valor_unitario: Number(obterTexto(prod, 'vUnCom')),
+            valor_total: quantidade === qCom
+                ? Number(obterTexto(prod, 'vProd'))
+                : arredondar(quantidade * Number(obterTexto(prod, 'vUnCom'))),
+            frete: proporcional('vFrete'),
+            seguro: proporcional('vSeg'),
+            desconto: proporcional('vDesc'),
+            outras_despesas: proporcional('vOutro'),
+            ...tributosItemDevolucao(det, fracao),
+            ...camposItem,
+            cfop,
         });
+    }
 
-        // Retornar resultado no formato esperado pelo frontend
-        res.json({
-            sucesso: nfeCstat === 100,
+    const campos = { ...corpo };
+    delete campos.xml;
+    delete campos.itens;
+
+    return {
+        chave,
+        dados: {
+            natureza_operacao: 'DEVOLUCAO DE MERCADORIA',
+            finalidade: 4,
+            tipo_operacao: tpNF,
+            destinatario,
+            documentos_referenciados: [{ chave }],
+            ...campos,
+            itens,
+        },
+    };
+}
+
+/**
+ * Emite uma NF-e a partir dos dados JSON (validação, numeração, contingência/EPEC e autorização)
+ */
+async function emitirNota(req, res, startTime, dados) {
+    // Validações básicas
+    const erroValidacao = validarDadosNota(dados);
+    if (erroValidacao) {
+        return res.status(400).json({ error: erroValidacao });
+    }
+
+    const uf = dados.uf || dados.emitente.endereco?.uf || 'MS';
+    const ambiente = dados.ambiente || 2;
+
+    await definirIndicadorIEDestinatario(dados, req);
+
+    if (dados.epec) {
+        return await emitirEpec(req, res, startTime, dados, uf, ambiente);
+    }
+
+    // SEFAZ de origem fora: emitir direto em contingência SVC
+    const contingencia = await verificarContingencia(req, uf, ambiente);
+    if (contingencia && dados.contingencia_svc !== false) {
+        dados.contingencia = contingencia;
+    }
+
+    const nota = { dados, ...prepararNota(dados) };
+    logger.info(`XML gerado (primeiros 500 chars): ${nota.xml.substring(0, 500)}...`);
+
+    // Extrair certificado da requisição (se fornecido)
+    const certificadoBase64 = dados.certificado_base64 || dados.certificado;
+    const certificadoSenha = dados.certificado_senha;
+
+    if (certificadoBase64) {
+        logger.info('Certificado fornecido na requisição será usado para assinatura');
+    }
+
+    // Chamar internamente o endpoint /api/sefaz/autorizar que já funciona
+    // Isso usa a mesma assinatura e envelope que passou nos testes de homologação
+    const result = await autorizarNotas(req, {
+        uf,
+        ambiente,
+        notas: [nota],
+        lote: false,
+        certificadoBase64,
+        certificadoSenha,
+        timeout: SEFAZ_TIMEOUT,
+    });
+
+    const tempoResposta = Date.now() - startTime;
+
+    const { nfeCstat, nfeXMotivo } = extrairStatusNota(result);
+
+    logger.info(`Resultado autorização: ${nfeCstat} - ${nfeXMotivo}`, {
+        tempo: tempoResposta,
+        sucesso: nfeCstat === 100,
+    });
+
+    // Retornar resultado no formato esperado pelo frontend
+    res.json({
+        sucesso: nfeCstat === 100,
+        numero: dados.numero,
+        serie: dados.serie || 1,
+        chave_acesso: nota.chaveAcesso,
+        chave_original: nota.chaveOriginal,
+        protocolo: result.nProt || '',
+        cStat: nfeCstat,
+        xMotivo: nfeXMotivo,
+        dhRecbto: result.dhRecbto,
+        ambiente: ambiente === 1 ? 'Produção' : 'Homologação',
+        contingencia: resumoContingencia(dados),
+        // Lote recebido (103) sem resultado ainda: consultar o recibo em /api/sefaz/ret-autorizacao
+        pendente: !!result.pendente,
+        nRec: result.pendente ? result.nRec : undefined,
+        xml: nfeCstat === 100 ? result.xmlAssinado : null,
+        tempoResposta,
+    });
+}
+
+/**
+ * Resposta de erro da emissão (falha na chamada ao autorizar ou erro interno)
+ */
+function responderErroEmissao(res, error, dados, startTime) {
+    const tempoResposta = Date.now() - startTime;
+    logger.error('Erro ao emitir NF-e:', error.message);
+
+    // Se a chamada ao autorizar falhou, extrair o erro
+    if (error.response && error.response.data) {
+        const errData = error.response.data;
+        return res.json({
+            sucesso: false,
             numero: dados.numero,
             serie: dados.serie || 1,
-            chave_acesso: chaveAcesso,
-            protocolo: result.nProt || '',
-            cStat: nfeCstat,
-            xMotivo: nfeXMotivo,
-            dhRecbto: result.dhRecbto,
-            ambiente: ambiente === 1 ? 'Produção' : 'Homologação',
-            xml: nfeCstat === 100 ? result.xmlAssinado : null,
+            chave_acesso: '',
+            protocolo: '',
+            cStat: errData.cStat || 0,
+            xMotivo: errData.xMotivo || errData.error || error.message,
+            dhRecbto: errData.dhRecbto || '',
+            ambiente: (dados.ambiente || 2) === 1 ? 'Produção' : 'Homologação',
+            xml: null,
             tempoResposta,
         });
+    }
+
+    res.status(500).json({
+        sucesso: false,
+        erro: error.message,
+        tempoResposta,
+    });
+}
+
+/**
+ * POST /api/nfe/emitir
+ * Recebe dados JSON, monta XML e envia para /api/sefaz/autorizar
+ * Usa a mesma lógica de assinatura que já funciona
+ * Se número não for fornecido, gera automaticamente
+ * Aceita também um array de notas (corpo = array ou campo "notas") enviado como um único lote
+ */
+router.post('/emitir', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        if (Array.isArray(req.body) || Array.isArray(req.body.notas)) {
+            return await emitirLote(req, res, startTime);
+        }
+
+        await emitirNota(req, res, startTime, req.body);
 
     } catch (error) {
-        const tempoResposta = Date.now() - startTime;
-        logger.error('Erro ao emitir NF-e:', error.message);
-
-        // Se a chamada ao autorizar falhou, extrair o erro
-        if (error.response && error.response.data) {
-            const errData = error.response.data;
-            return res.json({
-                sucesso: false,
-                numero: req.body.numero,
-                serie: req.body.serie || 1,
-                chave_acesso: '',
-                protocolo: '',
-                cStat: errData.cStat || 0,
-                xMotivo: errData.xMotivo || errData.error || error.message,
-                dhRecbto: errData.dhRecbto || '',
-                ambiente: (req.body.ambiente || 2) === 1 ? 'Produção' : 'Homologação',
-                xml: null,
-                tempoResposta,
-            });
+        responderErroEmissao(res, error, req.body, startTime);
+    }
+});
+
+/**
+ * POST /api/nfe/devolucao
+ * Emite a NF-e de devolução (finalidade 4) a partir do XML autorizado da nota original
+ * Corpo: xml (nfeProc), emitente, itens opcionais [{ numero_item, quantidade, ... }] para devolução parcial;
+ * demais campos seguem o /emitir e substituem os derivados da nota original
+ */
+router.post('/devolucao', async (req, res) => {
+    const startTime = Date.now();
+    let dados = req.body;
+
+    try {
+        if (!req.body.xml) {
+            return res.status(400).json({ error: 'XML da NF-e original não fornecido' });
+        }
+        if (!req.body.emitente || !req.body.emitente.cnpj) {
+            return res.status(400).json({ error: 'Dados do emitente não fornecidos' });
         }
 
+        const devolucao = montarDadosDevolucao(req.body);
+        if (devolucao.erro) {
+            return res.status(400).json({ error: devolucao.erro });
+        }
+        dados = devolucao.dados;
+
+        logger.info(`Devolução da NF-e ${devolucao.chave} ` +
+            `(${dados.tipo_operacao === '0' ? 'entrada' : 'saída'}, ${dados.itens.length} item(ns))`);
+
+        await emitirNota(req, res, startTime, dados);
+
+    } catch (error) {
+        responderErroEmissao(res, error, dados, startTime);
+    }
+});
+
+/**
+ * GET /api/nfe/epec/pendentes
+ * Lista as NF-e emitidas em EPEC que ainda não foram autorizadas pela SEFAZ de origem
+ */
+router.get('/epec/pendentes', (req, res) => {
+    const pendentes = carregarEpecPendentes();
+
+    res.json({
+        total: Object.keys(pendentes).length,
+        notas: Object.entries(pendentes).map(([chave, nota]) => ({
+            chave_acesso: chave,
+            uf: nota.uf,
+            numero: nota.numero,
+            serie: nota.serie,
+            epec: nota.epec,
+            criadoEm: nota.criadoEm,
+            ultimaTentativa: nota.ultimaTentativa || null,
+            ultimoErro: nota.ultimoErro || null,
+        })),
+    });
+});
+
+/**
+ * POST /api/nfe/epec/transmitir
+ * Transmite à SEFAZ de origem as NF-e emitidas em EPEC (todas ou a informada em "chave")
+ * Autorizadas saem da lista de pendentes; as demais ficam com o último erro registrado
+ */
+router.post('/epec/transmitir', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { chave, certificado_base64, certificado, certificado_senha } = req.body;
+        const pendentes = carregarEpecPendentes();
+        const chaves = chave ? [chave] : Object.keys(pendentes);
+
+        if (chave && !pendentes[chave]) {
+            return res.status(404).json({ error: 'NF-e não encontrada entre as pendentes de EPEC' });
+        }
+
+        const resultados = [];
+        for (const chaveAcesso of chaves) {
+            const nota = pendentes[chaveAcesso];
+
+            try {
+                const result = await chamarAutorizar(req, {
+                    uf: nota.uf,
+                    ambiente: nota.ambiente,
+                    xmlNfe: nota.xml,
+                    certificadoBase64: certificado_base64 || certificado,
+                    certificadoSenha: certificado_senha,
+                }, SEFAZ_TIMEOUT);
+
+                const { nfeCstat, nfeXMotivo } = extrairStatusNota(result);
+                const autorizada = nfeCstat === 100 || nfeCstat === 150;
+
+                if (autorizada) {
+                    delete pendentes[chaveAcesso];
+                } else {
+                    nota.ultimaTentativa = new Date().toISOString();
+                    nota.ultimoErro = `${nfeCstat} - ${nfeXMotivo}`;
+                }
+
+                resultados.push({
+                    sucesso: autorizada,
+                    chave_acesso: chaveAcesso,
+                    protocolo: result.nProt || '',
+                    cStat: nfeCstat,
+                    xMotivo: nfeXMotivo,
+                    xml: autorizada ? result.xmlAssinado : null,
+                });
+            } catch (error) {
+                const errData = error.response?.data || {};
+                nota.ultimaTentativa = new Date().toISOString();
+                nota.ultimoErro = errData.xMotivo || error.message;
+
+                resultados.push({
+                    sucesso: false,
+                    chave_acesso: chaveAcesso,
+                    cStat: errData.cStat || 0,
+                    xMotivo: nota.ultimoErro,
+                });
+            }
+        }
+
+        salvarEpecPendentes(pendentes);
+
+        const tempoResposta = Date.now() - startTime;
+        logger.info(`Transmissão EPEC: ${resultados.filter(r => r.sucesso).length}/${resultados.length} autorizadas`, {
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            sucesso: resultados.every(r => r.sucesso),
+            pendentes: Object.keys(pendentes).length,
+            notas: resultados,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro ao transmitir NF-e em EPEC:', error.message);
+
         res.status(500).json({
             sucesso: false,
             erro: error.message,
@@ -563,4 +1759,28 @@ router.post('/emitir', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/nfe/contingencia/originais
+ * Lista as chaves originais de NF-e enviadas sem resposta da SEFAZ de origem (reemitidas em SVC
+ * ou com situação indefinida), para consulta e cancelamento/inutilização da nota original
+ */
+router.get('/contingencia/originais', (req, res) => {
+    const originais = carregarOriginaisContingencia();
+
+    res.json({
+        total: Object.keys(originais).length,
+        notas: Object.entries(originais).map(([chave, nota]) => ({
+            chave_original: chave,
+            chave_contingencia: nota.chave_contingencia,
+            uf: nota.uf,
+            numero: nota.numero,
+            serie: nota.serie,
+            cStat: nota.cStat,
+            xMotivo: nota.xMotivo,
+            motivo: nota.motivo,
+            criadoEm: nota.criadoEm,
+        })),
+    });
+});
+
 module.exports = router;
@@ -6,17 +6,57 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 const forge = require('node-forge');
 const logger = require('../utils/logger');
-const { getSefazUrls, UF_CODIGOS } = require('../utils/sefaz-config');
+const { getSefazUrls, getAmbienteNacionalUrls, getContingenciaSvc, UF_CODIGOS, COD_AMBIENTE_NACIONAL } = require('../utils/sefaz-config');
 const { signNFeXml, signEventoXml, signInutXml } = require('../utils/nfe-signer');
-
-// Timeout padrão para requisições SEFAZ
-const SEFAZ_TIMEOUT = parseInt(process.env.SEFAZ_TIMEOUT) || 30000;
+const { isContingenciaHabilitada, isServicoParalisado, obterContingencia, ativarContingencia, encerrarContingencia } = require('../utils/contingencia');
+const { parseXml, buscarElemento, buscarElementos, obterTexto, elementoParaObjeto, serializarElemento } = require('../utils/xml-parser');
+const { ufPorCodigo } = require('../utils/data-hora');
+const { escapeXml } = require('../utils/xml-helpers');
+const {
+    SEFAZ_TIMEOUT,
+    RET_AUTORIZACAO_TENTATIVAS,
+    RET_AUTORIZACAO_ESPERA_MAX,
+    gerarIdLote,
+    isFalhaComunicacao,
+    montarXmlEvento,
+    gerarEnvelopeEvento,
+} = require('../utils/sefaz-comunicacao');
+
+// Limites do lote enviNFe (Manual de Orientação): 50 NF-e e 500 KB
+const LOTE_MAX_NFE = 50;
+const LOTE_MAX_BYTES = 500 * 1024;
 
 // Cache do httpsAgent com certificado
 let cachedHttpsAgent = null;
 
+// Arquivo para controle do nSeqEvento por chave/tipo de evento
+const EVENTOS_FILE = path.join(__dirname, '../../data/eventos_nfe.json');
+
+// Arquivo para controle do último NSU consultado na Distribuição DF-e por CNPJ
+const NSU_FILE = path.join(__dirname, '../../data/nsu_dfe.json');
+
+// Espera exigida pelo Ambiente Nacional após cStat 137/656 (1 hora)
+const DFE_ESPERA_MS = 60 * 60 * 1000;
+
+// Limite de Cartas de Correção por NF-e
+const CCE_MAX_SEQUENCIA = 20;
+
+// Condição de uso da CC-e - texto fixo exigido pelo schema (sem acentos)
+const CCE_XCONDUSO = 'A Carta de Correcao e disciplinada pelo paragrafo 1o-A do art. 7o do Convenio S/N, de 15 de dezembro de 1970 e pode ser utilizada para regularizacao de erro ocorrido na emissao de documento fiscal, desde que o erro nao esteja relacionado com: I - as variaveis que determinam o valor do imposto tais como: base de calculo, aliquota, diferenca de preco, quantidade, valor da operacao ou da prestacao; II - a correcao de dados cadastrais que implique mudanca do remetente ou do destinatario; III - a data de emissao ou de saida.';
+
+// Eventos de Manifestação do Destinatário (enviados ao Ambiente Nacional)
+const EVENTOS_MANIFESTACAO = {
+    'confirmacao': { tpEvento: '210200', descEvento: 'Confirmacao da Operacao' },
+    'ciencia': { tpEvento: '210210', descEvento: 'Ciencia da Operacao' },
+    'desconhecimento': { tpEvento: '210220', descEvento: 'Desconhecimento da Operacao' },
+    'nao-realizada': { tpEvento: '210240', descEvento: 'Operacao nao Realizada', exigeJustificativa: true },
+};
+
 /**
  * Cria um httpsAgent com o certificado digital configurado
  */
@@ -74,27 +114,54 @@ function getHttpsAgent() {
     }
 }
 
+/**
+ * Cria um httpsAgent com o certificado fornecido na requisição (PFX em base64)
+ */
+function criarHttpsAgentCertificado(certificado, senhaCertificado) {
+    const pfxBuffer = Buffer.from(certificado, 'base64');
+    const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(pfxBuffer));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, senhaCertificado);
+
+    const bags = p12.getBags({ bagType: forge.pki.oids.certBag });
+    const cert = bags[forge.pki.oids.certBag][0].cert;
+
+    const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag });
+    const privateKey = keyBags[forge.pki.oids.pkcs8ShroudedKeyBag][0].key;
+
+    const certPem = forge.pki.certificateToPem(cert);
+    const keyPem = forge.pki.privateKeyToPem(privateKey);
+
+    return new https.Agent({
+        cert: certPem,
+        key: keyPem,
+        rejectUnauthorized: false,
+        minVersion: 'TLSv1.2',
+    });
+}
+
 /**
  * POST /api/sefaz/status-servico
  * Consulta status do serviço da SEFAZ
  */
 router.post('/status-servico', async (req, res) => {
     const startTime = Date.now();
+    const { uf = 'SP', ambiente: ambienteParam = 2, tpEmis } = req.body;
+    const ufUpper = uf.toUpperCase();
+    const consultaSvc = ['6', '7'].includes(String(tpEmis));
+
+    // Converter ambiente para número (aceita "producao", "homologacao", 1, 2)
+    let ambiente;
+    if (ambienteParam === 'producao' || ambienteParam === 1 || ambienteParam === '1') {
+        ambiente = 1;
+    } else {
+        ambiente = 2;
+    }
 
     try {
-        const { uf = 'SP', ambiente: ambienteParam = 2 } = req.body;
-        const ufUpper = uf.toUpperCase();
         const cUF = UF_CODIGOS[ufUpper] || '35';
 
-        // Converter ambiente para número (aceita "producao", "homologacao", 1, 2)
-        let ambiente;
-        if (ambienteParam === 'producao' || ambienteParam === 1 || ambienteParam === '1') {
-            ambiente = 1;
-        } else {
-            ambiente = 2;
-        }
-
-        const urls = getSefazUrls(ufUpper, 'NfeStatusServico');
+        // tpEmis 6/7 consulta o status do SVC-AN/SVC-RS
+        const urls = getSefazUrls(ufUpper, 'NfeStatusServico', tpEmis);
         const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
 
         logger.info(`Consultando status SEFAZ-${ufUpper}`, { url: sefazUrl, ambiente });
@@ -127,12 +194,22 @@ router.post('/status-servico', async (req, res) => {
             tempo: tempoResposta,
         });
 
+        // Status da SEFAZ de origem liga/desliga a contingência SVC da UF
+        if (!consultaSvc) {
+            if (online) {
+                encerrarContingencia(ufUpper, ambiente);
+            } else if (isServicoParalisado(statusData.cStat) && isContingenciaHabilitada()) {
+                ativarContingencia(ufUpper, ambiente, `${statusData.cStat} - ${statusData.xMotivo}`);
+            }
+        }
+
         res.json({
             online,
             cStat: statusData.cStat,
             xMotivo: statusData.xMotivo,
             cUF: statusData.cUF,
             uf: ufUpper,
+            contingencia: consultaSvc ? getContingenciaSvc(ufUpper).autorizador : obterContingencia(ufUpper, ambiente),
             dhRecbto: statusData.dhRecbto,
             tMed: statusData.tMed || tempoResposta,
             ambiente: ambiente === 1 ? 'Produção' : 'Homologação',
@@ -143,6 +220,10 @@ router.post('/status-servico', async (req, res) => {
         const tempoResposta = Date.now() - startTime;
         logger.error('Erro ao consultar status SEFAZ:', error.message);
 
+        if (!consultaSvc && isFalhaComunicacao(error) && isContingenciaHabilitada()) {
+            ativarContingencia(ufUpper, ambiente, `Falha de comunicação: ${error.message}`);
+        }
+
         res.json({
             online: false,
             cStat: 0,
@@ -156,6 +237,8 @@ router.post('/status-servico', async (req, res) => {
 /**
  * POST /api/sefaz/autorizar
  * Autoriza NF-e na SEFAZ (usa certificado da requisição ou configurado no servidor)
+ * Com assincrono=true envia indSinc=0 e consulta o recibo (NFeRetAutorizacao) até o lote ser processado
+ * xmlNfe pode ser um array (até 50 NF-e no mesmo lote) - lotes com mais de uma nota são sempre assíncronos
  */
 router.post('/autorizar', async (req, res) => {
     const startTime = Date.now();
@@ -167,20 +250,34 @@ router.post('/autorizar', async (req, res) => {
             xmlNfe,
             certificado,
             senhaCertificado,
+            assincrono = false,
         } = req.body;
 
-        if (!xmlNfe) {
+        const xmlsNfe = Array.isArray(xmlNfe) ? xmlNfe : [xmlNfe].filter(Boolean);
+
+        if (xmlsNfe.length === 0) {
             return res.status(400).json({ error: 'XML da NF-e não fornecido' });
         }
 
+        if (xmlsNfe.length > LOTE_MAX_NFE) {
+            return res.status(400).json({ error: `Lote excede o limite de ${LOTE_MAX_NFE} NF-e` });
+        }
+
+        // indSinc=1 só é aceito com uma única NF-e no lote
+        const envioAssincrono = assincrono || xmlsNfe.length > 1;
+
         const ufUpper = uf.toUpperCase();
         const cUF = UF_CODIGOS[ufUpper] || '35';
         const tpAmb = ambiente === 1 ? '1' : '2';
 
-        const urls = getSefazUrls(ufUpper, 'NfeAutorizacao');
+        // NF-e em contingência SVC (tpEmis 6/7) vai para o autorizador virtual
+        const tpEmisMatch = xmlsNfe[0].match(/<tpEmis>(\d)<\/tpEmis>/);
+        const tpEmis = tpEmisMatch ? tpEmisMatch[1] : '1';
+
+        const urls = getSefazUrls(ufUpper, 'NfeAutorizacao', tpEmis);
         const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
 
-        logger.info(`Autorizando NF-e na SEFAZ-${ufUpper}`, { url: sefazUrl, ambiente });
+        logger.info(`Autorizando NF-e na SEFAZ-${ufUpper}`, { url: sefazUrl, ambiente, tpEmis, quantidade: xmlsNfe.length });
 
         // Preparar opções de certificado (se fornecido na requisição)
         const certificadoOpts = (certificado && senhaCertificado) 
@@ -188,54 +285,48 @@ router.post('/autorizar', async (req, res) => {
             : null;
 
         // === ASSINATURA DIGITAL DO XML ===
-        let xmlNfeAssinado;
-        try {
-            // Verificar se o XML já está assinado
-            if (xmlNfe.includes('<Signature')) {
-                logger.info('XML já está assinado, usando como está');
-                xmlNfeAssinado = xmlNfe;
-            } else {
-                logger.info('Assinando XML da NF-e...');
-                xmlNfeAssinado = signNFeXml(xmlNfe, certificadoOpts);
-                logger.info('XML assinado com sucesso!');
+        const xmlsAssinados = [];
+        for (let i = 0; i < xmlsNfe.length; i++) {
+            try {
+                // Verificar se o XML já está assinado
+                if (xmlsNfe[i].includes('<Signature')) {
+                    logger.info('XML já está assinado, usando como está');
+                    xmlsAssinados.push(xmlsNfe[i]);
+                } else {
+                    logger.info('Assinando XML da NF-e...');
+                    xmlsAssinados.push(signNFeXml(xmlsNfe[i], certificadoOpts));
+                    logger.info('XML assinado com sucesso!');
+                }
+            } catch (signError) {
+                logger.error('Erro ao assinar XML:', signError.message);
+                return res.status(400).json({
+                    error: 'Erro ao assinar XML da NF-e',
+                    detalhe: signError.message,
+                    indice: i,
+                });
             }
-        } catch (signError) {
-            logger.error('Erro ao assinar XML:', signError.message);
-            return res.status(400).json({
-                error: 'Erro ao assinar XML da NF-e',
-                detalhe: signError.message
-            });
         }
+        const xmlNfeAssinado = xmlsAssinados.join('');
 
         // Preparar httpsAgent - usa certificado da requisição ou do servidor
         let httpsAgent;
         if (certificado && senhaCertificado) {
             logger.info('Usando certificado fornecido na requisição para conexão HTTPS');
-            const pfxBuffer = Buffer.from(certificado, 'base64');
-            const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(pfxBuffer));
-            const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, senhaCertificado);
-
-            const bags = p12.getBags({ bagType: forge.pki.oids.certBag });
-            const cert = bags[forge.pki.oids.certBag][0].cert;
-
-            const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag });
-            const privateKey = keyBags[forge.pki.oids.pkcs8ShroudedKeyBag][0].key;
-
-            const certPem = forge.pki.certificateToPem(cert);
-            const keyPem = forge.pki.privateKeyToPem(privateKey);
-
-            httpsAgent = new https.Agent({
-                cert: certPem,
-                key: keyPem,
-                rejectUnauthorized: false,
-                minVersion: 'TLSv1.2',
-            });
+            httpsAgent = criarHttpsAgentCertificado(certificado, senhaCertificado);
         } else {
             httpsAgent = getHttpsAgent();
         }
 
         // Gerar envelope SOAP com XML assinado (sem espaços/quebras entre tags)
-        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4"><soap12:Header/><soap12:Body><nfe:nfeDadosMsg><enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><idLote>1</idLote><indSinc>1</indSinc>${xmlNfeAssinado}</enviNFe></nfe:nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+        const idLote = gerarIdLote();
+        const indSinc = envioAssincrono ? '0' : '1';
+        const xmlLote = `<enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><idLote>${idLote}</idLote><indSinc>${indSinc}</indSinc>${xmlNfeAssinado}</enviNFe>`;
+
+        if (Buffer.byteLength(xmlLote, 'utf8') > LOTE_MAX_BYTES) {
+            return res.status(400).json({ error: 'Lote excede o tamanho máximo de 500 KB' });
+        }
+
+        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4"><soap12:Header/><soap12:Body><nfe:nfeDadosMsg>${xmlLote}</nfe:nfeDadosMsg></soap12:Body></soap12:Envelope>`;
 
         // Requisição à SEFAZ com certificado
         const response = await axios({
@@ -251,18 +342,84 @@ router.post('/autorizar', async (req, res) => {
             httpsAgent: httpsAgent,
         });
 
-        const tempoResposta = Date.now() - startTime;
         const xmlResponse = response.data;
 
         // Parse da resposta
-        const autorizacaoData = parseAutorizacaoResponse(xmlResponse);
+        let autorizacaoData = parseAutorizacaoResponse(xmlResponse);
+        let protocolos = parseProtocolos(xmlResponse);
+
+        // 103 = lote recebido: o resultado só sai na consulta do recibo
+        if (autorizacaoData.cStat === 103 && autorizacaoData.nRec) {
+            logger.info(`Lote ${idLote} recebido. Consultando recibo ${autorizacaoData.nRec}...`);
+
+            // O lote já está na SEFAZ: falha na consulta do recibo não é falha de comunicação do envio
+            // (reenviar geraria duplicidade); o chamador consulta de novo em /api/sefaz/ret-autorizacao
+            let retorno = null;
+            try {
+                retorno = await consultarRecibo({
+                    uf: ufUpper,
+                    ambiente,
+                    nRec: autorizacaoData.nRec,
+                    tMed: autorizacaoData.tMed,
+                    tpEmis,
+                    httpsAgent,
+                });
+            } catch (reciboError) {
+                logger.warn(`Consulta do recibo ${autorizacaoData.nRec} falhou, lote pendente: ${reciboError.message}`);
+            }
+
+            if (retorno && retorno.cStat !== 105) {
+                protocolos = retorno.protocolos;
+                autorizacaoData = {
+                    ...autorizacaoData,
+                    cStat: retorno.cStat,
+                    xMotivo: retorno.xMotivo,
+                    chNFe: protocolos[0]?.chNFe || null,
+                    nProt: protocolos[0]?.nProt || null,
+                    protNFe: protocolos[0]?.protNFe || null,
+                    xmlResponse: retorno.xmlResponse,
+                };
+            } else {
+                autorizacaoData = {
+                    ...autorizacaoData,
+                    xMotivo: 'Lote recebido pela SEFAZ, processamento pendente: consulte o recibo (nRec)',
+                    pendente: true,
+                };
+            }
+        }
+
+        const tempoResposta = Date.now() - startTime;
+
+        // Associar cada protNFe à sua NF-e pela chave de acesso (Id da infNFe)
+        const notas = xmlsAssinados.map(xmlAssinado => {
+            const chaveMatch = xmlAssinado.match(/Id="NFe(\d{44})"/);
+            const chNFe = chaveMatch ? chaveMatch[1] : null;
+            const protocolo = protocolos.find(p => p.chNFe === chNFe);
+
+            return {
+                chNFe,
+                cStat: protocolo?.cStat || null,
+                xMotivo: protocolo?.xMotivo || null,
+                nProt: protocolo?.nProt || null,
+                dhRecbto: protocolo?.dhRecbto || null,
+                protNFe: protocolo?.protNFe || null,
+                xmlAssinado,
+            };
+        });
 
         logger.info(`Autorização NF-e: ${autorizacaoData.cStat} - ${autorizacaoData.xMotivo}`, {
+            idLote,
+            quantidade: notas.length,
             tempo: tempoResposta,
         });
 
         res.json({
             ...autorizacaoData,
+            idLote,
+            tpEmis,
+            protocolos,
+            notas,
+            xmlAssinado: xmlsAssinados.length === 1 ? xmlsAssinados[0] : undefined,
             tempoResposta,
         });
 
@@ -270,6 +427,59 @@ router.post('/autorizar', async (req, res) => {
         const tempoResposta = Date.now() - startTime;
         logger.error('Erro ao autorizar NF-e:', error.message);
 
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            // Sem resposta válida da SEFAZ (timeout, conexão recusada, HTTP 5xx): usado para entrar em contingência
+            falhaComunicacao: isFalhaComunicacao(error),
+            tempoResposta,
+        });
+    }
+});
+
+/**
+ * POST /api/sefaz/ret-autorizacao
+ * Consulta o resultado de um lote enviado no modo assíncrono pelo número do recibo (nRec)
+ */
+router.post('/ret-autorizacao', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uf = 'SP',
+            ambiente = 2,
+            nRec,
+            tpEmis,
+            certificado,
+            senhaCertificado,
+        } = req.body;
+
+        if (!nRec) {
+            return res.status(400).json({ error: 'Número do recibo (nRec) não fornecido' });
+        }
+
+        const httpsAgent = (certificado && senhaCertificado)
+            ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+            : getHttpsAgent();
+
+        const retorno = await consultarRecibo({
+            uf: uf.toUpperCase(),
+            ambiente,
+            nRec,
+            tpEmis,
+            httpsAgent,
+        });
+
+        res.json({
+            ...retorno,
+            tempoResposta: Date.now() - startTime,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro ao consultar recibo:', error.message);
+
         res.status(500).json({
             cStat: 0,
             xMotivo: `Erro: ${error.message}`,
@@ -299,10 +509,6 @@ router.post('/consultar', async (req, res) => {
             return res.status(400).json({ error: 'Chave da NF-e não fornecida' });
         }
 
-        if (!certificado || !senhaCertificado) {
-            return res.status(400).json({ error: 'Certificado digital não fornecido' });
-        }
-
         const ufUpper = uf.toUpperCase();
 
         const urls = getSefazUrls(ufUpper, 'NfeConsultaProtocolo');
@@ -310,20 +516,6 @@ router.post('/consultar', async (req, res) => {
 
         logger.info(`Consultando NF-e ${chNFe} na SEFAZ-${ufUpper}`);
 
-        // Carregar certificado
-        const pfxBuffer = Buffer.from(certificado, 'base64');
-        const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(pfxBuffer));
-        const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, senhaCertificado);
-
-        const bags = p12.getBags({ bagType: forge.pki.oids.certBag });
-        const cert = bags[forge.pki.oids.certBag][0].cert;
-
-        const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag });
-        const privateKey = keyBags[forge.pki.oids.pkcs8ShroudedKeyBag][0].key;
-
-        const certPem = forge.pki.certificateToPem(cert);
-        const keyPem = forge.pki.privateKeyToPem(privateKey);
-
         // Gerar envelope SOAP
         const envelope = gerarEnvelopeConsulta(ambiente, chNFe);
 
@@ -336,17 +528,22 @@ router.post('/consultar', async (req, res) => {
                 'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeConsultaProtocolo4/nfeConsultaNF',
             },
             timeout: SEFAZ_TIMEOUT,
-            httpsAgent: new https.Agent({
-                cert: certPem,
-                key: keyPem,
-                rejectUnauthorized: false,
-                minVersion: 'TLSv1.2',
-            }),
+            httpsAgent: (certificado && senhaCertificado)
+                ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+                : getHttpsAgent(),
         });
 
         const tempoResposta = Date.now() - startTime;
+        const consultaData = parseConsultaResponse(response.data);
+
+        logger.info(`Consulta NF-e: ${consultaData.cStat} - ${consultaData.xMotivo}`, {
+            situacao: consultaData.situacao,
+            eventos: consultaData.eventos.length,
+            tempo: tempoResposta,
+        });
 
         res.json({
+            ...consultaData,
             xmlResponse: response.data,
             tempoResposta,
         });
@@ -386,24 +583,25 @@ router.post('/debug-cancelar', async (req, res) => {
         const ufUpper = uf.toUpperCase();
         const cUF = UF_CODIGOS[ufUpper] || '50';
         const tpAmb = ambiente === 1 ? '1' : '2';
-        const CNPJ = chNFe.substring(6, 20);
-        // Formato dhEvento: AAAA-MM-DDThh:mm:ssTZD (timezone -04:00 para MS)
-        // Subtrair 4 horas do UTC para obter hora local de MS
-        const now = new Date();
-        now.setHours(now.getHours() - 4);
-        const dhEvento = now.toISOString().slice(0, 19) + '-04:00';
-        const nSeqEvento = '1';
-        const idEvento = `ID110111${chNFe}${nSeqEvento.padStart(2, '0')}`;
-        const idLote = Date.now().toString().padStart(15, '0');
+        const idLote = gerarIdLote();
 
         // XML do Evento de Cancelamento
-        const xmlEvento = `<evento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><infEvento Id="${idEvento}"><cOrgao>${cUF}</cOrgao><tpAmb>${tpAmb}</tpAmb><CNPJ>${CNPJ}</CNPJ><chNFe>${chNFe}</chNFe><dhEvento>${dhEvento}</dhEvento><tpEvento>110111</tpEvento><nSeqEvento>${nSeqEvento}</nSeqEvento><verEvento>1.00</verEvento><detEvento versao="1.00"><descEvento>Cancelamento</descEvento><nProt>${nProt}</nProt><xJust>${xJust}</xJust></detEvento></infEvento></evento>`;
+        const { xmlEvento, idEvento } = montarXmlEvento({
+            cOrgao: cUF,
+            tpAmb,
+            uf: ufUpper,
+            CNPJ: chNFe.substring(6, 20),
+            chNFe,
+            tpEvento: '110111',
+            nSeqEvento: 1,
+            detEvento: `<descEvento>Cancelamento</descEvento><nProt>${nProt}</nProt><xJust>${xJust}</xJust>`,
+        });
 
         // Assinar o evento
         let xmlEventoAssinado = signEventoXml(xmlEvento);
 
         // Envelope SOAP
-        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4"><envEvento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><idLote>${idLote}</idLote>${xmlEventoAssinado}</envEvento></nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+        const envelope = gerarEnvelopeEvento(idLote, xmlEventoAssinado);
 
         res.json({
             xmlEvento,
@@ -451,16 +649,7 @@ router.post('/cancelar', async (req, res) => {
         const ufUpper = uf.toUpperCase();
         const cUF = UF_CODIGOS[ufUpper] || '50';
         const tpAmb = ambiente === 1 ? '1' : '2';
-        const CNPJ = chNFe.substring(6, 20);
-        // Formato dhEvento: AAAA-MM-DDThh:mm:ssTZD (timezone -04:00 para MS)
-        // Subtrair 4 horas do UTC para obter hora local de MS
-        const now = new Date();
-        now.setHours(now.getHours() - 4);
-        const dhEvento = now.toISOString().slice(0, 19) + '-04:00';
-        const nSeqEvento = '1';
-        const idEvento = `ID110111${chNFe}${nSeqEvento.padStart(2, '0')}`;
-        // idLote deve ser numérico com até 15 dígitos
-        const idLote = Date.now().toString().padStart(15, '0');
+        const idLote = gerarIdLote();
 
         const urls = getSefazUrls(ufUpper, 'RecepcaoEvento');
         const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
@@ -468,7 +657,16 @@ router.post('/cancelar', async (req, res) => {
         logger.info(`Cancelando NF-e ${chNFe} na SEFAZ-${ufUpper}`);
 
         // XML do Evento de Cancelamento - layout correto conforme NT 2020.006
-        const xmlEvento = `<evento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><infEvento Id="${idEvento}"><cOrgao>${cUF}</cOrgao><tpAmb>${tpAmb}</tpAmb><CNPJ>${CNPJ}</CNPJ><chNFe>${chNFe}</chNFe><dhEvento>${dhEvento}</dhEvento><tpEvento>110111</tpEvento><nSeqEvento>${nSeqEvento}</nSeqEvento><verEvento>1.00</verEvento><detEvento versao="1.00"><descEvento>Cancelamento</descEvento><nProt>${nProt}</nProt><xJust>${xJust}</xJust></detEvento></infEvento></evento>`;
+        const { xmlEvento } = montarXmlEvento({
+            cOrgao: cUF,
+            tpAmb,
+            uf: ufUpper,
+            CNPJ: chNFe.substring(6, 20),
+            chNFe,
+            tpEvento: '110111',
+            nSeqEvento: 1,
+            detEvento: `<descEvento>Cancelamento</descEvento><nProt>${nProt}</nProt><xJust>${xJust}</xJust>`,
+        });
 
         // Assinar o evento
         let xmlEventoAssinado;
@@ -484,26 +682,13 @@ router.post('/cancelar', async (req, res) => {
         }
 
         // Envelope SOAP - envEvento contém o evento assinado
-        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4"><envEvento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><idLote>${idLote}</idLote>${xmlEventoAssinado}</envEvento></nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+        const envelope = gerarEnvelopeEvento(idLote, xmlEventoAssinado);
 
         // Log para debug
         logger.info('Envelope SOAP Cancelamento (primeiros 2000 chars):', envelope.substring(0, 2000));
 
-        const response = await axios({
-            method: 'POST',
-            url: sefazUrl,
-            data: envelope,
-            headers: {
-                'Content-Type': 'application/soap+xml; charset=utf-8',
-                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4/nfeRecepcaoEvento',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
-            },
-            timeout: SEFAZ_TIMEOUT,
-            httpsAgent: getHttpsAgent(),
-        });
-
+        const xmlResponse = await enviarEvento(sefazUrl, envelope, getHttpsAgent());
         const tempoResposta = Date.now() - startTime;
-        const xmlResponse = response.data;
 
         // Parse da resposta
         const eventoData = parseEventoResponse(xmlResponse);
@@ -531,98 +716,122 @@ router.post('/cancelar', async (req, res) => {
 });
 
 /**
- * POST /api/sefaz/inutilizar
- * Inutiliza faixa de numeração na SEFAZ
+ * POST /api/sefaz/carta-correcao
+ * Carta de Correção Eletrônica - CC-e (Evento 110110)
+ * O nSeqEvento é controlado por chave (até 20 correções); a última CC-e substitui as anteriores
  */
-router.post('/inutilizar', async (req, res) => {
+router.post('/carta-correcao', async (req, res) => {
     const startTime = Date.now();
 
     try {
         const {
             uf = 'MS',
             ambiente = 2,
-            ano,
-            CNPJ,
-            mod = '55',
-            serie,
-            nNFIni,
-            nNFFin,
-            xJust
+            chNFe,
+            xCorrecao,
+            nSeqEvento: nSeqEventoParam,
         } = req.body;
 
-        if (!ano || !CNPJ || !serie || !nNFIni || !nNFFin || !xJust) {
+        if (!chNFe || !xCorrecao) {
             return res.status(400).json({
-                error: 'Parâmetros obrigatórios: ano, CNPJ, serie, nNFIni, nNFFin, xJust'
+                error: 'Parâmetros obrigatórios: chNFe, xCorrecao'
             });
         }
 
-        if (xJust.length < 15) {
+        if (!/^\d{44}$/.test(chNFe)) {
             return res.status(400).json({
-                error: 'Justificativa deve ter no mínimo 15 caracteres'
+                error: 'Chave da NF-e deve ter 44 dígitos'
+            });
+        }
+
+        const correcao = String(xCorrecao).replace(/\s+/g, ' ').trim();
+        if (correcao.length < 15 || correcao.length > 1000) {
+            return res.status(400).json({
+                error: 'Texto da correção deve ter entre 15 e 1000 caracteres'
+            });
+        }
+
+        // Sequência: informada pelo cliente ou próxima a partir do controle local
+        const seqInformada = nSeqEventoParam !== undefined && nSeqEventoParam !== null && nSeqEventoParam !== '';
+        if (seqInformada) {
+            const seq = Number(nSeqEventoParam);
+            if (!Number.isInteger(seq) || seq < 1 || seq > CCE_MAX_SEQUENCIA) {
+                return res.status(400).json({
+                    error: `nSeqEvento deve ser um número inteiro entre 1 e ${CCE_MAX_SEQUENCIA}`,
+                    nSeqEvento: nSeqEventoParam,
+                });
+            }
+        }
+
+        const nSeqEvento = seqInformada
+            ? Number(nSeqEventoParam)
+            : obterUltimaSequenciaEvento(chNFe, '110110') + 1;
+
+        if (nSeqEvento > CCE_MAX_SEQUENCIA) {
+            return res.status(400).json({
+                error: `Limite de ${CCE_MAX_SEQUENCIA} Cartas de Correção atingido para esta NF-e`,
+                nSeqEvento,
             });
         }
 
         const ufUpper = uf.toUpperCase();
         const cUF = UF_CODIGOS[ufUpper] || '50';
         const tpAmb = ambiente === 1 ? '1' : '2';
-        const anoStr = ano.toString().slice(-2);
-        const idInut = `ID${cUF}${anoStr}${CNPJ}${mod}${serie.toString().padStart(3, '0')}${nNFIni.toString().padStart(9, '0')}${nNFFin.toString().padStart(9, '0')}`;
+        const idLote = gerarIdLote();
 
-        const urls = getSefazUrls(ufUpper, 'NfeInutilizacao');
+        const urls = getSefazUrls(ufUpper, 'RecepcaoEvento');
         const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
 
-        logger.info(`Inutilizando NF-e ${nNFIni}-${nNFFin} série ${serie} na SEFAZ-${ufUpper}`);
+        logger.info(`Enviando CC-e ${nSeqEvento} da NF-e ${chNFe} na SEFAZ-${ufUpper}`);
 
-        // XML da Inutilização
-        const xmlInut = `<inutNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><infInut Id="${idInut}"><tpAmb>${tpAmb}</tpAmb><xServ>INUTILIZAR</xServ><cUF>${cUF}</cUF><ano>${anoStr}</ano><CNPJ>${CNPJ}</CNPJ><mod>${mod}</mod><serie>${serie}</serie><nNFIni>${nNFIni}</nNFIni><nNFFin>${nNFFin}</nNFFin><xJust>${xJust}</xJust></infInut></inutNFe>`;
+        const { xmlEvento } = montarXmlEvento({
+            cOrgao: cUF,
+            tpAmb,
+            uf: ufUpper,
+            CNPJ: chNFe.substring(6, 20),
+            chNFe,
+            tpEvento: '110110',
+            nSeqEvento,
+            detEvento: `<descEvento>Carta de Correcao</descEvento><xCorrecao>${escapeXml(correcao)}</xCorrecao><xCondUso>${CCE_XCONDUSO}</xCondUso>`,
+        });
 
-        // Assinar a inutilização
-        let xmlInutAssinado;
+        // Assinar o evento
+        let xmlEventoAssinado;
         try {
-            xmlInutAssinado = signInutXml(xmlInut);
-            logger.info('Inutilização assinada com sucesso');
+            xmlEventoAssinado = signEventoXml(xmlEvento);
+            logger.info('Evento de CC-e assinado com sucesso');
         } catch (signError) {
-            logger.error('Erro ao assinar inutilização:', signError.message);
+            logger.error('Erro ao assinar evento:', signError.message);
             return res.status(400).json({
-                error: 'Erro ao assinar inutilização',
+                error: 'Erro ao assinar Carta de Correção',
                 detalhe: signError.message
             });
         }
 
-        // Envelope SOAP
-        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4">${xmlInutAssinado}</nfeDadosMsg></soap12:Body></soap12:Envelope>`;
-
-        const response = await axios({
-            method: 'POST',
-            url: sefazUrl,
-            data: envelope,
-            headers: {
-                'Content-Type': 'application/soap+xml; charset=utf-8',
-                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4/nfeInutilizacaoNF',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
-            },
-            timeout: SEFAZ_TIMEOUT,
-            httpsAgent: getHttpsAgent(),
-        });
-
+        const envelope = gerarEnvelopeEvento(idLote, xmlEventoAssinado);
+        const xmlResponse = await enviarEvento(sefazUrl, envelope, getHttpsAgent());
         const tempoResposta = Date.now() - startTime;
-        const xmlResponse = response.data;
 
-        // Parse da resposta
-        const inutData = parseInutilizacaoResponse(xmlResponse);
+        const eventoData = parseEventoResponse(xmlResponse);
 
-        logger.info(`Inutilização: ${inutData.cStat} - ${inutData.xMotivo}`, {
+        // 135 = evento registrado e vinculado, 136 = registrado mas não vinculado
+        if (eventoData.cStat === 135 || eventoData.cStat === 136) {
+            registrarSequenciaEvento(chNFe, '110110', nSeqEvento);
+        }
+
+        logger.info(`CC-e NF-e: ${eventoData.cStat} - ${eventoData.xMotivo}`, {
             tempo: tempoResposta,
         });
 
         res.json({
-            ...inutData,
+            ...eventoData,
+            nSeqEvento,
             tempoResposta,
         });
 
     } catch (error) {
         const tempoResposta = Date.now() - startTime;
-        logger.error('Erro ao inutilizar:', error.message);
+        logger.error('Erro ao enviar CC-e:', error.message);
 
         res.status(500).json({
             cStat: 0,
@@ -633,67 +842,818 @@ router.post('/inutilizar', async (req, res) => {
     }
 });
 
-// ============== Funções Auxiliares ==============
+/**
+ * POST /api/sefaz/epec
+ * Evento Prévio de Emissão em Contingência (110140) no Ambiente Nacional - NF-e modelo 55
+ * Recebe o XML da NF-e já gerado com tpEmis=4; o evento é montado a partir dos dados da nota
+ * A NF-e assinada é devolvida para ser transmitida à SEFAZ de origem quando ela voltar
+ */
+router.post('/epec', async (req, res) => {
+    const startTime = Date.now();
 
-function gerarEnvelopeStatusServico(ambiente, cUF) {
-    const tpAmb = ambiente === 1 ? '1' : '2';
+    try {
+        const {
+            uf = 'MS',
+            ambiente = 2,
+            xmlNfe,
+            certificado,
+            senhaCertificado,
+        } = req.body;
 
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeStatusServico4">
-  <soap12:Header/>
-  <soap12:Body>
-    <nfe:nfeDadosMsg>
-      <consStatServ xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
-        <tpAmb>${tpAmb}</tpAmb>
-        <cUF>${cUF}</cUF>
-        <xServ>STATUS</xServ>
-      </consStatServ>
-    </nfe:nfeDadosMsg>
-  </soap12:Body>
-</soap12:Envelope>`;
-}
+        if (!xmlNfe) {
+            return res.status(400).json({ error: 'XML da NF-e não fornecido' });
+        }
 
-function gerarEnvelopeAutorizacao(ambiente, xmlNfe) {
-    const tpAmb = ambiente === 1 ? '1' : '2';
+        const ufUpper = uf.toUpperCase();
+        const tpAmb = ambiente === 1 ? '1' : '2';
+        const certificadoOpts = (certificado && senhaCertificado)
+            ? { certBase64: certificado, certPassword: senhaCertificado }
+            : null;
 
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4">
-  <soap12:Header/>
-  <soap12:Body>
-    <nfe:nfeDadosMsg>
-      <enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
-        <idLote>1</idLote>
-        <indSinc>1</indSinc>
-        ${xmlNfe}
-      </enviNFe>
-    </nfe:nfeDadosMsg>
-  </soap12:Body>
-</soap12:Envelope>`;
-}
+        const doc = parseXml(xmlNfe);
+        const infNFe = buscarElemento(doc, 'infNFe');
+        const chNFe = (infNFe?.getAttribute('Id') || '').replace(/^NFe/, '');
 
-function gerarEnvelopeConsulta(ambiente, chNFe) {
-    const tpAmb = ambiente === 1 ? '1' : '2';
+        if (!/^\d{44}$/.test(chNFe)) {
+            return res.status(400).json({ error: 'Chave de acesso (Id da infNFe) inválida' });
+        }
 
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeConsultaProtocolo4">
-  <soap12:Header/>
-  <soap12:Body>
-    <nfe:nfeDadosMsg>
-      <consSitNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
-        <tpAmb>${tpAmb}</tpAmb>
-        <xServ>CONSULTAR</xServ>
-        <chNFe>${chNFe}</chNFe>
-      </consSitNFe>
-    </nfe:nfeDadosMsg>
-  </soap12:Body>
-</soap12:Envelope>`;
-}
+        // Modelo (posições 21-22) e tpEmis (posição 35) fazem parte da chave
+        if (chNFe.substring(20, 22) !== '55' || chNFe.charAt(34) !== '4') {
+            return res.status(400).json({ error: 'EPEC exige NF-e modelo 55 emitida com tpEmis=4' });
+        }
 
-function parseStatusResponse(xmlResponse) {
-    const cStatMatch = xmlResponse.match(/<cStat>(\d+)<\/cStat>/);
-    const xMotivoMatch = xmlResponse.match(/<xMotivo>([^<]+)<\/xMotivo>/);
-    const cUFMatch = xmlResponse.match(/<cUF>(\d+)<\/cUF>/);
-    const dhRecbtoMatch = xmlResponse.match(/<dhRecbto>([^<]+)<\/dhRecbto>/);
+        const emit = buscarElemento(infNFe, 'emit');
+        const dest = buscarElemento(infNFe, 'dest');
+        const icmsTot = buscarElemento(infNFe, 'ICMSTot');
+
+        if (!dest) {
+            return res.status(400).json({ error: 'EPEC exige destinatário identificado na NF-e' });
+        }
+
+        // Destinatário: UF "EX" para estrangeiro; IE só quando informada
+        const idEstrangeiro = buscarElemento(dest, 'idEstrangeiro');
+        const destDocXml = idEstrangeiro
+            ? `<idEstrangeiro>${idEstrangeiro.textContent}</idEstrangeiro>`
+            : (obterTexto(dest, 'CNPJ') ? `<CNPJ>${obterTexto(dest, 'CNPJ')}</CNPJ>` : `<CPF>${obterTexto(dest, 'CPF')}</CPF>`);
+        const ufDest = idEstrangeiro ? 'EX' : (obterTexto(dest, 'UF') || ufUpper);
+        const ieDest = obterTexto(dest, 'IE');
+
+        const detEvento = `<descEvento>EPEC</descEvento>` +
+            `<cOrgaoAutor>${chNFe.substring(0, 2)}</cOrgaoAutor>` +
+            `<tpAutor>1</tpAutor>` +
+            `<verAplic>1.0</verAplic>` +
+            `<dhEmi>${obterTexto(infNFe, 'dhEmi')}</dhEmi>` +
+            `<tpNF>${obterTexto(infNFe, 'tpNF')}</tpNF>` +
+            `<IE>${obterTexto(emit, 'IE')}</IE>` +
+            `<dest>` +
+            `<UF>${ufDest}</UF>` +
+            destDocXml +
+            (ieDest ? `<IE>${ieDest}</IE>` : '') +
+            `<vNF>${obterTexto(icmsTot, 'vNF')}</vNF>` +
+            `<vICMS>${obterTexto(icmsTot, 'vICMS') || '0.00'}</vICMS>` +
+            `<vST>${obterTexto(icmsTot, 'vST') || '0.00'}</vST>` +
+            `</dest>`;
+
+        const { xmlEvento } = montarXmlEvento({
+            cOrgao: COD_AMBIENTE_NACIONAL,
+            tpAmb,
+            uf: ufUpper,
+            CNPJ: chNFe.substring(6, 20),
+            chNFe,
+            tpEvento: '110140',
+            nSeqEvento: 1,
+            detEvento,
+        });
+
+        // Assinar a NF-e (se ainda não assinada) e o evento com o mesmo certificado
+        let xmlNfeAssinado;
+        let xmlEventoAssinado;
+        try {
+            xmlNfeAssinado = xmlNfe.includes('<Signature') ? xmlNfe : signNFeXml(xmlNfe, certificadoOpts);
+            xmlEventoAssinado = signEventoXml(xmlEvento, certificadoOpts);
+        } catch (signError) {
+            logger.error('Erro ao assinar EPEC:', signError.message);
+            return res.status(400).json({
+                error: 'Erro ao assinar EPEC',
+                detalhe: signError.message
+            });
+        }
+
+        const urls = getAmbienteNacionalUrls('RecepcaoEvento');
+        const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+        logger.info(`Enviando EPEC da NF-e ${chNFe} ao Ambiente Nacional`);
+
+        const httpsAgent = certificadoOpts
+            ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+            : getHttpsAgent();
+
+        const envelope = gerarEnvelopeEvento(gerarIdLote(), xmlEventoAssinado);
+        const xmlResponse = await enviarEvento(sefazUrl, envelope, httpsAgent);
+        const tempoResposta = Date.now() - startTime;
+
+        const eventoData = parseEventoResponse(xmlResponse);
+
+        // 136 = evento registrado (NF-e ainda não existe na SEFAZ de origem)
+        const registrado = eventoData.cStat === 135 || eventoData.cStat === 136;
+
+        logger.info(`EPEC NF-e: ${eventoData.cStat} - ${eventoData.xMotivo}`, {
+            chNFe,
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            ...eventoData,
+            registrado,
+            chNFe,
+            xmlEvento: xmlEventoAssinado,
+            xmlNfeAssinado,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro no EPEC:', error.message);
+
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            tempoResposta,
+        });
+    }
+});
+
+/**
+ * POST /api/sefaz/manifestacao/:tipo
+ * Manifestação do Destinatário no Ambiente Nacional
+ * tipo: ciencia (210210), confirmacao (210200), desconhecimento (210220), nao-realizada (210240)
+ */
+router.post('/manifestacao/:tipo', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const evento = EVENTOS_MANIFESTACAO[req.params.tipo];
+        if (!evento) {
+            return res.status(400).json({
+                error: `Tipo de manifestação inválido. Use: ${Object.keys(EVENTOS_MANIFESTACAO).join(', ')}`
+            });
+        }
+
+        const {
+            uf,
+            ambiente = 2,
+            chNFe,
+            CNPJ,
+            CPF,
+            xJust,
+            nSeqEvento = 1,
+        } = req.body;
+
+        const documento = (CNPJ || CPF || '').replace(/\D/g, '');
+
+        if (!chNFe || !documento) {
+            return res.status(400).json({
+                error: 'Parâmetros obrigatórios: chNFe, CNPJ (ou CPF) do destinatário'
+            });
+        }
+
+        if (!/^\d{44}$/.test(chNFe)) {
+            return res.status(400).json({
+                error: 'Chave da NF-e deve ter 44 dígitos'
+            });
+        }
+
+        // dhEvento no fuso da UF do destinatário (autor); sem uf, usa a UF da chave
+        const ufDestinatario = UF_CODIGOS[String(uf || '').toUpperCase()] ? uf.toUpperCase() : ufPorCodigo(chNFe.substring(0, 2));
+
+        // Operação não Realizada exige justificativa de 15 a 255 caracteres
+        let detEvento = `<descEvento>${evento.descEvento}</descEvento>`;
+        if (evento.exigeJustificativa) {
+            const justificativa = String(xJust || '').replace(/\s+/g, ' ').trim();
+            if (justificativa.length < 15 || justificativa.length > 255) {
+                return res.status(400).json({
+                    error: 'Justificativa deve ter entre 15 e 255 caracteres para Operação não Realizada'
+                });
+            }
+            detEvento += `<xJust>${escapeXml(justificativa)}</xJust>`;
+        }
+
+        const tpAmb = ambiente === 1 ? '1' : '2';
+        const idLote = gerarIdLote();
+
+        const urls = getAmbienteNacionalUrls('RecepcaoEvento');
+        const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+        logger.info(`Manifestação ${evento.tpEvento} (${evento.descEvento}) da NF-e ${chNFe} no Ambiente Nacional`);
+
+        const { xmlEvento } = montarXmlEvento({
+            cOrgao: COD_AMBIENTE_NACIONAL,
+            tpAmb,
+            uf: ufDestinatario,
+            CNPJ: documento.length === 14 ? documento : undefined,
+            CPF: documento.length === 11 ? documento : undefined,
+            chNFe,
+            tpEvento: evento.tpEvento,
+            nSeqEvento,
+            detEvento,
+        });
+
+        // Assinar o evento
+        let xmlEventoAssinado;
+        try {
+            xmlEventoAssinado = signEventoXml(xmlEvento);
+            logger.info('Evento de manifestação assinado com sucesso');
+        } catch (signError) {
+            logger.error('Erro ao assinar evento:', signError.message);
+            return res.status(400).json({
+                error: 'Erro ao assinar evento de manifestação',
+                detalhe: signError.message
+            });
+        }
+
+        const envelope = gerarEnvelopeEvento(idLote, xmlEventoAssinado);
+        const xmlResponse = await enviarEvento(sefazUrl, envelope, getHttpsAgent());
+        const tempoResposta = Date.now() - startTime;
+
+        const eventoData = parseEventoResponse(xmlResponse);
+
+        logger.info(`Manifestação NF-e: ${eventoData.cStat} - ${eventoData.xMotivo}`, {
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            ...eventoData,
+            tipo: req.params.tipo,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro ao enviar manifestação:', error.message);
+
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            tempoResposta,
+        });
+    }
+});
+
+/**
+ * POST /api/sefaz/distribuicao-dfe
+ * Distribuição de DF-e de interesse (NFeDistribuicaoDFe - Ambiente Nacional)
+ * Modos: ultNSU (padrão, retoma do último NSU salvo), NSU específico ou chNFe
+ */
+router.post('/distribuicao-dfe', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uf = 'MS',
+            ambiente = 2,
+            CNPJ,
+            CPF,
+            ultNSU: ultNSUParam,
+            NSU,
+            chNFe,
+            certificado,
+            senhaCertificado,
+        } = req.body;
+
+        const documento = (CNPJ || CPF || '').replace(/\D/g, '');
+        if (!documento) {
+            return res.status(400).json({ error: 'CNPJ (ou CPF) do interessado não fornecido' });
+        }
+
+        const ufUpper = uf.toUpperCase();
+        const cUFAutor = UF_CODIGOS[ufUpper] || '50';
+        const tpAmb = ambiente === 1 ? '1' : '2';
+        const controleNSU = obterControleNSU(documento, tpAmb);
+
+        // Consumo indevido (656) bloqueia qualquer consulta; sem documentos (137) bloqueia só a busca por ultNSU
+        const bloqueio = controleNSU.bloqueadoAte && new Date(controleNSU.bloqueadoAte) > new Date();
+        const modoUltNSU = !NSU && !chNFe;
+        if (bloqueio && (controleNSU.motivoBloqueio === 656 || modoUltNSU)) {
+            return res.status(429).json({
+                error: 'Aguarde antes de consultar novamente a Distribuição DF-e',
+                cStat: controleNSU.motivoBloqueio,
+                ultNSU: controleNSU.ultNSU,
+                proximaConsulta: controleNSU.bloqueadoAte,
+            });
+        }
+
+        let consultaXml;
+        if (chNFe) {
+            consultaXml = `<consChNFe><chNFe>${chNFe}</chNFe></consChNFe>`;
+        } else if (NSU) {
+            consultaXml = `<consNSU><NSU>${String(NSU).padStart(15, '0')}</NSU></consNSU>`;
+        } else {
+            const ultNSU = String(ultNSUParam ?? controleNSU.ultNSU ?? '0').padStart(15, '0');
+            consultaXml = `<distNSU><ultNSU>${ultNSU}</ultNSU></distNSU>`;
+        }
+
+        const autorXml = documento.length === 11 ? `<CPF>${documento}</CPF>` : `<CNPJ>${documento}</CNPJ>`;
+        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDistDFeInteresse xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeDistribuicaoDFe"><nfeDadosMsg><distDFeInt xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.01"><tpAmb>${tpAmb}</tpAmb><cUFAutor>${cUFAutor}</cUFAutor>${autorXml}${consultaXml}</distDFeInt></nfeDadosMsg></nfeDistDFeInteresse></soap12:Body></soap12:Envelope>`;
+
+        const urls = getAmbienteNacionalUrls('NFeDistribuicaoDFe');
+        const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+        logger.info(`Distribuição DF-e para ${documento}`, { consulta: consultaXml });
+
+        const httpsAgent = (certificado && senhaCertificado)
+            ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+            : getHttpsAgent();
+
+        const response = await axios({
+            method: 'POST',
+            url: sefazUrl,
+            data: envelope,
+            headers: {
+                'Content-Type': 'application/soap+xml; charset=utf-8',
+                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeDistribuicaoDFe/nfeDistDFeInteresse',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
+            },
+            timeout: SEFAZ_TIMEOUT,
+            httpsAgent,
+        });
+
+        const tempoResposta = Date.now() - startTime;
+        const distData = parseDistribuicaoResponse(response.data);
+
+        // Persistir NSU e respeitar as regras de espera do Ambiente Nacional
+        const atualizacao = {};
+        if (modoUltNSU && distData.ultNSU) {
+            atualizacao.ultNSU = distData.ultNSU;
+            atualizacao.maxNSU = distData.maxNSU;
+        }
+        // Consultas por NSU/chNFe não mexem na espera do ultNSU (só um 656 bloqueia tudo)
+        if (distData.cStat === 656 || (modoUltNSU && (distData.cStat === 137
+            || (distData.cStat === 138 && distData.ultNSU === distData.maxNSU)))) {
+            atualizacao.bloqueadoAte = new Date(Date.now() + DFE_ESPERA_MS).toISOString();
+            atualizacao.motivoBloqueio = distData.cStat;
+        } else if (modoUltNSU) {
+            atualizacao.bloqueadoAte = null;
+            atualizacao.motivoBloqueio = null;
+        }
+        salvarControleNSU(documento, tpAmb, atualizacao);
+
+        logger.info(`Distribuição DF-e: ${distData.cStat} - ${distData.xMotivo}`, {
+            documentos: distData.documentos.length,
+            ultNSU: distData.ultNSU,
+            maxNSU: distData.maxNSU,
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            ...distData,
+            proximaConsulta: atualizacao.bloqueadoAte !== undefined ? atualizacao.bloqueadoAte : controleNSU.bloqueadoAte,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro na Distribuição DF-e:', error.message);
+
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            tempoResposta,
+        });
+    }
+});
+
+/**
+ * POST /api/sefaz/consulta-cadastro
+ * Consulta o cadastro de contribuintes do ICMS (CadConsultaCadastro4) por CNPJ, CPF ou IE
+ */
+router.post('/consulta-cadastro', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uf = 'MS',
+            ambiente = 2,
+            CNPJ,
+            CPF,
+            IE,
+            certificado,
+            senhaCertificado,
+        } = req.body;
+
+        const ufUpper = uf.toUpperCase();
+        if (!UF_CODIGOS[ufUpper]) {
+            return res.status(400).json({ error: `UF inválida: ${uf}` });
+        }
+
+        // A consulta aceita apenas um dos filtros
+        let filtroXml;
+        if (CNPJ) {
+            filtroXml = `<CNPJ>${String(CNPJ).replace(/\D/g, '')}</CNPJ>`;
+        } else if (CPF) {
+            filtroXml = `<CPF>${String(CPF).replace(/\D/g, '')}</CPF>`;
+        } else if (IE) {
+            filtroXml = `<IE>${String(IE).replace(/\D/g, '')}</IE>`;
+        } else {
+            return res.status(400).json({ error: 'Informe CNPJ, CPF ou IE do contribuinte' });
+        }
+
+        const urls = getSefazUrls(ufUpper, 'NfeConsultaCadastro');
+        const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/CadConsultaCadastro4"><ConsCad xmlns="http://www.portalfiscal.inf.br/nfe" versao="2.00"><infCons><xServ>CONS-CAD</xServ><UF>${ufUpper}</UF>${filtroXml}</infCons></ConsCad></nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+
+        logger.info(`Consultando cadastro na SEFAZ-${ufUpper}`, { filtro: filtroXml });
+
+        const httpsAgent = (certificado && senhaCertificado)
+            ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+            : getHttpsAgent();
+
+        const response = await axios({
+            method: 'POST',
+            url: sefazUrl,
+            data: envelope,
+            headers: {
+                'Content-Type': 'application/soap+xml; charset=utf-8',
+                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/CadConsultaCadastro4/consultaCadastro',
+            },
+            timeout: SEFAZ_TIMEOUT,
+            httpsAgent,
+        });
+
+        const tempoResposta = Date.now() - startTime;
+        const cadastroData = parseConsultaCadastroResponse(response.data);
+
+        logger.info(`Consulta cadastro: ${cadastroData.cStat} - ${cadastroData.xMotivo}`, {
+            ocorrencias: cadastroData.contribuintes.length,
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            ...cadastroData,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro na consulta cadastro:', error.message);
+
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            tempoResposta,
+        });
+    }
+});
+
+/**
+ * POST /api/sefaz/inutilizar
+ * Inutiliza faixa de numeração na SEFAZ
+ * mod 65 usa o webservice de inutilização da NFC-e (NfceInutilizacao)
+ * Usa certificado da requisição (certificado/senhaCertificado) ou configurado no servidor
+ */
+router.post('/inutilizar', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uf = 'MS',
+            ambiente = 2,
+            ano,
+            CNPJ,
+            mod = '55',
+            serie,
+            nNFIni,
+            nNFFin,
+            xJust,
+            certificado,
+            senhaCertificado
+        } = req.body;
+
+        if (!ano || !CNPJ || !serie || !nNFIni || !nNFFin || !xJust) {
+            return res.status(400).json({
+                error: 'Parâmetros obrigatórios: ano, CNPJ, serie, nNFIni, nNFFin, xJust'
+            });
+        }
+
+        if (xJust.length < 15) {
+            return res.status(400).json({
+                error: 'Justificativa deve ter no mínimo 15 caracteres'
+            });
+        }
+
+        const ufUpper = uf.toUpperCase();
+        const cUF = UF_CODIGOS[ufUpper] || '50';
+        const tpAmb = ambiente === 1 ? '1' : '2';
+        const anoStr = ano.toString().slice(-2);
+        const idInut = `ID${cUF}${anoStr}${CNPJ}${mod}${serie.toString().padStart(3, '0')}${nNFIni.toString().padStart(9, '0')}${nNFFin.toString().padStart(9, '0')}`;
+
+        const nfce = String(mod) === '65';
+        const urls = getSefazUrls(ufUpper, nfce ? 'NfceInutilizacao' : 'NfeInutilizacao');
+        const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+        const certificadoOpts = (certificado && senhaCertificado)
+            ? { certBase64: certificado, certPassword: senhaCertificado }
+            : null;
+
+        logger.info(`Inutilizando ${nfce ? 'NFC-e' : 'NF-e'} ${nNFIni}-${nNFFin} série ${serie} na SEFAZ-${ufUpper}`);
+
+        // XML da Inutilização
+        const xmlInut = `<inutNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><infInut Id="${idInut}"><tpAmb>${tpAmb}</tpAmb><xServ>INUTILIZAR</xServ><cUF>${cUF}</cUF><ano>${anoStr}</ano><CNPJ>${CNPJ}</CNPJ><mod>${mod}</mod><serie>${serie}</serie><nNFIni>${nNFIni}</nNFIni><nNFFin>${nNFFin}</nNFFin><xJust>${xJust}</xJust></infInut></inutNFe>`;
+
+        // Assinar a inutilização
+        let xmlInutAssinado;
+        try {
+            xmlInutAssinado = signInutXml(xmlInut, certificadoOpts);
+            logger.info('Inutilização assinada com sucesso');
+        } catch (signError) {
+            logger.error('Erro ao assinar inutilização:', signError.message);
+            return res.status(400).json({
+                error: 'Erro ao assinar inutilização',
+                detalhe: signError.message
+            });
+        }
+
+        // Envelope SOAP
+        const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4">${xmlInutAssinado}</nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+
+        const response = await axios({
+            method: 'POST',
+            url: sefazUrl,
+            data: envelope,
+            headers: {
+                'Content-Type': 'application/soap+xml; charset=utf-8',
+                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeInutilizacao4/nfeInutilizacaoNF',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
+            },
+            timeout: SEFAZ_TIMEOUT,
+            httpsAgent: certificadoOpts
+                ? criarHttpsAgentCertificado(certificado, senhaCertificado)
+                : getHttpsAgent(),
+        });
+
+        const tempoResposta = Date.now() - startTime;
+        const xmlResponse = response.data;
+
+        // Parse da resposta
+        const inutData = parseInutilizacaoResponse(xmlResponse);
+
+        logger.info(`Inutilização: ${inutData.cStat} - ${inutData.xMotivo}`, {
+            tempo: tempoResposta,
+        });
+
+        res.json({
+            ...inutData,
+            tempoResposta,
+        });
+
+    } catch (error) {
+        const tempoResposta = Date.now() - startTime;
+        logger.error('Erro ao inutilizar:', error.message);
+
+        res.status(500).json({
+            cStat: 0,
+            xMotivo: `Erro: ${error.message}`,
+            erro: true,
+            tempoResposta,
+        });
+    }
+});
+
+// ============== Funções Auxiliares ==============
+
+/**
+ * Carrega o controle de sequência de eventos
+ */
+function carregarEventos() {
+    try {
+        if (fs.existsSync(EVENTOS_FILE)) {
+            return JSON.parse(fs.readFileSync(EVENTOS_FILE, 'utf8'));
+        }
+    } catch (e) {
+        logger.warn('Erro ao carregar controle de eventos:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Salva o controle de sequência de eventos
+ */
+function salvarEventos(eventos) {
+    try {
+        const dir = path.dirname(EVENTOS_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(EVENTOS_FILE, JSON.stringify(eventos, null, 2));
+    } catch (e) {
+        logger.error('Erro ao salvar controle de eventos:', e.message);
+    }
+}
+
+/**
+ * Retorna o último nSeqEvento registrado para uma chave/tipo de evento
+ */
+function obterUltimaSequenciaEvento(chNFe, tpEvento) {
+    const eventos = carregarEventos();
+    return eventos[`${chNFe}_${tpEvento}`]?.ultimo || 0;
+}
+
+/**
+ * Registra o nSeqEvento aceito pela SEFAZ para uma chave/tipo de evento
+ */
+function registrarSequenciaEvento(chNFe, tpEvento, nSeqEvento) {
+    const eventos = carregarEventos();
+    const chave = `${chNFe}_${tpEvento}`;
+
+    if (!eventos[chave] || eventos[chave].ultimo < nSeqEvento) {
+        eventos[chave] = {
+            ultimo: nSeqEvento,
+            ultimaAtualizacao: new Date().toISOString()
+        };
+        salvarEventos(eventos);
+    }
+}
+
+/**
+ * Carrega o controle de NSU da Distribuição DF-e
+ */
+function carregarNSU() {
+    try {
+        if (fs.existsSync(NSU_FILE)) {
+            return JSON.parse(fs.readFileSync(NSU_FILE, 'utf8'));
+        }
+    } catch (e) {
+        logger.warn('Erro ao carregar controle de NSU:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Retorna o controle de NSU de um CNPJ/CPF no ambiente informado
+ */
+function obterControleNSU(documento, tpAmb) {
+    return carregarNSU()[`${documento}_${tpAmb}`] || { ultNSU: '000000000000000' };
+}
+
+/**
+ * Atualiza o controle de NSU de um CNPJ/CPF no ambiente informado
+ */
+function salvarControleNSU(documento, tpAmb, dados) {
+    try {
+        const controle = carregarNSU();
+        const chave = `${documento}_${tpAmb}`;
+
+        controle[chave] = {
+            ...(controle[chave] || {}),
+            ...dados,
+            ultimaAtualizacao: new Date().toISOString(),
+        };
+
+        const dir = path.dirname(NSU_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(NSU_FILE, JSON.stringify(controle, null, 2));
+    } catch (e) {
+        logger.error('Erro ao salvar controle de NSU:', e.message);
+    }
+}
+
+/**
+ * Envia um envelope de evento para o RecepcaoEvento e retorna o XML de resposta
+ */
+async function enviarEvento(sefazUrl, envelope, httpsAgent) {
+    const response = await axios({
+        method: 'POST',
+        url: sefazUrl,
+        data: envelope,
+        headers: {
+            'Content-Type': 'application/soap+xml; charset=utf-8',
+            'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4/nfeRecepcaoEvento',
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
+        },
+        timeout: SEFAZ_TIMEOUT,
+        httpsAgent,
+    });
+
+    return response.data;
+}
+
+/**
+ * Aguarda o tempo informado (ms)
+ */
+function esperar(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Consulta o recibo de um lote (NFeRetAutorizacao) até o processamento (cStat 104)
+ * Espera inicial = tMed informado pela SEFAZ (mín. 1s), dobrando a cada tentativa
+ */
+async function consultarRecibo({ uf, ambiente, nRec, tMed, tpEmis, httpsAgent }) {
+    const tpAmb = ambiente === 1 ? '1' : '2';
+    const urls = getSefazUrls(uf, 'NfeRetAutorizacao', tpEmis);
+    const sefazUrl = ambiente === 1 ? urls.producao : urls.homologacao;
+
+    const envelope = `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeRetAutorizacao4"><soap12:Header/><soap12:Body><nfe:nfeDadosMsg><consReciNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><tpAmb>${tpAmb}</tpAmb><nRec>${nRec}</nRec></consReciNFe></nfe:nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+
+    let espera = Math.max((parseInt(tMed) || 1) * 1000, 1000);
+    let retorno = null;
+
+    for (let tentativa = 1; tentativa <= RET_AUTORIZACAO_TENTATIVAS; tentativa++) {
+        await esperar(Math.min(espera, RET_AUTORIZACAO_ESPERA_MAX));
+
+        const response = await axios({
+            method: 'POST',
+            url: sefazUrl,
+            data: envelope,
+            headers: {
+                'Content-Type': 'application/soap+xml; charset=utf-8',
+                'SOAPAction': 'http://www.portalfiscal.inf.br/nfe/wsdl/NFeRetAutorizacao4/nfeRetAutorizacaoLote',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) NFe/4.0',
+            },
+            timeout: SEFAZ_TIMEOUT,
+            httpsAgent,
+        });
+
+        retorno = parseRetAutorizacaoResponse(response.data);
+        logger.info(`Recibo ${nRec} (tentativa ${tentativa}): ${retorno.cStat} - ${retorno.xMotivo}`);
+
+        // 105 = lote em processamento; qualquer outro status é definitivo
+        if (retorno.cStat !== 105) {
+            break;
+        }
+
+        espera *= 2;
+    }
+
+    return { ...retorno, nRec };
+}
+
+function gerarEnvelopeStatusServico(ambiente, cUF) {
+    const tpAmb = ambiente === 1 ? '1' : '2';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeStatusServico4">
+  <soap12:Header/>
+  <soap12:Body>
+    <nfe:nfeDadosMsg>
+      <consStatServ xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+        <tpAmb>${tpAmb}</tpAmb>
+        <cUF>${cUF}</cUF>
+        <xServ>STATUS</xServ>
+      </consStatServ>
+    </nfe:nfeDadosMsg>
+  </soap12:Body>
+</soap12:Envelope>`;
+}
+
+function gerarEnvelopeAutorizacao(ambiente, xmlNfe) {
+    const tpAmb = ambiente === 1 ? '1' : '2';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeAutorizacao4">
+  <soap12:Header/>
+  <soap12:Body>
+    <nfe:nfeDadosMsg>
+      <enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+        <idLote>1</idLote>
+        <indSinc>1</indSinc>
+        ${xmlNfe}
+      </enviNFe>
+    </nfe:nfeDadosMsg>
+  </soap12:Body>
+</soap12:Envelope>`;
+}
+
+function gerarEnvelopeConsulta(ambiente, chNFe) {
+    const tpAmb = ambiente === 1 ? '1' : '2';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope" xmlns:nfe="http://www.portalfiscal.inf.br/nfe/wsdl/NFeConsultaProtocolo4">
+  <soap12:Header/>
+  <soap12:Body>
+    <nfe:nfeDadosMsg>
+      <consSitNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+        <tpAmb>${tpAmb}</tpAmb>
+        <xServ>CONSULTAR</xServ>
+        <chNFe>${chNFe}</chNFe>
+      </consSitNFe>
+    </nfe:nfeDadosMsg>
+  </soap12:Body>
+</soap12:Envelope>`;
+}
+
+function parseStatusResponse(xmlResponse) {
+    const cStatMatch = xmlResponse.match(/<cStat>(\d+)<\/cStat>/);
+    const xMotivoMatch = xmlResponse.match(/<xMotivo>([^<]+)<\/xMotivo>/);
+    const cUFMatch = xmlResponse.match(/<cUF>(\d+)<\/cUF>/);
+    const dhRecbtoMatch = xmlResponse.match(/<dhRecbto>([^<]+)<\/dhRecbto>/);
     const tMedMatch = xmlResponse.match(/<tMed>(\d+)<\/tMed>/);
 
     return {
@@ -712,11 +1672,13 @@ function parseAutorizacaoResponse(xmlResponse) {
     const protNFeMatch = xmlResponse.match(/<protNFe[^>]*>([\s\S]*?)<\/protNFe>/);
     const chNFeMatch = xmlResponse.match(/<chNFe>(\d+)<\/chNFe>/);
     const nProtMatch = xmlResponse.match(/<nProt>(\d+)<\/nProt>/);
+    const tMedMatch = xmlResponse.match(/<tMed>(\d+)<\/tMed>/);
 
     return {
         cStat: cStatMatch ? parseInt(cStatMatch[1]) : 0,
         xMotivo: xMotivoMatch ? xMotivoMatch[1] : 'Resposta inválida',
         nRec: nRecMatch ? nRecMatch[1] : null,
+        tMed: tMedMatch ? parseInt(tMedMatch[1]) : null,
         chNFe: chNFeMatch ? chNFeMatch[1] : null,
         nProt: nProtMatch ? nProtMatch[1] : null,
         protNFe: protNFeMatch ? protNFeMatch[1] : null,
@@ -724,6 +1686,42 @@ function parseAutorizacaoResponse(xmlResponse) {
     };
 }
 
+/**
+ * Extrai os protNFe individuais de um retorno de autorização (síncrono ou recibo)
+ */
+function parseProtocolos(xmlResponse) {
+    const doc = parseXml(xmlResponse);
+
+    return buscarElementos(doc, 'protNFe').map(protNFe => {
+        const infProt = buscarElemento(protNFe, 'infProt');
+        return {
+            chNFe: obterTexto(infProt, 'chNFe'),
+            cStat: parseInt(obterTexto(infProt, 'cStat')) || 0,
+            xMotivo: obterTexto(infProt, 'xMotivo'),
+            nProt: obterTexto(infProt, 'nProt'),
+            dhRecbto: obterTexto(infProt, 'dhRecbto'),
+            digVal: obterTexto(infProt, 'digVal'),
+            protNFe: serializarElemento(protNFe).replace(/^<protNFe[^>]*>|<\/protNFe>$/g, ''),
+            xmlProtocolo: serializarElemento(protNFe),
+        };
+    });
+}
+
+/**
+ * Parse da resposta do NFeRetAutorizacao (retConsReciNFe)
+ */
+function parseRetAutorizacaoResponse(xmlResponse) {
+    const ret = buscarElemento(parseXml(xmlResponse), 'retConsReciNFe');
+
+    return {
+        cStat: parseInt(obterTexto(ret, 'cStat')) || 0,
+        xMotivo: obterTexto(ret, 'xMotivo') || 'Resposta inválida',
+        dhRecbto: obterTexto(ret, 'dhRecbto'),
+        protocolos: parseProtocolos(xmlResponse),
+        xmlResponse,
+    };
+}
+
 function parseEventoResponse(xmlResponse) {
     const cStatMatch = xmlResponse.match(/<cStat>(\d+)<\/cStat>/g);
     const xMotivoMatch = xmlResponse.match(/<xMotivo>([^<]+)<\/xMotivo>/g);
@@ -767,4 +1765,153 @@ function parseInutilizacaoResponse(xmlResponse) {
     };
 }
 
+/**
+ * Parse da resposta da Distribuição DF-e
+ * Descompacta cada docZip (gzip + base64) e converte resNFe, procNFe e resEvento em JSON
+ */
+function parseDistribuicaoResponse(xmlResponse) {
+    const doc = parseXml(xmlResponse);
+    const ret = buscarElemento(doc, 'retDistDFeInt');
+
+    const documentos = buscarElementos(ret, 'docZip').map(docZip => {
+        const NSU = docZip.getAttribute('NSU');
+        const schema = docZip.getAttribute('schema');
+
+        try {
+            const xml = zlib.gunzipSync(Buffer.from(docZip.textContent, 'base64')).toString('utf8');
+            const raiz = parseXml(xml).documentElement;
+            const tipo = raiz.localName;
+
+            return {
+                NSU,
+                schema,
+                tipo,
+                chNFe: obterTexto(raiz, 'chNFe'),
+                dados: elementoParaObjeto(raiz),
+                xml,
+            };
+        } catch (e) {
+            logger.warn(`Erro ao descompactar docZip NSU ${NSU}:`, e.message);
+            return { NSU, schema, tipo: null, erro: e.message };
+        }
+    });
+
+    return {
+        cStat: parseInt(obterTexto(ret, 'cStat')) || 0,
+        xMotivo: obterTexto(ret, 'xMotivo') || 'Resposta inválida',
+        dhResp: obterTexto(ret, 'dhResp'),
+        ultNSU: obterTexto(ret, 'ultNSU'),
+        maxNSU: obterTexto(ret, 'maxNSU'),
+        documentos,
+    };
+}
+
+/**
+ * Parse da resposta da Consulta Protocolo (retConsSitNFe)
+ * Retorna o protNFe, os eventos vinculados (procEventoNFe) e a situação da nota
+ */
+function parseConsultaResponse(xmlResponse) {
+    const doc = parseXml(xmlResponse);
+    const ret = buscarElemento(doc, 'retConsSitNFe');
+    const cStat = parseInt(obterTexto(ret, 'cStat')) || 0;
+
+    const protNFeEl = buscarElemento(ret, 'protNFe');
+    const infProt = buscarElemento(protNFeEl, 'infProt');
+    const protNFe = infProt ? {
+        chNFe: obterTexto(infProt, 'chNFe'),
+        dhRecbto: obterTexto(infProt, 'dhRecbto'),
+        nProt: obterTexto(infProt, 'nProt'),
+        digVal: obterTexto(infProt, 'digVal'),
+        cStat: parseInt(obterTexto(infProt, 'cStat')) || 0,
+        xMotivo: obterTexto(infProt, 'xMotivo'),
+        xml: serializarElemento(protNFeEl),
+    } : null;
+
+    const eventos = buscarElementos(ret, 'procEventoNFe').map(procEvento => {
+        const infEvento = buscarElemento(buscarElemento(procEvento, 'evento'), 'infEvento');
+        const infRetEvento = buscarElemento(buscarElemento(procEvento, 'retEvento'), 'infEvento');
+
+        return {
+            tpEvento: obterTexto(infEvento, 'tpEvento'),
+            nSeqEvento: parseInt(obterTexto(infEvento, 'nSeqEvento')) || 1,
+            descEvento: obterTexto(infEvento, 'descEvento'),
+            dhEvento: obterTexto(infEvento, 'dhEvento'),
+            detEvento: elementoParaObjeto(buscarElemento(infEvento, 'detEvento')),
+            cStat: parseInt(obterTexto(infRetEvento, 'cStat')) || 0,
+            xMotivo: obterTexto(infRetEvento, 'xMotivo'),
+            nProt: obterTexto(infRetEvento, 'nProt'),
+            dhRegEvento: obterTexto(infRetEvento, 'dhRegEvento'),
+            xml: serializarElemento(procEvento),
+        };
+    });
+
+    // 101/151/155 = cancelada; 110/301/302/303 = denegada; 100/150 = autorizada
+    // Evento de cancelamento homologado (110111/110112) prevalece sobre o protocolo de autorização
+    const cancelamentoHomologado = eventos.some(e => ['110111', '110112'].includes(e.tpEvento) && [135, 136, 155].includes(e.cStat));
+    let situacao = 'desconhecida';
+    if ([101, 151, 155].includes(cStat) || cancelamentoHomologado) {
+        situacao = 'cancelada';
+    } else if ([110, 301, 302, 303].includes(cStat)) {
+        situacao = 'denegada';
+    } else if ([100, 150].includes(cStat)) {
+        situacao = 'autorizada';
+    }
+
+    return {
+        cStat,
+        xMotivo: obterTexto(ret, 'xMotivo') || 'Resposta inválida',
+        chNFe: obterTexto(ret, 'chNFe'),
+        dhRecbto: obterTexto(ret, 'dhRecbto'),
+        situacao,
+        autorizada: situacao === 'autorizada',
+        cancelada: situacao === 'cancelada',
+        denegada: situacao === 'denegada',
+        protNFe,
+        eventos,
+    };
+}
+
+/**
+ * Parse da resposta da Consulta Cadastro
+ * cStat 111 = uma ocorrência, 112 = múltiplas ocorrências
+ */
+function parseConsultaCadastroResponse(xmlResponse) {
+    const doc = parseXml(xmlResponse);
+    const infCons = buscarElemento(doc, 'infCons');
+
+    const contribuintes = buscarElementos(infCons, 'infCad').map(infCad => {
+        const ender = buscarElemento(infCad, 'ender');
+        const cSit = obterTexto(infCad, 'cSit');
+
+        return {
+            IE: obterTexto(infCad, 'IE'),
+            CNPJ: obterTexto(infCad, 'CNPJ'),
+            CPF: obterTexto(infCad, 'CPF'),
+            UF: obterTexto(infCad, 'UF'),
+            cSit,
+            situacao: cSit === '1' ? 'habilitado' : 'nao_habilitado',
+            indCredNFe: obterTexto(infCad, 'indCredNFe'),
+            indCredCTe: obterTexto(infCad, 'indCredCTe'),
+            xNome: obterTexto(infCad, 'xNome'),
+            xFant: obterTexto(infCad, 'xFant'),
+            regime: obterTexto(infCad, 'xRegApur'),
+            CNAE: obterTexto(infCad, 'CNAE'),
+            dIniAtiv: obterTexto(infCad, 'dIniAtiv'),
+            dUltSit: obterTexto(infCad, 'dUltSit'),
+            dBaixa: obterTexto(infCad, 'dBaixa'),
+            IEUnica: obterTexto(infCad, 'IEUnica'),
+            IEAtual: obterTexto(infCad, 'IEAtual'),
+            endereco: ender ? elementoParaObjeto(ender) : null,
+        };
+    });
+
+    return {
+        cStat: parseInt(obterTexto(infCons, 'cStat')) || 0,
+        xMotivo: obterTexto(infCons, 'xMotivo') || 'Resposta inválida',
+        UF: obterTexto(infCons, 'UF'),
+        dhCons: obterTexto(infCons, 'dhCons'),
+        contribuintes,
+    };
+}
+
 module.exports = router;
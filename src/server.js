@@ -88,12 +88,27 @@ app.get('/', (req, res) => {
             // NF-e (modelo 55)
             statusServico: '/api/sefaz/status-servico',
             autorizarNfe: '/api/sefaz/autorizar',
+            retAutorizacao: '/api/sefaz/ret-autorizacao',
             consultarNfe: '/api/sefaz/consultar',
+            cartaCorrecao: '/api/sefaz/carta-correcao',
+            manifestacao: '/api/sefaz/manifestacao/:tipo',
+            distribuicaoDfe: '/api/sefaz/distribuicao-dfe',
+            consultaCadastro: '/api/sefaz/consulta-cadastro',
+            epec: '/api/sefaz/epec',
             emitirNfe: '/api/nfe/emitir',
+            devolucaoNfe: '/api/nfe/devolucao',
+            epecPendentes: '/api/nfe/epec/pendentes',
+            epecTransmitir: '/api/nfe/epec/transmitir',
+            contingenciaOriginais: '/api/nfe/contingencia/originais',
             // NFC-e (modelo 65) - v2 ISOLADO
             nfceInfo: '/api/nfce/v2/info',
             nfceStatus: '/api/nfce/v2/status',
             nfceEmitir: '/api/nfce/v2/emitir',
+            nfceCancelar: '/api/nfce/v2/cancelar',
+            nfceCancelarSubstituicao: '/api/nfce/v2/cancelar-substituicao',
+            nfceInutilizar: '/api/nfce/v2/inutilizar',
+            nfceOfflinePendentes: '/api/nfce/v2/offline/pendentes',
+            nfceOfflineTransmitir: '/api/nfce/v2/offline/transmitir',
             // Certificado
             validarCertificado: '/api/certificado/validar',
         },
@@ -0,0 +1,167 @@
+/**
+ * Grupo de cobrança da NF-e (<cobr>): fatura e duplicatas
+ *
+ * Entrada em `cobranca`:
+ *   numero_fatura, valor_original (padrão: vNF), desconto (desconto da fatura),
+ *   parcelas + primeiro_vencimento/intervalo_dias: parcelas geradas com o valor líquido dividido
+ *     igualmente (diferença de arredondamento na última)
+ *   ou duplicatas: [{ vencimento, valor }] com as parcelas já definidas (vOrig = soma + desconto)
+ *
+ * nDup é sempre sequencial (001, 002...) e os vencimentos devem estar em ordem crescente,
+ * a partir da data de emissão
+ */
+
+const { arredondar } = require('./icms');
+const { informado, tagTexto } = require('./xml-helpers');
+
+const DUPLICATAS_MAX = 120;
+const INTERVALO_PADRAO_DIAS = 30;
+
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Soma dias a uma data AAAA-MM-DD
+ */
+function somarDias(data, dias) {
+    const d = new Date(`${data}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + dias);
+    return d.toISOString().slice(0, 10);
+}
+
+function dataValida(data) {
+    if (!DATA_REGEX.test(String(data))) {
+        return false;
+    }
+    const d = new Date(`${data}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === data;
+}
+
+/**
+ * Valida a cobrança
+ * @param {Object} cobranca
+ * @param {string} dataEmissao - AAAA-MM-DD (dia da emissão no fuso da UF)
+ * Retorna a mensagem de erro ou null
+ */
+function validarCobranca(cobranca, dataEmissao) {
+    if (!cobranca) {
+        return null;
+    }
+
+    const duplicatas = cobranca.duplicatas;
+    if (duplicatas && informado(cobranca.parcelas)) {
+        return 'Informe parcelas ou duplicatas na cobrança, não ambos';
+    }
+
+    if (informado(cobranca.desconto) && (!Number.isFinite(Number(cobranca.desconto)) || Number(cobranca.desconto) < 0)) {
+        return 'Desconto da fatura deve ser um valor numérico não negativo';
+    }
+
+    let vencimentos;
+    if (duplicatas) {
+        if (!Array.isArray(duplicatas) || duplicatas.length === 0 || duplicatas.length > DUPLICATAS_MAX) {
+            return `Cobrança deve ter de 1 a ${DUPLICATAS_MAX} duplicatas`;
+        }
+        if (duplicatas.some(dup => !(Number(dup.valor) > 0))) {
+            return 'Valor de cada duplicata deve ser maior que zero';
+        }
+        vencimentos = duplicatas.map(dup => dup.vencimento);
+
+        if (informado(cobranca.valor_original)) {
+            const vLiq = arredondar(Number(cobranca.valor_original) - Number(cobranca.desconto || 0));
+            const soma = arredondar(duplicatas.reduce((acc, dup) => acc + Number(dup.valor), 0));
+            if (soma !== vLiq) {
+                return `Soma das duplicatas (${soma.toFixed(2)}) difere do valor líquido da fatura (${vLiq.toFixed(2)})`;
+            }
+        }
+    } else if (informado(cobranca.parcelas)) {
+        const parcelas = Number(cobranca.parcelas);
+        if (!Number.isInteger(parcelas) || parcelas < 1 || parcelas > DUPLICATAS_MAX) {
+            return `Número de parcelas deve ser de 1 a ${DUPLICATAS_MAX}`;
+        }
+        if (informado(cobranca.intervalo_dias) &&
+            (!Number.isInteger(Number(cobranca.intervalo_dias)) || Number(cobranca.intervalo_dias) < 1)) {
+            return 'intervalo_dias deve ser um número inteiro positivo';
+        }
+        if (informado(cobranca.primeiro_vencimento)) {
+            vencimentos = [cobranca.primeiro_vencimento];
+        }
+    }
+
+    if (vencimentos) {
+        const invalido = vencimentos.find(data => !dataValida(data));
+        if (invalido !== undefined) {
+            return `Data de vencimento inválida (AAAA-MM-DD): ${invalido}`;
+        }
+        if (vencimentos[0] < dataEmissao) {
+            return `Vencimento ${vencimentos[0]} anterior à data de emissão (${dataEmissao})`;
+        }
+        if (vencimentos.some((data, i) => i > 0 && data < vencimentos[i - 1])) {
+            return 'Vencimentos das duplicatas devem estar em ordem crescente';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gera as duplicatas a partir do número de parcelas
+ */
+function gerarParcelas(cobranca, vLiq, dataEmissao) {
+    const parcelas = Number(cobranca.parcelas || 1);
+    const intervalo = Number(cobranca.intervalo_dias || INTERVALO_PADRAO_DIAS);
+    const primeiro = cobranca.primeiro_vencimento || somarDias(dataEmissao, intervalo);
+    const valorParcela = arredondar(vLiq / parcelas);
+
+    return Array.from({ length: parcelas }, (_, i) => ({
+        vencimento: somarDias(primeiro, i * intervalo),
+        valor: i === parcelas - 1
+            ? arredondar(vLiq - valorParcela * (parcelas - 1))
+            : valorParcela,
+    }));
+}
+
+/**
+ * Monta o grupo <cobr>
+ *
+ * @param {Object} cobranca - dados da cobrança (ou null)
+ * @param {Object} contexto
+ * @param {number} contexto.vNF - valor da nota (vOrig padrão)
+ * @param {string} contexto.dataEmissao - AAAA-MM-DD
+ * @param {string} contexto.numero - número da NF-e (nFat padrão)
+ * @returns {string} XML do grupo (vazio sem cobrança)
+ */
+function montarCobranca(cobranca, { vNF, dataEmissao, numero }) {
+    if (!cobranca) {
+        return '';
+    }
+
+    const vDesc = arredondar(cobranca.desconto || 0);
+    let vOrig;
+    let duplicatas;
+
+    if (cobranca.duplicatas) {
+        duplicatas = cobranca.duplicatas.map(dup => ({ vencimento: dup.vencimento, valor: arredondar(dup.valor) }));
+        vOrig = informado(cobranca.valor_original)
+            ? arredondar(cobranca.valor_original)
+            : arredondar(duplicatas.reduce((acc, dup) => acc + dup.valor, 0) + vDesc);
+    } else {
+        vOrig = arredondar(informado(cobranca.valor_original) ? cobranca.valor_original : vNF);
+        duplicatas = gerarParcelas(cobranca, arredondar(vOrig - vDesc), dataEmissao);
+    }
+    const vLiq = arredondar(vOrig - vDesc);
+
+    const fatXml = `<fat>${tagTexto('nFat', cobranca.numero_fatura || numero, 60)}<vOrig>${vOrig.toFixed(2)}</vOrig>` +
+        `<vDesc>${vDesc.toFixed(2)}</vDesc><vLiq>${vLiq.toFixed(2)}</vLiq></fat>`;
+
+    const dupXml = duplicatas.map((dup, i) =>
+        `<dup><nDup>${String(i + 1).padStart(3, '0')}</nDup><dVenc>${dup.vencimento}</dVenc>` +
+        `<vDup>${dup.valor.toFixed(2)}</vDup></dup>`
+    ).join('');
+
+    return `<cobr>${fatXml}${dupXml}</cobr>`;
+}
+
+module.exports = {
+    validarCobranca,
+    montarCobranca,
+};
@@ -0,0 +1,109 @@
+/**
+ * Controle da contingência SVC (SVC-AN / SVC-RS) por UF e ambiente
+ * Mantido em memória: ao reiniciar o servidor a emissão volta para a SEFAZ de origem
+ */
+
+const logger = require('./logger');
+const { getContingenciaSvc } = require('./sefaz-config');
+const { gerarDataHora } = require('./data-hora');
+
+// Entrada automática em contingência (SEFAZ_CONTINGENCIA_SVC=false desliga)
+const CONTINGENCIA_SVC_HABILITADA = process.env.SEFAZ_CONTINGENCIA_SVC !== 'false';
+
+// Intervalo para consultar novamente o status da SEFAZ de origem enquanto em contingência
+const CONTINGENCIA_REVALIDAR_MS = (parseInt(process.env.SEFAZ_CONTINGENCIA_REVALIDAR_MIN) || 5) * 60 * 1000;
+
+// cStat de serviço paralisado (momentaneamente / sem previsão)
+const CSTAT_SERVICO_PARALISADO = [108, 109];
+
+// Contingências ativas: `${uf}_${tpAmb}` -> { uf, autorizador, tpEmis, dhCont, xJust, motivo, revalidarEm }
+const contingencias = {};
+
+function chaveContingencia(uf, ambiente) {
+    return `${uf.toUpperCase()}_${ambiente === 1 ? '1' : '2'}`;
+}
+
+function isContingenciaHabilitada() {
+    return CONTINGENCIA_SVC_HABILITADA;
+}
+
+function isServicoParalisado(cStat) {
+    return CSTAT_SERVICO_PARALISADO.includes(cStat);
+}
+
+/**
+ * Retorna a contingência ativa da UF/ambiente (ou null)
+ */
+function obterContingencia(uf, ambiente) {
+    return contingencias[chaveContingencia(uf, ambiente)] || null;
+}
+
+/**
+ * Indica se já passou o intervalo para consultar de novo o status da SEFAZ de origem
+ */
+function precisaRevalidar(contingencia) {
+    return Date.now() >= contingencia.revalidarEm;
+}
+
+/**
+ * Adia a próxima consulta de status (SEFAZ de origem continua fora)
+ */
+function adiarRevalidacao(contingencia) {
+    contingencia.revalidarEm = Date.now() + CONTINGENCIA_REVALIDAR_MS;
+}
+
+/**
+ * Entra em contingência SVC para a UF/ambiente
+ * Se já estiver ativa, mantém o dhCont/xJust originais (todas as notas do período usam os mesmos)
+ */
+function ativarContingencia(uf, ambiente, motivo) {
+    const chave = chaveContingencia(uf, ambiente);
+    if (contingencias[chave]) {
+        return contingencias[chave];
+    }
+
+    const ufUpper = uf.toUpperCase();
+    const { autorizador, tpEmis } = getContingenciaSvc(ufUpper);
+
+    contingencias[chave] = {
+        uf: ufUpper,
+        autorizador,
+        tpEmis,
+        dhCont: gerarDataHora(ufUpper),
+        xJust: `SEFAZ ${ufUpper} indisponivel para autorizacao de NF-e - emissao em contingencia ${autorizador}`,
+        motivo,
+        revalidarEm: Date.now() + CONTINGENCIA_REVALIDAR_MS,
+    };
+
+    logger.warn(`Contingência ${autorizador} ativada para ${ufUpper} (tpEmis=${tpEmis}): ${motivo}`, {
+        ambiente: ambiente === 1 ? 'producao' : 'homologacao',
+    });
+
+    return contingencias[chave];
+}
+
+/**
+ * Sai da contingência (SEFAZ de origem respondeu em operação)
+ */
+function encerrarContingencia(uf, ambiente) {
+    const chave = chaveContingencia(uf, ambiente);
+    const contingencia = contingencias[chave];
+    if (!contingencia) {
+        return;
+    }
+
+    delete contingencias[chave];
+    logger.info(`Contingência ${contingencia.autorizador} encerrada para ${contingencia.uf}: SEFAZ de origem em operação`, {
+        desde: contingencia.dhCont,
+    });
+}
+
+module.exports = {
+    isContingenciaHabilitada,
+    isServicoParalisado,
+    obterContingencia,
+    precisaRevalidar,
+    adiarRevalidacao,
+    ativarContingencia,
+    encerrarContingencia,
+};
@@ -0,0 +1,79 @@
+/**
+ * Data/hora no formato da SEFAZ (AAAA-MM-DDThh:mm:ssTZD) no fuso horário da UF
+ * Sem horário de verão desde 2019: cada UF tem deslocamento fixo em relação ao UTC
+ */
+
+const { UF_CODIGOS } = require('./sefaz-config');
+
+// Deslocamento (minutos) das UFs fora do horário de Brasília
+const FUSOS_UF = {
+    AC: -300,
+    AM: -240,
+    MS: -240,
+    MT: -240,
+    RO: -240,
+    RR: -240,
+};
+
+// Horário de Brasília (-03:00): demais UFs
+const FUSO_BRASILIA = -180;
+
+// Fernando de Noronha (PE) usa -02:00
+const MUNICIPIO_FERNANDO_DE_NORONHA = '2605459';
+const FUSO_FERNANDO_DE_NORONHA = -120;
+
+/**
+ * Deslocamento em minutos da UF (e do município, para Fernando de Noronha)
+ */
+function obterDeslocamento(uf, codigoMunicipio = null) {
+    const ufUpper = String(uf || '').toUpperCase();
+    if (!UF_CODIGOS[ufUpper]) {
+        throw new Error(`UF inválida para data/hora: ${uf}`);
+    }
+
+    if (String(codigoMunicipio || '') === MUNICIPIO_FERNANDO_DE_NORONHA) {
+        return FUSO_FERNANDO_DE_NORONHA;
+    }
+
+    return FUSOS_UF[ufUpper] ?? FUSO_BRASILIA;
+}
+
+/**
+ * Deslocamento no formato TZD (-03:00)
+ */
+function formatarFuso(minutos) {
+    const sinal = minutos < 0 ? '-' : '+';
+    const abs = Math.abs(minutos);
+    return `${sinal}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formata a data no fuso da UF: AAAA-MM-DDThh:mm:ss-03:00
+ * Usado em dhEmi, dhEvento e dhCont
+ */
+function gerarDataHora(uf, codigoMunicipio = null, data = new Date()) {
+    const deslocamento = obterDeslocamento(uf, codigoMunicipio);
+    const local = new Date(data.getTime() + deslocamento * 60 * 1000);
+    return local.toISOString().slice(0, 19) + formatarFuso(deslocamento);
+}
+
+/**
+ * AAMM da chave de acesso a partir do dhEmi (mesmo dia/mês da emissão)
+ */
+function obterAAMM(dataHora) {
+    return dataHora.substring(2, 4) + dataHora.substring(5, 7);
+}
+
+/**
+ * UF a partir do código IBGE (cUF da chave de acesso)
+ */
+function ufPorCodigo(cUF) {
+    return Object.keys(UF_CODIGOS).find(uf => UF_CODIGOS[uf] === String(cUF)) || null;
+}
+
+module.exports = {
+    obterDeslocamento,
+    gerarDataHora,
+    obterAAMM,
+    ufPorCodigo,
+};
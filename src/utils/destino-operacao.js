@@ -0,0 +1,185 @@
+/**
+ * Destino da operação (idDest): 1=interna, 2=interestadual, 3=com exterior
+ *
+ * Derivado da UF do destinatário (destinatario.endereco.uf) contra a UF do emitente;
+ * destinatário estrangeiro (estrangeiro: true, id_estrangeiro ou UF "EX") é sempre operação com exterior.
+ *
+ * Destinatário estrangeiro: { id_estrangeiro, nome, endereco: { logradouro, numero, bairro, cidade,
+ *   codigo_pais (cPais, tabela do BACEN), pais } }
+ * Exportação (idDest=3 em nota de saída) em `exportacao`: { uf_saida, local_exportacao, local_despacho }
+ * consumidor_final: false para indFinal=0 (padrão 1 = consumidor final)
+ */
+
+const { UF_CODIGOS } = require('./sefaz-config');
+const { obterTipoOperacao } = require('./finalidade');
+const { validarDifal } = require('./difal');
+const { informado, tagTexto } = require('./xml-helpers');
+
+const DESTINO_INTERNO = '1';
+const DESTINO_INTERESTADUAL = '2';
+const DESTINO_EXTERIOR = '3';
+
+const UF_EXTERIOR = 'EX';
+const CODIGO_PAIS_BRASIL = '1058';
+
+// Primeiro dígito do CFOP (entrada/saída) por destino da operação
+const DIGITOS_CFOP = {
+    [DESTINO_INTERNO]: ['1', '5'],
+    [DESTINO_INTERESTADUAL]: ['2', '6'],
+    [DESTINO_EXTERIOR]: ['3', '7'],
+};
+
+const DESCRICAO_DESTINO = {
+    [DESTINO_INTERNO]: 'interna',
+    [DESTINO_INTERESTADUAL]: 'interestadual',
+    [DESTINO_EXTERIOR]: 'com exterior',
+};
+
+function destinatarioEstrangeiro(destinatario) {
+    if (!destinatario) {
+        return false;
+    }
+    return destinatario.estrangeiro === true ||
+        destinatario.id_estrangeiro !== undefined ||
+        String(destinatario.endereco?.uf || destinatario.uf || '').toUpperCase() === UF_EXTERIOR;
+}
+
+/**
+ * UF do emitente e do destinatário (destinatário sem UF = mesma UF do emitente)
+ */
+function obterUFs(dados) {
+    const ufEmit = (dados.uf || dados.emitente.endereco?.uf || 'MS').toUpperCase();
+    const destinatario = dados.destinatario;
+    const ufDest = destinatarioEstrangeiro(destinatario)
+        ? UF_EXTERIOR
+        : String(destinatario?.endereco?.uf || destinatario?.uf || ufEmit).toUpperCase();
+    return { ufEmit, ufDest };
+}
+
+/**
+ * idDest da nota
+ */
+function obterDestinoOperacao(dados) {
+    const { ufEmit, ufDest } = obterUFs(dados);
+    if (ufDest === UF_EXTERIOR) {
+        return DESTINO_EXTERIOR;
+    }
+    return ufDest === ufEmit ? DESTINO_INTERNO : DESTINO_INTERESTADUAL;
+}
+
+/**
+ * indFinal da nota (1=consumidor final, 0=normal)
+ */
+function obterConsumidorFinal(dados) {
+    return dados.consumidor_final === false ? '0' : '1';
+}
+
+/**
+ * ICMSUFDest obrigatório: interestadual, consumidor final e destinatário não contribuinte
+ */
+function exigeDifal(dados) {
+    return obterDestinoOperacao(dados) === DESTINO_INTERESTADUAL &&
+        obterConsumidorFinal(dados) === '1' &&
+        String(dados.destinatario?.indicador_ie || '9') === '9';
+}
+
+function validarEstrangeiro(destinatario) {
+    const codigoPais = String(destinatario.endereco?.codigo_pais || '');
+    if (!/^\d{4}$/.test(codigoPais) || codigoPais === CODIGO_PAIS_BRASIL) {
+        return 'Destinatário estrangeiro exige endereco.codigo_pais (código BACEN de 4 dígitos, diferente de 1058)';
+    }
+    if (!informado(destinatario.endereco?.pais)) {
+        return 'Destinatário estrangeiro exige endereco.pais';
+    }
+    const idEstrangeiro = String(destinatario.id_estrangeiro || '');
+    if (idEstrangeiro && (idEstrangeiro.length < 5 || idEstrangeiro.length > 20)) {
+        return 'id_estrangeiro deve ter de 5 a 20 caracteres (ou vazio)';
+    }
+    if (informado(destinatario.indicador_ie) && String(destinatario.indicador_ie) !== '9') {
+        return 'Destinatário estrangeiro deve ter indicador_ie 9 (não contribuinte)';
+    }
+    return null;
+}
+
+/**
+ * Valida destinatário, CFOP x idDest, exportação e DIFAL
+ * Retorna a mensagem de erro ou null
+ */
+function validarDestinoOperacao(dados) {
+    const destinatario = dados.destinatario;
+    const idDest = obterDestinoOperacao(dados);
+    const { ufEmit, ufDest } = obterUFs(dados);
+
+    if (dados.consumidor_final !== undefined && typeof dados.consumidor_final !== 'boolean') {
+        return 'consumidor_final deve ser true ou false';
+    }
+
+    if (idDest === DESTINO_EXTERIOR) {
+        const erro = validarEstrangeiro(destinatario);
+        if (erro) {
+            return erro;
+        }
+    } else if (!UF_CODIGOS[ufDest]) {
+        return `UF do destinatário inválida: ${ufDest}`;
+    }
+
+    // Município do destinatário precisa ser da UF de destino (sem ele só vale o do emitente, na mesma UF)
+    const codigoMunicipio = String(destinatario?.endereco?.codigo_municipio || '');
+    if (idDest === DESTINO_INTERESTADUAL && !codigoMunicipio) {
+        return `Operação interestadual exige destinatario.endereco.codigo_municipio (${ufEmit} -> ${ufDest})`;
+    }
+    if (codigoMunicipio && idDest !== DESTINO_EXTERIOR &&
+        (!/^\d{7}$/.test(codigoMunicipio) || codigoMunicipio.substring(0, 2) !== UF_CODIGOS[ufDest])) {
+        return `destinatario.endereco.codigo_municipio deve ser um código IBGE (7 dígitos) de município de ${ufDest}`;
+    }
+
+    for (let i = 0; i < dados.itens.length; i++) {
+        const cfop = String(dados.itens[i].cfop || '5102');
+        if (!DIGITOS_CFOP[idDest].includes(cfop.charAt(0))) {
+            return `Item ${i + 1}: CFOP ${cfop} incompatível com operação ${DESCRICAO_DESTINO[idDest]} (idDest ${idDest})`;
+        }
+    }
+
+    const exportacao = dados.exportacao;
+    if (exportacao && idDest !== DESTINO_EXTERIOR) {
+        return 'exportacao só se aplica a operação com exterior (destinatário estrangeiro)';
+    }
+    if (idDest === DESTINO_EXTERIOR && obterTipoOperacao(dados) === '1') {
+        if (!exportacao) {
+            return 'Exportação exige exportacao (uf_saida e local_exportacao)';
+        }
+        if (!UF_CODIGOS[String(exportacao.uf_saida || '').toUpperCase()]) {
+            return `exportacao.uf_saida inválida: ${exportacao.uf_saida}`;
+        }
+        if (!informado(exportacao.local_exportacao)) {
+            return 'exportacao.local_exportacao é obrigatório';
+        }
+    }
+
+    return exigeDifal(dados) ? validarDifal(dados) : null;
+}
+
+/**
+ * Monta o grupo <exporta> (vazio sem exportação)
+ */
+function montarExportacao(exportacao) {
+    if (!exportacao) {
+        return '';
+    }
+
+    return `<exporta>` +
+        `<UFSaidaPais>${String(exportacao.uf_saida).toUpperCase()}</UFSaidaPais>` +
+        tagTexto('xLocExporta', exportacao.local_exportacao, 60) +
+        tagTexto('xLocDespacho', exportacao.local_despacho, 60) +
+        `</exporta>`;
+}
+
+module.exports = {
+    destinatarioEstrangeiro,
+    obterUFs,
+    obterDestinoOperacao,
+    obterConsumidorFinal,
+    exigeDifal,
+    validarDestinoOperacao,
+    montarExportacao,
+};
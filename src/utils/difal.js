@@ -0,0 +1,126 @@
+/**
+ * ICMS da UF de destino (<ICMSUFDest>, EC 87/2015): DIFAL e FCP do destino nas vendas interestaduais
+ * a consumidor final não contribuinte (idDest=2, indFinal=1, indIEDest=9)
+ *
+ * Entrada em `difal` (na nota, valendo para todos os itens) e/ou `item.difal` (por item):
+ *   aliquota_interna (pICMSUFDest, obrigatória), aliquota_fcp (pFCPUFDest), base_calculo,
+ *   aliquota_interestadual (padrão: 4% para importados, 7% do Sul/Sudeste para N/NE/CO/ES, senão 12%)
+ *
+ * A partilha é 100% para o destino desde 2019 (vICMSUFRemet zerado)
+ */
+
+const { arredondar } = require('./icms');
+const { informado, valor, percentual, tag } = require('./xml-helpers');
+
+const ALIQUOTAS_INTERESTADUAIS = [4, 7, 12];
+
+// Origens de mercadoria importada (alíquota interestadual de 4%, Resolução do Senado 13/2012)
+const ORIGENS_IMPORTADAS = ['1', '2', '3', '8'];
+
+// Sul e Sudeste, exceto ES: 7% nas saídas para N, NE, CO e ES
+const UFS_SUL_SUDESTE = ['MG', 'PR', 'RJ', 'RS', 'SC', 'SP'];
+
+const PERCENTUAL_PARTILHA = 100;
+
+/**
+ * Dados do DIFAL do item (item.difal sobre o difal da nota)
+ */
+function obterDadosDifal(dados, item) {
+    return { ...(dados.difal || {}), ...(item.difal || {}) };
+}
+
+/**
+ * Alíquota interestadual padrão pela origem da mercadoria e pelas UF de origem e destino
+ */
+function aliquotaInterestadual(item, ufEmit, ufDest) {
+    const origem = String(item.icms?.origem ?? item.origem ?? '0');
+    if (ORIGENS_IMPORTADAS.includes(origem)) {
+        return 4;
+    }
+    if (UFS_SUL_SUDESTE.includes(ufEmit) && !UFS_SUL_SUDESTE.includes(ufDest)) {
+        return 7;
+    }
+    return 12;
+}
+
+/**
+ * Valida o DIFAL dos itens (só quando a operação exige o grupo ICMSUFDest)
+ * Retorna a mensagem de erro ou null
+ */
+function validarDifal(dados) {
+    for (let i = 0; i < dados.itens.length; i++) {
+        const difal = obterDadosDifal(dados, dados.itens[i]);
+        const descricao = `Item ${i + 1}`;
+
+        if (!informado(difal.aliquota_interna)) {
+            return `${descricao}: venda interestadual a não contribuinte exige difal.aliquota_interna (alíquota interna da UF de destino)`;
+        }
+        const numericos = ['aliquota_interna', 'aliquota_fcp', 'base_calculo'].filter(campo => informado(difal[campo]));
+        if (numericos.some(campo => !Number.isFinite(Number(difal[campo])) || Number(difal[campo]) < 0)) {
+            return `${descricao}: aliquota_interna, aliquota_fcp e base_calculo do DIFAL devem ser numéricos não negativos`;
+        }
+        if (informado(difal.aliquota_interestadual) &&
+            !ALIQUOTAS_INTERESTADUAIS.includes(Number(difal.aliquota_interestadual))) {
+            return `${descricao}: aliquota_interestadual do DIFAL deve ser 4, 7 ou 12`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Monta <ICMSUFDest> do item
+ *
+ * @param {Object} dados - nota (difal padrão)
+ * @param {Object} item - item da nota (item.difal)
+ * @param {Object} contexto
+ * @param {string} contexto.ufEmit - UF do emitente
+ * @param {string} contexto.ufDest - UF do destinatário
+ * @param {number} contexto.valorBase - valor da operação com IPI (base padrão)
+ * @returns {{ xml: string, totais: {vFCPUFDest, vICMSUFDest, vICMSUFRemet} }}
+ */
+function montarICMSUFDest(dados, item, { ufEmit, ufDest, valorBase }) {
+    const difal = obterDadosDifal(dados, item);
+
+    const vBCUFDest = arredondar(informado(difal.base_calculo) ? difal.base_calculo : valorBase);
+    const pFCPUFDest = Number(difal.aliquota_fcp || 0);
+    const pICMSUFDest = Number(difal.aliquota_interna);
+    const pICMSInter = Number(difal.aliquota_interestadual ?? aliquotaInterestadual(item, ufEmit, ufDest));
+
+    const vFCPUFDest = arredondar(vBCUFDest * pFCPUFDest / 100);
+    const vICMSUFDest = arredondar(Math.max(0, vBCUFDest * (pICMSUFDest - pICMSInter) / 100));
+
+    const xml = `<ICMSUFDest>` +
+        tag('vBCUFDest', valor(vBCUFDest)) +
+        tag('vBCFCPUFDest', valor(vBCUFDest)) +
+        tag('pFCPUFDest', percentual(pFCPUFDest)) +
+        tag('pICMSUFDest', percentual(pICMSUFDest)) +
+        tag('pICMSInter', Number(pICMSInter).toFixed(2)) +
+        tag('pICMSInterPart', percentual(PERCENTUAL_PARTILHA)) +
+        tag('vFCPUFDest', valor(vFCPUFDest)) +
+        tag('vICMSUFDest', valor(vICMSUFDest)) +
+        tag('vICMSUFRemet', valor(0)) +
+        `</ICMSUFDest>`;
+
+    return { xml, totais: { vFCPUFDest, vICMSUFDest, vICMSUFRemet: 0 } };
+}
+
+/**
+ * Tags vFCPUFDest/vICMSUFDest/vICMSUFRemet do ICMSTot (vazio quando nenhum item tem ICMSUFDest)
+ */
+function montarTotaisDifalXml(listaTotais) {
+    if (listaTotais.length === 0) {
+        return '';
+    }
+
+    const somar = campo => listaTotais.reduce((soma, totais) => arredondar(soma + totais[campo]), 0);
+    return tag('vFCPUFDest', valor(somar('vFCPUFDest'))) +
+        tag('vICMSUFDest', valor(somar('vICMSUFDest'))) +
+        tag('vICMSUFRemet', valor(somar('vICMSUFRemet')));
+}
+
+module.exports = {
+    validarDifal,
+    montarICMSUFDest,
+    montarTotaisDifalXml,
+};
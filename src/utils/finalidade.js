@@ -0,0 +1,254 @@
+/**
+ * Finalidade da NF-e (finNFe), tipo de operação (tpNF) e documentos referenciados (<NFref>)
+ *
+ * finalidade: 1=normal, 2=complementar, 3=ajuste, 4=devolução de mercadoria
+ * tipo_operacao: 0=entrada, 1=saída (padrão: pelo primeiro dígito do CFOP dos itens)
+ *
+ * Entrada em `documentos_referenciados` (obrigatória para finalidade 2 e 4):
+ *   { chave }                                          NF-e/NFC-e (refNFe)
+ *   { tipo: 'cte', chave }                             CT-e (refCTe)
+ *   { tipo: 'nf', uf, aamm, cnpj, modelo, serie, numero }                    NF modelo 1/2 (refNF)
+ *   { tipo: 'nfp', uf, aamm, documento, inscricao_estadual, modelo, serie, numero }  NF de produtor (refNFP)
+ *   { tipo: 'ecf', modelo, numero_ecf, coo }           cupom fiscal (refECF)
+ */
+
+const { UF_CODIGOS } = require('./sefaz-config');
+const { informado, tag } = require('./xml-helpers');
+
+const FINALIDADES = ['1', '2', '3', '4'];
+
+const FINALIDADE_NORMAL = '1';
+const FINALIDADE_COMPLEMENTAR = '2';
+const FINALIDADE_AJUSTE = '3';
+const FINALIDADE_DEVOLUCAO = '4';
+
+const REFERENCIAS_MAX = 500;
+
+// Sufixo (3 últimos dígitos) dos CFOP de devolução/retorno de mercadoria
+const SUFIXOS_CFOP_DEVOLUCAO = ['201', '202', '203', '204', '208', '209', '210', '211', '212', '410', '411',
+    '412', '413', '503', '504', '505', '506', '553', '555', '556', '660', '661', '662', '918', '919'];
+
+// CFOP da operação original -> CFOP de devolução (sufixo)
+const DEVOLUCAO_POR_CFOP = {
+    101: '201', 103: '201', 105: '201', 109: '201', 111: '201', 113: '201', 116: '201', 118: '201', 122: '201',
+    102: '202', 104: '202', 106: '202', 108: '202', 110: '202', 115: '202', 117: '202', 119: '202', 120: '202',
+    123: '202',
+    124: '203', 125: '203',
+    151: '208', 152: '209',
+    401: '410', 402: '410', 403: '411', 404: '411', 405: '411',
+    651: '660', 652: '661', 653: '661', 654: '662', 655: '662', 656: '662',
+};
+
+const MODELOS_REF_NF = ['01', '02'];
+const MODELOS_REF_NFP = ['01', '04'];
+const MODELOS_REF_ECF = ['2B', '2C', '2D'];
+
+const CHAVE_REGEX = /^\d{44}$/;
+const AAMM_REGEX = /^\d{2}(0[1-9]|1[0-2])$/;
+
+function somenteDigitos(v) {
+    return String(v || '').replace(/\D/g, '');
+}
+
+/**
+ * finNFe da nota (padrão 1=normal)
+ */
+function obterFinalidade(dados) {
+    return String(dados.finalidade ?? FINALIDADE_NORMAL);
+}
+
+/**
+ * Finalidades sem pagamento: ajuste e devolução exigem tPag 90
+ */
+function finalidadeSemPagamento(finalidade) {
+    return finalidade === FINALIDADE_AJUSTE || finalidade === FINALIDADE_DEVOLUCAO;
+}
+
+function cfopDoItem(item) {
+    return String(item.cfop || '5102');
+}
+
+function cfopDevolucao(cfop) {
+    return SUFIXOS_CFOP_DEVOLUCAO.includes(String(cfop).substring(1));
+}
+
+/**
+ * tpNF da nota: tipo_operacao informado ou pelo CFOP do primeiro item (1, 2, 3 = entrada)
+ */
+function obterTipoOperacao(dados) {
+    if (informado(dados.tipo_operacao)) {
+        return String(dados.tipo_operacao);
+    }
+    return ['1', '2', '3'].includes(cfopDoItem(dados.itens[0]).charAt(0)) ? '0' : '1';
+}
+
+/**
+ * CFOP de devolução correspondente ao CFOP da operação original
+ *
+ * @param {string} cfop - CFOP da nota original
+ * @param {string} tpNF - tipo da nota de devolução: 0 (entrada, emitida pelo emitente original) ou 1 (saída)
+ * @returns {string|null} null quando não há correspondência
+ */
+function mapearCfopDevolucao(cfop, tpNF) {
+    const cfopStr = String(cfop);
+    const sufixo = DEVOLUCAO_POR_CFOP[cfopStr.substring(1)];
+    if (!sufixo) {
+        return null;
+    }
+
+    // Grupo do CFOP: 1/5 estadual, 2/6 interestadual, 3/7 exterior
+    const grupo = ((Number(cfopStr.charAt(0)) - 1) % 4) + 1;
+    return `${tpNF === '0' ? grupo : grupo + 4}${sufixo}`;
+}
+
+function validarReferencia(ref) {
+    const tipo = String(ref.tipo || 'nfe').toLowerCase();
+
+    if (tipo === 'nfe' || tipo === 'cte') {
+        return CHAVE_REGEX.test(somenteDigitos(ref.chave)) ? null : 'chave deve ter 44 dígitos';
+    }
+
+    if (tipo === 'nf' || tipo === 'nfp') {
+        if (!UF_CODIGOS[String(ref.uf || '').toUpperCase()]) {
+            return `UF inválida: ${ref.uf}`;
+        }
+        if (!AAMM_REGEX.test(String(ref.aamm || ''))) {
+            return 'aamm deve estar no formato AAMM';
+        }
+        const modelos = tipo === 'nf' ? MODELOS_REF_NF : MODELOS_REF_NFP;
+        if (!modelos.includes(String(ref.modelo || '').padStart(2, '0'))) {
+            return `modelo deve ser ${modelos.join(' ou ')}`;
+        }
+        const documento = somenteDigitos(tipo === 'nf' ? ref.cnpj : ref.documento);
+        if (tipo === 'nf' ? documento.length !== 14 : documento.length !== 11 && documento.length !== 14) {
+            return tipo === 'nf' ? 'cnpj deve ter 14 dígitos' : 'documento deve ser CPF (11) ou CNPJ (14 dígitos)';
+        }
+        if (tipo === 'nfp' && !informado(ref.inscricao_estadual)) {
+            return 'inscricao_estadual do produtor é obrigatória';
+        }
+        const numero = Number(ref.numero);
+        if (!Number.isInteger(numero) || numero < 1 || numero > 999999999 || !/^\d{1,3}$/.test(String(ref.serie ?? ''))) {
+            return 'serie (até 3 dígitos) e numero (1 a 999999999) são obrigatórios';
+        }
+        return null;
+    }
+
+    if (tipo === 'ecf') {
+        if (!MODELOS_REF_ECF.includes(String(ref.modelo || '').toUpperCase())) {
+            return `modelo do ECF deve ser ${MODELOS_REF_ECF.join(', ')}`;
+        }
+        if (!/^\d{1,3}$/.test(String(ref.numero_ecf ?? '')) || !/^\d{1,6}$/.test(String(ref.coo ?? ''))) {
+            return 'numero_ecf (até 3 dígitos) e coo (até 6 dígitos) são obrigatórios';
+        }
+        return null;
+    }
+
+    return `tipo inválido: ${ref.tipo} (nfe, cte, nf, nfp ou ecf)`;
+}
+
+/**
+ * Valida finalidade, documentos referenciados, tpNF x CFOP e a forma de pagamento exigida
+ * Retorna a mensagem de erro ou null
+ */
+function validarFinalidade(dados) {
+    const finalidade = obterFinalidade(dados);
+    if (!FINALIDADES.includes(finalidade)) {
+        return `finalidade inválida: ${dados.finalidade} (1=normal, 2=complementar, 3=ajuste, 4=devolução)`;
+    }
+
+    const referencias = dados.documentos_referenciados;
+    if (referencias !== undefined && !Array.isArray(referencias)) {
+        return 'documentos_referenciados deve ser uma lista';
+    }
+    const refs = referencias || [];
+    if (refs.length > REFERENCIAS_MAX) {
+        return `Máximo de ${REFERENCIAS_MAX} documentos referenciados`;
+    }
+    for (let i = 0; i < refs.length; i++) {
+        const erro = validarReferencia(refs[i]);
+        if (erro) {
+            return `Documento referenciado ${i + 1}: ${erro}`;
+        }
+    }
+    if ((finalidade === FINALIDADE_COMPLEMENTAR || finalidade === FINALIDADE_DEVOLUCAO) && refs.length === 0) {
+        return `NF-e ${finalidade === FINALIDADE_DEVOLUCAO ? 'de devolução' : 'complementar'} exige documentos_referenciados`;
+    }
+
+    if (informado(dados.tipo_operacao) && !['0', '1'].includes(String(dados.tipo_operacao))) {
+        return 'tipo_operacao deve ser 0 (entrada) ou 1 (saída)';
+    }
+
+    // CFOP 1xxx-3xxx só em nota de entrada; 5xxx-7xxx só em nota de saída
+    const tpNF = obterTipoOperacao(dados);
+    const digitos = tpNF === '0' ? ['1', '2', '3'] : ['5', '6', '7'];
+    for (let i = 0; i < dados.itens.length; i++) {
+        const cfop = cfopDoItem(dados.itens[i]);
+        if (!/^\d{4}$/.test(cfop)) {
+            return `Item ${i + 1}: CFOP inválido: ${cfop}`;
+        }
+        if (!digitos.includes(cfop.charAt(0))) {
+            return `Item ${i + 1}: CFOP ${cfop} incompatível com nota de ${tpNF === '0' ? 'entrada' : 'saída'}`;
+        }
+        const devolucao = cfopDevolucao(cfop);
+        if (finalidade === FINALIDADE_DEVOLUCAO && !devolucao) {
+            return `Item ${i + 1}: NF-e de devolução exige CFOP de devolução (CFOP ${cfop})`;
+        }
+        if (finalidade !== FINALIDADE_DEVOLUCAO && devolucao) {
+            return `Item ${i + 1}: CFOP ${cfop} de devolução exige finalidade 4`;
+        }
+    }
+
+    if (finalidadeSemPagamento(finalidade)) {
+        const pagamentos = Array.isArray(dados.pagamentos) ? dados.pagamentos : [dados.pagamento].filter(Boolean);
+        if (pagamentos.some(pagamento => String(pagamento.forma ?? '').padStart(2, '0') !== '90')) {
+            return 'NF-e de ajuste ou devolução deve usar a forma de pagamento 90 (sem pagamento)';
+        }
+    }
+
+    return null;
+}
+
+function montarReferencia(ref) {
+    const tipo = String(ref.tipo || 'nfe').toLowerCase();
+
+    if (tipo === 'nfe') {
+        return tag('refNFe', somenteDigitos(ref.chave));
+    }
+    if (tipo === 'cte') {
+        return tag('refCTe', somenteDigitos(ref.chave));
+    }
+    if (tipo === 'ecf') {
+        return `<refECF>${tag('mod', String(ref.modelo).toUpperCase())}` +
+            `${tag('nECF', String(ref.numero_ecf).padStart(3, '0'))}${tag('nCOO', String(ref.coo).padStart(6, '0'))}</refECF>`;
+    }
+
+    const grupo = tipo === 'nf' ? 'refNF' : 'refNFP';
+    const documento = somenteDigitos(tipo === 'nf' ? ref.cnpj : ref.documento);
+    const ie = String(ref.inscricao_estadual || '').toUpperCase();
+    return `<${grupo}>` +
+        tag('cUF', UF_CODIGOS[String(ref.uf).toUpperCase()]) +
+        tag('AAMM', String(ref.aamm)) +
+        tag(documento.length === 11 ? 'CPF' : 'CNPJ', documento) +
+        (tipo === 'nfp' ? tag('IE', ie === 'ISENTO' ? 'ISENTO' : somenteDigitos(ie)) : '') +
+        tag('mod', String(ref.modelo).padStart(2, '0')) +
+        tag('serie', String(Number(ref.serie))) +
+        tag('nNF', String(Number(ref.numero))) +
+        `</${grupo}>`;
+}
+
+/**
+ * Monta os grupos <NFref> do <ide> (vazio sem documentos referenciados)
+ */
+function montarDocumentosReferenciados(referencias) {
+    return (referencias || []).map(ref => `<NFref>${montarReferencia(ref)}</NFref>`).join('');
+}
+
+module.exports = {
+    FINALIDADES,
+    obterFinalidade,
+    finalidadeSemPagamento,
+    obterTipoOperacao,
+    mapearCfopDevolucao,
+    validarFinalidade,
+    montarDocumentosReferenciados,
+};
@@ -0,0 +1,244 @@
+/**
+ * Reforma Tributária (NT 2025.002): grupos IBSCBS e IS do item e totais IBSCBSTot / ISTot
+ *
+ * Entrada por item (opcional durante a transição; sem ela os grupos não são gerados):
+ *   item.ibs_cbs = { cst, classificacao_tributaria, base_calculo, aliquota_ibs_uf, aliquota_ibs_mun,
+ *                    aliquota_cbs, reducao_aliquota, diferimento }
+ *     alíquotas não informadas usam as do ano de teste (2026); reducao_aliquota (gRed) e
+ *     diferimento (gDif) em percentual, aplicados ao IBS UF, IBS municipal e CBS
+ *   item.is = { cst, classificacao_tributaria, base_calculo, aliquota, aliquota_especifica, unidade, quantidade }
+ */
+
+const { arredondar } = require('./icms');
+const { informado, valor, percentual, tag } = require('./xml-helpers');
+
+// Alíquotas de teste de 2026 (LC 214/2025): CBS 0,9% e IBS 0,1% (estadual)
+const ALIQUOTAS_PADRAO = {
+    ibsUF: 0.1,
+    ibsMun: 0,
+    cbs: 0.9,
+};
+
+// CST sem grupo gIBSCBS (isenção / imunidade e não incidência)
+const CST_SEM_TRIBUTACAO = ['400', '410'];
+
+// CST de tributação monofásica (combustíveis): grupo gIBSCBSMono não suportado
+const CST_MONOFASICA = ['620'];
+
+/**
+ * Valida item.ibs_cbs e item.is
+ * Retorna a mensagem de erro ou null
+ */
+function validarReformaTributaria(item) {
+    const ibsCbs = item.ibs_cbs;
+    if (ibsCbs) {
+        if (!/^\d{3}$/.test(String(ibsCbs.cst || ''))) {
+            return 'CST de IBS/CBS deve ter 3 dígitos';
+        }
+        if (!/^\d{6}$/.test(String(ibsCbs.classificacao_tributaria || ''))) {
+            return 'classificacao_tributaria (cClassTrib) de IBS/CBS deve ter 6 dígitos';
+        }
+        if (CST_MONOFASICA.includes(String(ibsCbs.cst))) {
+            return `CST ${ibsCbs.cst} (tributação monofásica) de IBS/CBS não suportado`;
+        }
+        const reducao = Number(ibsCbs.reducao_aliquota || 0);
+        const diferimento = Number(ibsCbs.diferimento || 0);
+        if (reducao < 0 || reducao > 100 || diferimento < 0 || diferimento > 100) {
+            return 'reducao_aliquota e diferimento de IBS/CBS devem estar entre 0 e 100';
+        }
+    }
+
+    const imposto = item.is;
+    if (imposto) {
+        if (!/^\d{3}$/.test(String(imposto.cst || ''))) {
+            return 'CST do Imposto Seletivo deve ter 3 dígitos';
+        }
+        if (!/^\d{6}$/.test(String(imposto.classificacao_tributaria || ''))) {
+            return 'classificacao_tributaria do Imposto Seletivo deve ter 6 dígitos';
+        }
+        if (!informado(imposto.aliquota) && !informado(imposto.aliquota_especifica)) {
+            return 'Imposto Seletivo exige aliquota ou aliquota_especifica';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Valor de um tributo (IBS UF, IBS municipal ou CBS) com redução de alíquota e diferimento
+ */
+function calcularTributo(vBC, aliquota, pRedAliq, pDif) {
+    const pAliqEfet = aliquota * (1 - pRedAliq / 100);
+    const vTributo = arredondar(vBC * pAliqEfet / 100);
+    const vDif = arredondar(vTributo * pDif / 100);
+
+    return {
+        aliquota,
+        pRedAliq,
+        pAliqEfet,
+        pDif,
+        vDif,
+        valor: arredondar(vTributo - vDif),
+    };
+}
+
+/**
+ * XML de gIBSUF / gIBSMun / gCBS (pAliq, gDif, gRed, vTributo)
+ */
+function xmlTributo(grupo, sufixo, t) {
+    return `<${grupo}>` +
+        tag(`p${sufixo}`, percentual(t.aliquota)) +
+        (t.pDif > 0 ? `<gDif>${tag('pDif', percentual(t.pDif))}${tag('vDif', valor(t.vDif))}</gDif>` : '') +
+        (t.pRedAliq > 0 ? `<gRed>${tag('pRedAliq', percentual(t.pRedAliq))}${tag('pAliqEfet', percentual(t.pAliqEfet))}</gRed>` : '') +
+        tag(`v${sufixo}`, valor(t.valor)) +
+        `</${grupo}>`;
+}
+
+/**
+ * Monta <IBSCBS> do item
+ *
+ * @param {Object} item - item da nota (usa item.ibs_cbs)
+ * @param {number} valorBase - base padrão (valor do item sem ICMS, PIS e COFINS)
+ * @returns {{ xml: string, totais: Object|null }} totais null quando o item não tem IBS/CBS
+ */
+function montarIBSCBS(item, valorBase) {
+    const dados = item.ibs_cbs;
+    if (!dados) {
+        return { xml: '', totais: null };
+    }
+
+    const cst = String(dados.cst);
+    const inicio = tag('CST', cst) + tag('cClassTrib', String(dados.classificacao_tributaria));
+
+    if (CST_SEM_TRIBUTACAO.includes(cst)) {
+        return { xml: `<IBSCBS>${inicio}</IBSCBS>`, totais: criarTotaisIBSCBS() };
+    }
+
+    const vBC = arredondar(informado(dados.base_calculo) ? dados.base_calculo : Math.max(0, valorBase));
+    const pRedAliq = Number(dados.reducao_aliquota || 0);
+    const pDif = Number(dados.diferimento || 0);
+
+    const ibsUF = calcularTributo(vBC, Number(dados.aliquota_ibs_uf ?? ALIQUOTAS_PADRAO.ibsUF), pRedAliq, pDif);
+    const ibsMun = calcularTributo(vBC, Number(dados.aliquota_ibs_mun ?? ALIQUOTAS_PADRAO.ibsMun), pRedAliq, pDif);
+    const cbs = calcularTributo(vBC, Number(dados.aliquota_cbs ?? ALIQUOTAS_PADRAO.cbs), pRedAliq, pDif);
+    const vIBS = arredondar(ibsUF.valor + ibsMun.valor);
+
+    const xml = `<IBSCBS>${inicio}<gIBSCBS>` +
+        tag('vBC', valor(vBC)) +
+        xmlTributo('gIBSUF', 'IBSUF', ibsUF) +
+        xmlTributo('gIBSMun', 'IBSMun', ibsMun) +
+        tag('vIBS', valor(vIBS)) +
+        xmlTributo('gCBS', 'CBS', cbs) +
+        `</gIBSCBS></IBSCBS>`;
+
+    return {
+        xml,
+        totais: {
+            vBCIBSCBS: vBC,
+            vDifIBSUF: ibsUF.vDif,
+            vIBSUF: ibsUF.valor,
+            vDifIBSMun: ibsMun.vDif,
+            vIBSMun: ibsMun.valor,
+            vIBS,
+            vDifCBS: cbs.vDif,
+            vCBS: cbs.valor,
+        },
+    };
+}
+
+/**
+ * Monta <IS> (Imposto Seletivo) do item: alíquota ad valorem e/ou específica por unidade
+ *
+ * @returns {{ xml: string, valor: number }}
+ */
+function montarIS(item, valorBase) {
+    const dados = item.is;
+    if (!dados) {
+        return { xml: '', valor: 0 };
+    }
+
+    const vBCIS = arredondar(informado(dados.base_calculo) ? dados.base_calculo : valorBase);
+    const pIS = Number(dados.aliquota || 0);
+    let vIS = vBCIS * pIS / 100;
+
+    let especifica = '';
+    if (informado(dados.aliquota_especifica)) {
+        const pISEspec = Number(dados.aliquota_especifica);
+        const qTrib = Number(dados.quantidade ?? item.quantidade ?? 1);
+        vIS += qTrib * pISEspec;
+        especifica = tag('pISEspec', percentual(pISEspec)) +
+            tag('uTrib', String(dados.unidade || item.unidade || 'UN').toUpperCase().substring(0, 6)) +
+            tag('qTrib', Number(qTrib).toFixed(4));
+    }
+    vIS = arredondar(vIS);
+
+    const xml = `<IS>` +
+        tag('CSTIS', String(dados.cst)) +
+        tag('cClassTribIS', String(dados.classificacao_tributaria)) +
+        tag('vBCIS', valor(vBCIS)) +
+        tag('pIS', percentual(pIS)) +
+        especifica +
+        tag('vIS', valor(vIS)) +
+        `</IS>`;
+
+    return { xml, valor: vIS };
+}
+
+function criarTotaisIBSCBS() {
+    return {
+        vBCIBSCBS: 0,
+        vDifIBSUF: 0,
+        vIBSUF: 0,
+        vDifIBSMun: 0,
+        vIBSMun: 0,
+        vIBS: 0,
+        vDifCBS: 0,
+        vCBS: 0,
+    };
+}
+
+/**
+ * Monta <ISTot> e <IBSCBSTot> a partir dos resultados de montarIS / montarIBSCBS dos itens
+ * Grupos só são gerados quando algum item tem IS / IBSCBS
+ */
+function montarTotaisReformaTributaria(resultadosIS, resultadosIBSCBS) {
+    let xml = '';
+
+    if (resultadosIS.some(is => is.xml)) {
+        const vIS = resultadosIS.reduce((soma, is) => arredondar(soma + is.valor), 0);
+        xml += `<ISTot>${tag('vIS', valor(vIS))}</ISTot>`;
+    }
+
+    const totaisItens = resultadosIBSCBS.filter(r => r.totais).map(r => r.totais);
+    if (totaisItens.length > 0) {
+        const t = criarTotaisIBSCBS();
+        totaisItens.forEach(totais => {
+            Object.keys(t).forEach(campo => {
+                t[campo] = arredondar(t[campo] + totais[campo]);
+            });
+        });
+
+        xml += `<IBSCBSTot>` +
+            tag('vBCIBSCBS', valor(t.vBCIBSCBS)) +
+            `<gIBS>` +
+            `<gIBSUF>${tag('vDif', valor(t.vDifIBSUF))}${tag('vDevTrib', '0.00')}${tag('vIBSUF', valor(t.vIBSUF))}</gIBSUF>` +
+            `<gIBSMun>${tag('vDif', valor(t.vDifIBSMun))}${tag('vDevTrib', '0.00')}${tag('vIBSMun', valor(t.vIBSMun))}</gIBSMun>` +
+            tag('vIBS', valor(t.vIBS)) +
+            tag('vCredPres', '0.00') +
+            tag('vCredPresCondSus', '0.00') +
+            `</gIBS>` +
+            `<gCBS>${tag('vDif', valor(t.vDifCBS))}${tag('vDevTrib', '0.00')}${tag('vCBS', valor(t.vCBS))}` +
+            `${tag('vCredPres', '0.00')}${tag('vCredPresCondSus', '0.00')}</gCBS>` +
+            `</IBSCBSTot>`;
+    }
+
+    return xml;
+}
+
+module.exports = {
+    ALIQUOTAS_PADRAO,
+    validarReformaTributaria,
+    montarIBSCBS,
+    montarIS,
+    montarTotaisReformaTributaria,
+};
@@ -0,0 +1,518 @@
+/**
+ * Grupos de ICMS da NF-e (layout 4.00) a partir dos dados tributários do item
+ *
+ * Entrada por item em `item.icms` (campos opcionais conforme o CST/CSOSN):
+ *   cst | csosn, origem, modalidade_bc, base_calculo, aliquota, reducao_bc, aliquota_fcp,
+ *   modalidade_bc_st, mva, reducao_bc_st, base_calculo_st, aliquota_st, aliquota_fcp_st,
+ *   valor_desonerado, motivo_desoneracao, deduzir_desoneracao, diferimento,
+ *   aliquota_credito_sn, partilha, bc_operacao_propria, uf_st, repasse_st,
+ *   base_calculo_st_retido, aliquota_st_retido, valor_icms_substituto, valor_st_retido,
+ *   base_calculo_fcp_st_retido, aliquota_fcp_st_retido, valor_fcp_st_retido,
+ *   base_calculo_st_destino, valor_st_destino
+ *
+ * Sem `item.icms` mantém o comportamento anterior: CSOSN 102 (ou item.csosn) / CST 00 zerado
+ */
+
+const { UF_CODIGOS } = require('./sefaz-config');
+const { informado, valor, percentual, tag } = require('./xml-helpers');
+
+const CST_SUPORTADOS = ['00', '10', '20', '30', '40', '41', '50', '51', '60', '70', '90'];
+const CSOSN_SUPORTADOS = ['101', '102', '103', '201', '202', '203', '300', '400', '500', '900'];
+
+// Modalidade da BC do ICMS ST: 4 = margem de valor agregado (MVA)
+const MOD_BC_ST_MVA = '4';
+
+/**
+ * Arredonda para 2 casas (valores de cada item são arredondados antes de somar no ICMSTot)
+ */
+function arredondar(valor) {
+    return Math.round((Number(valor || 0) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Regime tributário (CRT): 1=Simples Nacional e 4=MEI usam CSOSN; 2 (excesso de sublimite) e 3 usam CST
+ */
+function usaCSOSNRegime(CRT) {
+    return CRT === 1 || CRT === 4;
+}
+
+/**
+ * Normaliza a entrada do item (aceita os campos antigos item.csosn / item.origem / item.cst)
+ */
+function obterDadosICMS(item, usaCSOSN) {
+    const icms = item.icms || {};
+    return {
+        ...icms,
+        origem: String(icms.origem ?? item.origem ?? '0'),
+        codigo: usaCSOSN
+            ? String(icms.csosn || item.csosn || '102')
+            : String(icms.cst || item.cst || '00').padStart(2, '0'),
+    };
+}
+
+/**
+ * Valida os dados de ICMS de um item
+ * Retorna a mensagem de erro ou null
+ */
+function validarICMS(item, usaCSOSN) {
+    const icms = obterDadosICMS(item, usaCSOSN);
+    const { codigo } = icms;
+
+    if (!/^[0-8]$/.test(icms.origem)) {
+        return `Origem da mercadoria inválida: ${icms.origem}`;
+    }
+
+    if (usaCSOSN && !CSOSN_SUPORTADOS.includes(codigo)) {
+        return `CSOSN ${codigo} não suportado (emitente do Simples Nacional)`;
+    }
+    if (!usaCSOSN && !CST_SUPORTADOS.includes(codigo)) {
+        return `CST de ICMS ${codigo} não suportado (emitente do regime normal)`;
+    }
+
+    // Sem item.icms: grupo padrão (CSOSN informado ou CST 00 zerado)
+    if (!item.icms) {
+        return null;
+    }
+
+    if (usaCSOSN) {
+        if (['101', '201'].includes(codigo) && !informado(icms.aliquota_credito_sn)) {
+            return `CSOSN ${codigo} exige aliquota_credito_sn`;
+        }
+    } else {
+        if (['00', '10', '20', '70'].includes(codigo) && !informado(icms.aliquota)) {
+            return `CST ${codigo} exige aliquota`;
+        }
+        if (['20', '70'].includes(codigo) && !informado(icms.reducao_bc)) {
+            return `CST ${codigo} exige reducao_bc`;
+        }
+        if (informado(icms.valor_desonerado) && !informado(icms.motivo_desoneracao)) {
+            return 'valor_desonerado exige motivo_desoneracao';
+        }
+        if (icms.partilha) {
+            if (!['10', '90'].includes(codigo)) {
+                return 'Partilha do ICMS (ICMSPart) só se aplica aos CST 10 e 90';
+            }
+            if (!informado(icms.aliquota) || !informado(icms.bc_operacao_propria)) {
+                return 'Partilha do ICMS exige aliquota e bc_operacao_propria';
+            }
+            const ufST = String(icms.uf_st || '').toUpperCase();
+            if (!UF_CODIGOS[ufST] && ufST !== 'EX') {
+                return 'Partilha do ICMS exige uf_st válida';
+            }
+        }
+        if (icms.repasse_st) {
+            if (!['41', '60'].includes(codigo)) {
+                return 'Repasse do ICMS ST (ICMSST) só se aplica aos CST 41 e 60';
+            }
+            const obrigatorios = ['base_calculo_st_retido', 'valor_st_retido', 'base_calculo_st_destino', 'valor_st_destino'];
+            const faltando = obrigatorios.filter(campo => !informado(icms[campo]));
+            if (faltando.length > 0) {
+                return `Repasse do ICMS ST exige ${faltando.join(', ')}`;
+            }
+        }
+    }
+
+    const exigeST = usaCSOSN ? ['201', '202', '203'] : ['10', '30', '70'];
+    if (exigeST.includes(codigo) && !informado(icms.aliquota_st) && !icms.repasse_st) {
+        return `${usaCSOSN ? 'CSOSN' : 'CST'} ${codigo} exige aliquota_st`;
+    }
+
+    return null;
+}
+
+/**
+ * ICMS próprio: BC (com redução), valor e FCP
+ */
+function calcularProprio(icms, valorBase) {
+    const pRedBC = Number(icms.reducao_bc || 0);
+    const vBC = informado(icms.base_calculo)
+        ? arredondar(icms.base_calculo)
+        : arredondar(valorBase * (1 - pRedBC / 100));
+    const pICMS = Number(icms.aliquota || 0);
+    const pFCP = Number(icms.aliquota_fcp || 0);
+
+    return {
+        modBC: String(icms.modalidade_bc ?? '3'),
+        pRedBC,
+        vBC,
+        pICMS,
+        vICMS: arredondar(vBC * pICMS / 100),
+        pFCP,
+        vFCP: arredondar(vBC * pFCP / 100),
+    };
+}
+
+/**
+ * ICMS ST: BC com MVA/redução e valor descontando o ICMS (e o FCP) próprio
+ */
+function calcularST(icms, valorBaseST, vICMSProprio, vFCPProprio) {
+    const modBCST = String(icms.modalidade_bc_st ?? MOD_BC_ST_MVA);
+    const pMVAST = modBCST === MOD_BC_ST_MVA ? Number(icms.mva || 0) : 0;
+    const pRedBCST = Number(icms.reducao_bc_st || 0);
+    const vBCST = informado(icms.base_calculo_st)
+        ? arredondar(icms.base_calculo_st)
+        : arredondar(valorBaseST * (1 + pMVAST / 100) * (1 - pRedBCST / 100));
+    const pICMSST = Number(icms.aliquota_st || 0);
+    const pFCPST = Number(icms.aliquota_fcp_st || 0);
+
+    return {
+        modBCST,
+        pMVAST,
+        pRedBCST,
+        vBCST,
+        pICMSST,
+        vICMSST: Math.max(0, arredondar(vBCST * pICMSST / 100 - vICMSProprio)),
+        pFCPST,
+        vFCPST: pFCPST > 0 ? Math.max(0, arredondar(vBCST * pFCPST / 100 - vFCPProprio)) : 0,
+    };
+}
+
+/**
+ * ICMS desonerado (vICMSDeson / motDesICMS / indDeduzDeson)
+ */
+function calcularDesoneracao(icms) {
+    if (!informado(icms.valor_desonerado)) {
+        return null;
+    }
+    return {
+        vICMSDeson: arredondar(icms.valor_desonerado),
+        motDesICMS: String(icms.motivo_desoneracao),
+        indDeduzDeson: icms.deduzir_desoneracao ? '1' : '0',
+    };
+}
+
+function xmlProprio(p, { comReducao = false, comBaseFCP = true } = {}) {
+    return tag('modBC', p.modBC) +
+        (comReducao ? tag('pRedBC', percentual(p.pRedBC)) : '') +
+        tag('vBC', valor(p.vBC)) +
+        tag('pICMS', percentual(p.pICMS)) +
+        tag('vICMS', valor(p.vICMS)) +
+        xmlFCP(p, comBaseFCP);
+}
+
+function xmlFCP(p, comBase = true) {
+    if (!(p.pFCP > 0)) {
+        return '';
+    }
+    return (comBase ? tag('vBCFCP', valor(p.vBC)) : '') +
+        tag('pFCP', percentual(p.pFCP)) +
+        tag('vFCP', valor(p.vFCP));
+}
+
+function xmlST(s) {
+    return tag('modBCST', s.modBCST) +
+        (s.pMVAST > 0 ? tag('pMVAST', percentual(s.pMVAST)) : '') +
+        (s.pRedBCST > 0 ? tag('pRedBCST', percentual(s.pRedBCST)) : '') +
+        tag('vBCST', valor(s.vBCST)) +
+        tag('pICMSST', percentual(s.pICMSST)) +
+        tag('vICMSST', valor(s.vICMSST)) +
+        (s.pFCPST > 0
+            ? tag('vBCFCPST', valor(s.vBCST)) + tag('pFCPST', percentual(s.pFCPST)) + tag('vFCPST', valor(s.vFCPST))
+            : '');
+}
+
+function xmlDesoneracao(d) {
+    if (!d) {
+        return '';
+    }
+    return tag('vICMSDeson', valor(d.vICMSDeson)) +
+        tag('motDesICMS', d.motDesICMS) +
+        tag('indDeduzDeson', d.indDeduzDeson);
+}
+
+/**
+ * ICMS retido anteriormente por ST (CST 60 / CSOSN 500 / ICMSST)
+ */
+function xmlRetido(icms) {
+    let xml = '';
+    if (informado(icms.base_calculo_st_retido)) {
+        xml += tag('vBCSTRet', valor(icms.base_calculo_st_retido)) +
+            tag('pST', percentual(icms.aliquota_st_retido)) +
+            tag('vICMSSubstituto', valor(icms.valor_icms_substituto)) +
+            tag('vICMSSTRet', valor(icms.valor_st_retido));
+    }
+    if (informado(icms.valor_fcp_st_retido)) {
+        xml += tag('vBCFCPSTRet', valor(icms.base_calculo_fcp_st_retido ?? icms.base_calculo_st_retido)) +
+            tag('pFCPSTRet', percentual(icms.aliquota_fcp_st_retido)) +
+            tag('vFCPSTRet', valor(icms.valor_fcp_st_retido));
+    }
+    return xml;
+}
+
+/**
+ * Monta o grupo <ICMS> do item
+ *
+ * @param {Object} item - item da nota (usa item.icms, ou item.csosn/item.origem)
+ * @param {Object} opcoes
+ * @param {boolean} opcoes.usaCSOSN - emitente do Simples Nacional (CRT 1 ou 4)
+ * @param {number} opcoes.valorBase - base do ICMS próprio (valor da operação do item)
+ * @param {number} [opcoes.valorBaseST] - base do ICMS ST antes da MVA (padrão: valorBase)
+ * @returns {{ xml: string, totais: Object }} XML do grupo e valores que compõem o ICMSTot
+ */
+function montarICMS(item, { usaCSOSN, valorBase, valorBaseST = valorBase }) {
+    const icms = obterDadosICMS(item, usaCSOSN);
+    const { codigo, origem } = icms;
+    const totais = criarTotaisICMS();
+    const inicio = tag('orig', origem) + tag(usaCSOSN ? 'CSOSN' : 'CST', codigo);
+
+    const somarProprio = p => {
+        totais.vBC += p.vBC;
+        totais.vICMS += p.vICMS;
+        totais.vFCP += p.vFCP;
+    };
+    const somarST = s => {
+        totais.vBCST += s.vBCST;
+        totais.vST += s.vICMSST;
+        totais.vFCPST += s.vFCPST;
+    };
+    const somarDesoneracao = d => {
+        if (d) {
+            totais.vICMSDeson += d.vICMSDeson;
+            if (d.indDeduzDeson === '1') {
+                totais.vICMSDesonDeduzido += d.vICMSDeson;
+            }
+        }
+    };
+    const somarRetido = () => {
+        totais.vFCPSTRet += arredondar(icms.valor_fcp_st_retido);
+    };
+    const creditoSN = () => {
+        const pCredSN = Number(icms.aliquota_credito_sn || 0);
+        return tag('pCredSN', percentual(pCredSN)) +
+            tag('vCredICMSSN', valor(arredondar(valorBase * pCredSN / 100)));
+    };
+
+    let grupo;
+    let conteudo = '';
+
+    if (usaCSOSN) {
+        switch (codigo) {
+            case '101':
+                grupo = 'ICMSSN101';
+                conteudo = creditoSN();
+                break;
+            case '102':
+            case '103':
+            case '300':
+            case '400':
+                grupo = 'ICMSSN102';
+                break;
+            case '201':
+            case '202':
+            case '203': {
+                // ICMS próprio (não destacado) descontado do ST
+                const proprio = calcularProprio(icms, valorBase);
+                const st = calcularST(icms, valorBaseST, proprio.vICMS, 0);
+                grupo = codigo === '201' ? 'ICMSSN201' : 'ICMSSN202';
+                conteudo = xmlST(st) + (codigo === '201' ? creditoSN() : '');
+                somarST(st);
+                break;
+            }
+            case '500':
+                grupo = 'ICMSSN500';
+                conteudo = xmlRetido(icms);
+                somarRetido();
+                break;
+            case '900': {
+                grupo = 'ICMSSN900';
+                let vICMSProprio = 0;
+                if (informado(icms.aliquota)) {
+                    const proprio = calcularProprio(icms, valorBase);
+                    conteudo += tag('modBC', proprio.modBC) +
+                        tag('vBC', valor(proprio.vBC)) +
+                        (proprio.pRedBC > 0 ? tag('pRedBC', percentual(proprio.pRedBC)) : '') +
+                        tag('pICMS', percentual(proprio.pICMS)) +
+                        tag('vICMS', valor(proprio.vICMS));
+                    totais.vBC += proprio.vBC;
+                    totais.vICMS += proprio.vICMS;
+                    vICMSProprio = proprio.vICMS;
+                }
+                if (informado(icms.aliquota_st)) {
+                    const st = calcularST(icms, valorBaseST, vICMSProprio, 0);
+                    conteudo += xmlST(st);
+                    somarST(st);
+                }
+                if (informado(icms.aliquota_credito_sn)) {
+                    conteudo += creditoSN();
+                }
+                break;
+            }
+        }
+    } else if (icms.partilha) {
+        const proprio = calcularProprio(icms, valorBase);
+        const st = calcularST(icms, valorBaseST, proprio.vICMS, 0);
+        grupo = 'ICMSPart';
+        conteudo = tag('modBC', proprio.modBC) +
+            tag('vBC', valor(proprio.vBC)) +
+            (proprio.pRedBC > 0 ? tag('pRedBC', percentual(proprio.pRedBC)) : '') +
+            tag('pICMS', percentual(proprio.pICMS)) +
+            tag('vICMS', valor(proprio.vICMS)) +
+            xmlST(st) +
+            tag('pBCOp', percentual(icms.bc_operacao_propria)) +
+            tag('UFST', String(icms.uf_st).toUpperCase());
+        totais.vBC += proprio.vBC;
+        totais.vICMS += proprio.vICMS;
+        somarST(st);
+    } else if (icms.repasse_st) {
+        grupo = 'ICMSST';
+        conteudo = xmlRetido(icms) +
+            tag('vBCSTDest', valor(icms.base_calculo_st_destino)) +
+            tag('vICMSSTDest', valor(icms.valor_st_destino));
+        somarRetido();
+    } else {
+        const desoneracao = calcularDesoneracao(icms);
+        switch (codigo) {
+            case '00': {
+                const proprio = calcularProprio({ ...icms, reducao_bc: 0 }, valorBase);
+                grupo = 'ICMS00';
+                conteudo = xmlProprio(proprio, { comBaseFCP: false });
+                somarProprio(proprio);
+                break;
+            }
+            case '10': {
+                const proprio = calcularProprio({ ...icms, reducao_bc: 0 }, valorBase);
+                const st = calcularST(icms, valorBaseST, proprio.vICMS, proprio.vFCP);
+                grupo = 'ICMS10';
+                conteudo = xmlProprio(proprio) + xmlST(st);
+                somarProprio(proprio);
+                somarST(st);
+                break;
+            }
+            case '20': {
+                const proprio = calcularProprio(icms, valorBase);
+                grupo = 'ICMS20';
+                conteudo = xmlProprio(proprio, { comReducao: true }) + xmlDesoneracao(desoneracao);
+                somarProprio(proprio);
+                somarDesoneracao(desoneracao);
+                break;
+            }
+            case '30': {
+                const st = calcularST(icms, valorBaseST, arredondar(valorBase * Number(icms.aliquota || 0) / 100), 0);
+                grupo = 'ICMS30';
+                conteudo = xmlST(st) + xmlDesoneracao(desoneracao);
+                somarST(st);
+                somarDesoneracao(desoneracao);
+                break;
+            }
+            case '40':
+            case '41':
+            case '50':
+                grupo = 'ICMS40';
+                conteudo = xmlDesoneracao(desoneracao);
+                somarDesoneracao(desoneracao);
+                break;
+            case '51': {
+                grupo = 'ICMS51';
+                if (informado(icms.aliquota)) {
+                    // Diferimento: vICMS = vICMSOp - vICMSDif
+                    const proprio = calcularProprio(icms, valorBase);
+                    const pDif = Number(icms.diferimento || 0);
+                    const vICMSOp = proprio.vICMS;
+                    const vICMSDif = arredondar(vICMSOp * pDif / 100);
+                    proprio.vICMS = arredondar(vICMSOp - vICMSDif);
+                    conteudo = tag('modBC', proprio.modBC) +
+                        (proprio.pRedBC > 0 ? tag('pRedBC', percentual(proprio.pRedBC)) : '') +
+                        tag('vBC', valor(proprio.vBC)) +
+                        tag('pICMS', percentual(proprio.pICMS)) +
+                        tag('vICMSOp', valor(vICMSOp)) +
+                        tag('pDif', percentual(pDif)) +
+                        tag('vICMSDif', valor(vICMSDif)) +
+                        tag('vICMS', valor(proprio.vICMS)) +
+                        xmlFCP(proprio);
+                    somarProprio(proprio);
+                }
+                break;
+            }
+            case '60':
+                grupo = 'ICMS60';
+                conteudo = xmlRetido(icms);
+                somarRetido();
+                break;
+            case '70': {
+                const proprio = calcularProprio(icms, valorBase);
+                const st = calcularST(icms, valorBaseST, proprio.vICMS, proprio.vFCP);
+                grupo = 'ICMS70';
+                conteudo = xmlProprio(proprio, { comReducao: true }) + xmlST(st) + xmlDesoneracao(desoneracao);
+                somarProprio(proprio);
+                somarST(st);
+                somarDesoneracao(desoneracao);
+                break;
+            }
+            case '90': {
+                grupo = 'ICMS90';
+                let vICMSProprio = 0;
+                let vFCPProprio = 0;
+                if (informado(icms.aliquota)) {
+                    const proprio = calcularProprio(icms, valorBase);
+                    conteudo += tag('modBC', proprio.modBC) +
+                        tag('vBC', valor(proprio.vBC)) +
+                        (proprio.pRedBC > 0 ? tag('pRedBC', percentual(proprio.pRedBC)) : '') +
+                        tag('pICMS', percentual(proprio.pICMS)) +
+                        tag('vICMS', valor(proprio.vICMS)) +
+                        xmlFCP(proprio);
+                    somarProprio(proprio);
+                    vICMSProprio = proprio.vICMS;
+                    vFCPProprio = proprio.vFCP;
+                }
+                if (informado(icms.aliquota_st)) {
+                    const st = calcularST(icms, valorBaseST, vICMSProprio, vFCPProprio);
+                    conteudo += xmlST(st);
+                    somarST(st);
+                }
+                conteudo += xmlDesoneracao(desoneracao);
+                somarDesoneracao(desoneracao);
+                break;
+            }
+        }
+    }
+
+    if (!grupo) {
+        throw new Error(`${usaCSOSN ? 'CSOSN' : 'CST'} ${codigo} não suportado`);
+    }
+
+    return {
+        xml: `<ICMS><${grupo}>${inicio}${conteudo}</${grupo}></ICMS>`,
+        totais,
+    };
+}
+
+/**
+ * Totais de ICMS zerados (mesmos campos do ICMSTot)
+ * vICMSDesonDeduzido: parte do vICMSDeson com indDeduzDeson=1 (abatida do vNF)
+ */
+function criarTotaisICMS() {
+    return {
+        vBC: 0,
+        vICMS: 0,
+        vICMSDeson: 0,
+        vICMSDesonDeduzido: 0,
+        vFCP: 0,
+        vBCST: 0,
+        vST: 0,
+        vFCPST: 0,
+        vFCPSTRet: 0,
+    };
+}
+
+/**
+ * Soma os totais de ICMS dos itens (para o ICMSTot)
+ */
+function somarTotaisICMS(listaTotais) {
+    const soma = criarTotaisICMS();
+    listaTotais.forEach(totais => {
+        Object.keys(soma).forEach(campo => {
+            soma[campo] = arredondar(soma[campo] + (totais[campo] || 0));
+        });
+    });
+    return soma;
+}
+
+module.exports = {
+    CST_SUPORTADOS,
+    CSOSN_SUPORTADOS,
+    usaCSOSNRegime,
+    validarICMS,
+    montarICMS,
+    somarTotaisICMS,
+    arredondar,
+};
@@ -182,12 +182,24 @@ function signNFeXml(xml, certificadoOpts = null) {
 }
 
 /**
- * Assina o XML de Evento (Cancelamento, CC-e, etc)
+ * Carrega o certificado da requisição ({ certBase64, certPassword }) ou, se ausente, o do servidor
+ */
+function loadSigningCertificate(certificadoOpts = null) {
+    if (certificadoOpts && certificadoOpts.certBase64 && certificadoOpts.certPassword) {
+        logger.info('Usando certificado fornecido na requisição');
+        return loadCertificateFromBase64(certificadoOpts.certBase64, certificadoOpts.certPassword);
+    }
+    return loadCertificate();
+}
+
+/**
+ * Assina o XML de Evento (Cancelamento, CC-e, EPEC, etc)
  * @param {string} xml - XML do evento
+ * @param {object} certificadoOpts - Opcional: { certBase64, certPassword } para usar certificado específico
  * @returns {string} - XML assinado
  */
-function signEventoXml(xml) {
-    const { certificate, privateKey, certInfo } = loadCertificate();
+function signEventoXml(xml, certificadoOpts = null) {
+    const { certificate, privateKey, certInfo } = loadSigningCertificate(certificadoOpts);
 
     logger.info('Assinando XML Evento...');
 
@@ -256,10 +268,11 @@ function signEventoXml(xml) {
 /**
  * Assina o XML de Inutilização
  * @param {string} xml - XML da inutilização
+ * @param {object} certificadoOpts - Opcional: { certBase64, certPassword } para usar certificado específico
  * @returns {string} - XML assinado
  */
-function signInutXml(xml) {
-    const { certificate, privateKey, certInfo } = loadCertificate();
+function signInutXml(xml, certificadoOpts = null) {
+    const { certificate, privateKey, certInfo } = loadSigningCertificate(certificadoOpts);
 
     logger.info('Assinando XML Inutilização...');
 
@@ -0,0 +1,196 @@
+/**
+ * Grupo de pagamento (<pag>) da NF-e e NFC-e: formas de pagamento, cartão/PIX e troco
+ *
+ * Entrada em `pagamentos` (ou o objeto único `pagamento`, mantido por compatibilidade):
+ *   [{ forma (tPag), valor, descricao (xPag, obrigatória para 99), indicador (0=à vista, 1=a prazo),
+ *      data (dPag, AAAA-MM-DD),
+ *      cartao: { integrado, cnpj_credenciadora, bandeira, autorizacao, cnpj_recebedor, id_terminal } }]
+ *
+ * vTroco = soma dos vPag - vNF
+ */
+
+const { arredondar } = require('./icms');
+const { informado, escapeXml } = require('./xml-helpers');
+
+const FORMAS_PAGAMENTO = ['01', '02', '03', '04', '05', '10', '11', '12', '13', '15', '16', '17', '18', '19',
+    '20', '21', '22', '90', '99'];
+
+// Cartão de crédito/débito e PIX dinâmico exigem o grupo card
+const FORMAS_COM_CARTAO = ['03', '04', '17'];
+
+const SEM_PAGAMENTO = '90';
+const OUTROS = '99';
+
+const PAGAMENTOS_MAX = 100;
+
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizarForma(forma) {
+    return String(forma).padStart(2, '0');
+}
+
+/**
+ * Lista de pagamentos da nota (pagamentos, ou pagamento único)
+ * Sem nenhum: um pagamento de formaPadrao no valor da nota
+ */
+function obterPagamentos(dados, formaPadrao = '01') {
+    if (Array.isArray(dados.pagamentos) && dados.pagamentos.length > 0) {
+        return dados.pagamentos;
+    }
+    return [dados.pagamento || { forma: formaPadrao }];
+}
+
+/**
+ * Forma de pagamento usada quando não informada: boleto (15) com duplicatas,
+ * 90 (sem pagamento) em ajuste/devolução, senão dinheiro (01)
+ */
+function obterFormaPadrao({ aPrazo = false, semPagamento = false } = {}) {
+    if (semPagamento) {
+        return SEM_PAGAMENTO;
+    }
+    return aPrazo ? '15' : '01';
+}
+
+/**
+ * Valida os pagamentos contra o valor da nota
+ * Retorna a mensagem de erro ou null
+ *
+ * @param {Object} dados - nota (pagamentos / pagamento)
+ * @param {number} vNF - valor da nota
+ * @param {Object} [opcoes] - aPrazo / semPagamento, como em montarPagamento
+ */
+function validarPagamentos(dados, vNF, opcoes = {}) {
+    if (dados.pagamentos !== undefined && !Array.isArray(dados.pagamentos)) {
+        return 'pagamentos deve ser uma lista';
+    }
+
+    const formaPadrao = obterFormaPadrao(opcoes);
+    const pagamentos = obterPagamentos(dados, formaPadrao);
+    if (pagamentos.length > PAGAMENTOS_MAX) {
+        return `Máximo de ${PAGAMENTOS_MAX} formas de pagamento`;
+    }
+
+    for (let i = 0; i < pagamentos.length; i++) {
+        const pagamento = pagamentos[i];
+        const descricao = `Pagamento ${i + 1}`;
+        const forma = normalizarForma(pagamento.forma || formaPadrao);
+
+        if (!FORMAS_PAGAMENTO.includes(forma)) {
+            return `${descricao}: forma de pagamento (tPag) inválida: ${pagamento.forma}`;
+        }
+        if (forma === OUTROS && !pagamento.descricao) {
+            return `${descricao}: forma 99 (outros) exige descricao`;
+        }
+        if (pagamentos.length > 1 && forma !== SEM_PAGAMENTO && !informado(pagamento.valor)) {
+            return `${descricao}: valor é obrigatório quando há mais de uma forma de pagamento`;
+        }
+        if (informado(pagamento.valor) && (!Number.isFinite(Number(pagamento.valor)) || Number(pagamento.valor) < 0)) {
+            return `${descricao}: valor deve ser numérico não negativo`;
+        }
+        if (informado(pagamento.indicador) && !['0', '1'].includes(String(pagamento.indicador))) {
+            return `${descricao}: indicador deve ser 0 (à vista) ou 1 (a prazo)`;
+        }
+        if (informado(pagamento.data) && !DATA_REGEX.test(String(pagamento.data))) {
+            return `${descricao}: data deve estar no formato AAAA-MM-DD`;
+        }
+
+        const cartao = pagamento.cartao;
+        if (cartao?.integrado) {
+            const cnpj = String(cartao.cnpj_credenciadora || '').replace(/\D/g, '');
+            if (cnpj.length !== 14 || !cartao.bandeira || !cartao.autorizacao) {
+                return `${descricao}: pagamento integrado exige cnpj_credenciadora, bandeira e autorizacao`;
+            }
+        }
+    }
+
+    const formas = pagamentos.map(pagamento => normalizarForma(pagamento.forma || formaPadrao));
+    if (formas.includes(SEM_PAGAMENTO)) {
+        if (formas.length > 1) {
+            return 'Forma 90 (sem pagamento) não pode ser combinada com outras formas';
+        }
+        return null;
+    }
+
+    const total = somarPagamentos(pagamentos, vNF);
+    if (total < arredondar(vNF)) {
+        return `Soma dos pagamentos (${total.toFixed(2)}) menor que o valor da nota (${arredondar(vNF).toFixed(2)})`;
+    }
+
+    return null;
+}
+
+/**
+ * Soma dos vPag (pagamento único sem valor = valor da nota)
+ */
+function somarPagamentos(pagamentos, vNF) {
+    if (pagamentos.length === 1 && !informado(pagamentos[0].valor)) {
+        return arredondar(vNF);
+    }
+    return pagamentos.reduce((soma, pagamento) => arredondar(soma + Number(pagamento.valor || 0)), 0);
+}
+
+function montarCartao(cartao) {
+    if (!cartao?.integrado) {
+        return '<card><tpIntegra>2</tpIntegra></card>';
+    }
+
+    const cnpjReceb = String(cartao.cnpj_recebedor || '').replace(/\D/g, '');
+    return `<card>` +
+        `<tpIntegra>1</tpIntegra>` +
+        `<CNPJ>${String(cartao.cnpj_credenciadora).replace(/\D/g, '')}</CNPJ>` +
+        `<tBand>${String(cartao.bandeira).padStart(2, '0')}</tBand>` +
+        `<cAut>${escapeXml(String(cartao.autorizacao).substring(0, 128))}</cAut>` +
+        (cnpjReceb ? `<CNPJReceb>${cnpjReceb}</CNPJReceb>` : '') +
+        (cartao.id_terminal ? `<idTermPag>${escapeXml(String(cartao.id_terminal).substring(0, 40))}</idTermPag>` : '') +
+        `</card>`;
+}
+
+/**
+ * Monta o grupo <pag>
+ *
+ * @param {Object} dados - nota (pagamentos / pagamento)
+ * @param {Object} opcoes
+ * @param {number} opcoes.vNF - valor da nota
+ * @param {boolean} [opcoes.aPrazo] - com duplicatas: forma padrão boleto (15) e indPag 1
+ * @param {boolean} [opcoes.trocoObrigatorio] - NFC-e: vTroco sempre informado
+ * @param {boolean} [opcoes.semPagamento] - NF-e de ajuste/devolução: forma padrão 90 (sem pagamento)
+ */
+function montarPagamento(dados, { vNF, aPrazo = false, trocoObrigatorio = false, semPagamento = false }) {
+    const formaPadrao = obterFormaPadrao({ aPrazo, semPagamento });
+    const pagamentos = obterPagamentos(dados, formaPadrao);
+
+    const detPag = pagamentos.map(pagamento => {
+        const tPag = normalizarForma(pagamento.forma || formaPadrao);
+        // 90=sem pagamento exige vPag zerado
+        const vPag = tPag === SEM_PAGAMENTO
+            ? 0
+            : arredondar(informado(pagamento.valor) ? pagamento.valor : vNF);
+        const indPag = informado(pagamento.indicador)
+            ? String(pagamento.indicador)
+            : (aPrazo && tPag !== SEM_PAGAMENTO ? '1' : '');
+
+        return `<detPag>` +
+            (indPag ? `<indPag>${indPag}</indPag>` : '') +
+            `<tPag>${tPag}</tPag>` +
+            (pagamento.descricao ? `<xPag>${escapeXml(String(pagamento.descricao).substring(0, 60))}</xPag>` : '') +
+            `<vPag>${vPag.toFixed(2)}</vPag>` +
+            (pagamento.data ? `<dPag>${pagamento.data}</dPag>` : '') +
+            (FORMAS_COM_CARTAO.includes(tPag) || pagamento.cartao ? montarCartao(pagamento.cartao) : '') +
+            `</detPag>`;
+    }).join('');
+
+    const formas = pagamentos.map(pagamento => normalizarForma(pagamento.forma || formaPadrao));
+    const vTroco = formas.includes(SEM_PAGAMENTO)
+        ? 0
+        : Math.max(0, arredondar(somarPagamentos(pagamentos, vNF) - vNF));
+
+    const trocoXml = vTroco > 0 || trocoObrigatorio ? `<vTroco>${vTroco.toFixed(2)}</vTroco>` : '';
+
+    return `<pag>${detPag}${trocoXml}</pag>`;
+}
+
+module.exports = {
+    FORMAS_PAGAMENTO,
+    validarPagamentos,
+    montarPagamento,
+};
@@ -0,0 +1,242 @@
+/**
+ * Grupos de PIS, COFINS e IPI do item (layout 4.00)
+ *
+ * Entrada por item (todos opcionais):
+ *   item.pis / item.cofins = { cst, aliquota, base_calculo, quantidade, aliquota_valor }
+ *     aliquota em percentual (vBC × pPIS) ou aliquota_valor em reais por unidade (qBCProd × vAliqProd)
+ *   item.ipi = { cst, aliquota, base_calculo, quantidade, valor_unidade, enquadramento, cnpj_produtor }
+ *   item.ipi_devolvido = { percentual, valor } (NF-e de devolução: grupo impostoDevol)
+ *
+ * Sem `item.pis`/`item.cofins` mantém PISNT/COFINSNT CST 07; sem `item.ipi` o grupo IPI não é gerado
+ */
+
+const { arredondar } = require('./icms');
+const { informado, valor, decimal4, tag } = require('./xml-helpers');
+
+// PIS e COFINS usam a mesma tabela de CST
+const CST_ALIQ = ['01', '02'];
+const CST_QTDE = ['03'];
+const CST_NT = ['04', '05', '06', '07', '08', '09'];
+const CST_OUTR = ['49', '50', '51', '52', '53', '54', '55', '56', '60', '61', '62', '63', '64', '65', '66', '67',
+    '70', '71', '72', '73', '74', '75', '98', '99'];
+
+// IPI: tributado (IPITrib) ou não tributado (IPINT)
+const CST_IPI_TRIB = ['00', '49', '50', '99'];
+const CST_IPI_NT = ['01', '02', '03', '04', '05', '51', '52', '53', '54', '55'];
+
+// Código de enquadramento legal do IPI quando não informado (999 = tributação normal)
+const IPI_ENQUADRAMENTO_PADRAO = '999';
+
+function normalizarCST(cst, padrao) {
+    return String(cst || padrao).padStart(2, '0');
+}
+
+/**
+ * Valida item.pis / item.cofins
+ * Retorna a mensagem de erro ou null
+ */
+function validarContribuicao(dados, nome) {
+    if (!dados) {
+        return null;
+    }
+
+    const cst = normalizarCST(dados.cst, '');
+    if (![...CST_ALIQ, ...CST_QTDE, ...CST_NT, ...CST_OUTR].includes(cst)) {
+        return `CST de ${nome} inválido: ${dados.cst}`;
+    }
+    if (CST_ALIQ.includes(cst) && !informado(dados.aliquota)) {
+        return `CST ${cst} de ${nome} exige aliquota`;
+    }
+    if (CST_QTDE.includes(cst) && !informado(dados.aliquota_valor)) {
+        return `CST ${cst} de ${nome} exige aliquota_valor (valor por unidade)`;
+    }
+    if (CST_OUTR.includes(cst) && !informado(dados.aliquota) && !informado(dados.aliquota_valor)) {
+        return `CST ${cst} de ${nome} exige aliquota ou aliquota_valor`;
+    }
+
+    return null;
+}
+
+/**
+ * Valida item.ipi
+ * Retorna a mensagem de erro ou null
+ */
+function validarIPI(dados) {
+    if (!dados) {
+        return null;
+    }
+
+    const cst = normalizarCST(dados.cst, '');
+    if (![...CST_IPI_TRIB, ...CST_IPI_NT].includes(cst)) {
+        return `CST de IPI inválido: ${dados.cst}`;
+    }
+    if (CST_IPI_TRIB.includes(cst) && !informado(dados.aliquota) && !informado(dados.valor_unidade)) {
+        return `CST ${cst} de IPI exige aliquota ou valor_unidade`;
+    }
+    if (informado(dados.enquadramento) && !/^\d{3}$/.test(String(dados.enquadramento))) {
+        return 'Enquadramento do IPI deve ter 3 dígitos';
+    }
+
+    return null;
+}
+
+/**
+ * Valida PIS, COFINS e IPI do item
+ * Retorna a mensagem de erro ou null
+ */
+function validarTributosItem(item) {
+    return validarContribuicao(item.pis, 'PIS') ||
+        validarContribuicao(item.cofins, 'COFINS') ||
+        validarIPI(item.ipi) ||
+        validarIPIDevolvido(item.ipi_devolvido);
+}
+
+/**
+ * Valida item.ipi_devolvido (percentual da mercadoria devolvida e valor do IPI devolvido)
+ */
+function validarIPIDevolvido(dados) {
+    if (!dados) {
+        return null;
+    }
+
+    const percentual = Number(dados.percentual);
+    if (!informado(dados.percentual) || !(percentual > 0) || percentual > 100) {
+        return 'Percentual do IPI devolvido deve ser maior que 0 e até 100';
+    }
+    if (!informado(dados.valor) || !Number.isFinite(Number(dados.valor)) || Number(dados.valor) < 0) {
+        return 'Valor do IPI devolvido deve ser numérico não negativo';
+    }
+
+    return null;
+}
+
+/**
+ * Cálculo por alíquota (percentual sobre a base) ou por quantidade (valor por unidade)
+ */
+function calcularContribuicao(dados, item, valorBase) {
+    if (!informado(dados.aliquota) && informado(dados.aliquota_valor)) {
+        const qBCProd = Number(dados.quantidade ?? item.quantidade ?? 1);
+        const vAliqProd = Number(dados.aliquota_valor);
+        return { porQuantidade: true, qBCProd, vAliqProd, valor: arredondar(qBCProd * vAliqProd) };
+    }
+
+    const vBC = informado(dados.base_calculo) ? arredondar(dados.base_calculo) : arredondar(valorBase);
+    const aliquota = Number(dados.aliquota || 0);
+    return { porQuantidade: false, vBC, aliquota, valor: arredondar(vBC * aliquota / 100) };
+}
+
+/**
+ * Monta <PIS> ou <COFINS> (grupos Aliq, Qtde, NT e Outr)
+ *
+ * @param {string} nome - 'PIS' ou 'COFINS'
+ * @returns {{ xml: string, valor: number }}
+ */
+function montarContribuicao(nome, item, valorBase) {
+    const dados = item[nome.toLowerCase()];
+    if (!dados) {
+        return { xml: `<${nome}><${nome}NT><CST>07</CST></${nome}NT></${nome}>`, valor: 0 };
+    }
+
+    const cst = normalizarCST(dados.cst, '07');
+    if (CST_NT.includes(cst)) {
+        return { xml: `<${nome}><${nome}NT><CST>${cst}</CST></${nome}NT></${nome}>`, valor: 0 };
+    }
+
+    const calculo = calcularContribuicao(
+        CST_QTDE.includes(cst) ? { ...dados, aliquota: undefined } : dados,
+        item,
+        valorBase
+    );
+    const base = calculo.porQuantidade
+        ? tag('qBCProd', decimal4(calculo.qBCProd)) + tag('vAliqProd', decimal4(calculo.vAliqProd))
+        : tag('vBC', valor(calculo.vBC)) + tag(`p${nome}`, decimal4(calculo.aliquota));
+
+    let grupo;
+    if (CST_ALIQ.includes(cst)) {
+        grupo = `${nome}Aliq`;
+    } else if (CST_QTDE.includes(cst)) {
+        grupo = `${nome}Qtde`;
+    } else {
+        grupo = `${nome}Outr`;
+    }
+
+    return {
+        xml: `<${nome}><${grupo}>${tag('CST', cst)}${base}${tag(`v${nome}`, valor(calculo.valor))}</${grupo}></${nome}>`,
+        valor: calculo.valor,
+    };
+}
+
+function montarPIS(item, valorBase) {
+    return montarContribuicao('PIS', item, valorBase);
+}
+
+function montarCOFINS(item, valorBase) {
+    return montarContribuicao('COFINS', item, valorBase);
+}
+
+/**
+ * Monta <IPI> (IPITrib ou IPINT); sem item.ipi retorna xml vazio
+ *
+ * @returns {{ xml: string, valor: number }}
+ */
+function montarIPI(item, valorBase) {
+    const dados = item.ipi;
+    if (!dados) {
+        return { xml: '', valor: 0 };
+    }
+
+    const cst = normalizarCST(dados.cst, '');
+    const cnpjProd = (dados.cnpj_produtor || '').replace(/\D/g, '');
+    const inicio = (cnpjProd ? tag('CNPJProd', cnpjProd) : '') +
+        tag('cEnq', String(dados.enquadramento || IPI_ENQUADRAMENTO_PADRAO));
+
+    if (CST_IPI_NT.includes(cst)) {
+        return { xml: `<IPI>${inicio}<IPINT>${tag('CST', cst)}</IPINT></IPI>`, valor: 0 };
+    }
+
+    let base;
+    let vIPI;
+    if (!informado(dados.aliquota) && informado(dados.valor_unidade)) {
+        const qUnid = Number(dados.quantidade ?? item.quantidade ?? 1);
+        const vUnid = Number(dados.valor_unidade);
+        vIPI = arredondar(qUnid * vUnid);
+        base = tag('qUnid', decimal4(qUnid)) + tag('vUnid', decimal4(vUnid));
+    } else {
+        const vBC = informado(dados.base_calculo) ? arredondar(dados.base_calculo) : arredondar(valorBase);
+        const pIPI = Number(dados.aliquota || 0);
+        vIPI = arredondar(vBC * pIPI / 100);
+        base = tag('vBC', valor(vBC)) + tag('pIPI', decimal4(pIPI));
+    }
+
+    return {
+        xml: `<IPI>${inicio}<IPITrib>${tag('CST', cst)}${base}${tag('vIPI', valor(vIPI))}</IPITrib></IPI>`,
+        valor: vIPI,
+    };
+}
+
+/**
+ * Monta <impostoDevol> (IPI devolvido); sem item.ipi_devolvido retorna xml vazio
+ *
+ * @returns {{ xml: string, valor: number }}
+ */
+function montarIPIDevolvido(item) {
+    const dados = item.ipi_devolvido;
+    if (!dados) {
+        return { xml: '', valor: 0 };
+    }
+
+    const vIPIDevol = arredondar(dados.valor);
+    return {
+        xml: `<impostoDevol>${tag('pDevol', Number(dados.percentual).toFixed(2))}` +
+            `<IPI>${tag('vIPIDevol', valor(vIPIDevol))}</IPI></impostoDevol>`,
+        valor: vIPIDevol,
+    };
+}
+
+module.exports = {
+    validarTributosItem,
+    montarPIS,
+    montarCOFINS,
+    montarIPI,
+    montarIPIDevolvido,
+};
@@ -0,0 +1,130 @@
+/**
+ * Rateio de desconto, frete, seguro e outras despesas entre os itens da nota
+ *
+ * Valores da nota (desconto, frete, seguro, outras_despesas) são distribuídos
+ * proporcionalmente ao valor de cada item; a diferença de arredondamento fica no último item.
+ * Itens com o campo informado (item.desconto, item.frete...) usam o próprio valor e ficam fora do rateio.
+ */
+
+const { arredondar } = require('./icms');
+const { informado } = require('./xml-helpers');
+
+// Campo da entrada -> tag do item/ICMSTot
+const CAMPOS_RATEIO = {
+    frete: 'vFrete',
+    seguro: 'vSeg',
+    desconto: 'vDesc',
+    outras_despesas: 'vOutro',
+};
+
+/**
+ * Valida os valores da nota e dos itens
+ * Retorna a mensagem de erro ou null
+ */
+function validarRateio(dados, itens) {
+    for (const campo of Object.keys(CAMPOS_RATEIO)) {
+        const valores = [dados[campo], ...itens.map(item => item[campo])].filter(informado);
+        if (valores.some(v => !Number.isFinite(Number(v)) || Number(v) < 0)) {
+            return `${campo} deve ser um valor numérico não negativo`;
+        }
+
+        if (!informado(dados[campo])) {
+            continue;
+        }
+
+        const total = arredondar(dados[campo]);
+        const itensInformados = itens.filter(item => informado(item[campo]));
+        const somaInformados = arredondar(itensInformados.reduce((soma, item) => soma + Number(item[campo]), 0));
+
+        if (somaInformados > total) {
+            return `Soma de ${campo} informada nos itens (${somaInformados.toFixed(2)}) excede o ${campo} da nota (${total.toFixed(2)})`;
+        }
+        if (itensInformados.length === itens.length && somaInformados !== total) {
+            return `Soma de ${campo} dos itens (${somaInformados.toFixed(2)}) difere do ${campo} da nota (${total.toFixed(2)})`;
+        }
+    }
+
+    const rateio = ratearValores(dados, itens);
+    const indice = itens.findIndex((item, i) => rateio.itens[i].vDesc > arredondar(item.valor_total));
+    if (indice >= 0) {
+        return `Desconto do item ${indice + 1} (${rateio.itens[indice].vDesc.toFixed(2)}) maior que o valor do item`;
+    }
+
+    return null;
+}
+
+/**
+ * Distribui um valor entre os itens proporcionalmente ao valor de cada um
+ * A sobra do arredondamento vai para o último item do rateio
+ */
+function distribuir(total, valoresItens) {
+    const soma = valoresItens.reduce((acc, v) => acc + v, 0);
+    const partes = [];
+    let distribuido = 0;
+
+    valoresItens.forEach((v, i) => {
+        if (i === valoresItens.length - 1) {
+            partes.push(arredondar(total - distribuido));
+            return;
+        }
+        const parte = soma > 0 ? arredondar(total * v / soma) : arredondar(total / valoresItens.length);
+        distribuido = arredondar(distribuido + parte);
+        partes.push(parte);
+    });
+
+    return partes;
+}
+
+/**
+ * Calcula vFrete, vSeg, vDesc e vOutro de cada item e os totais da nota
+ *
+ * @param {Object} dados - nota (desconto, frete, seguro, outras_despesas)
+ * @param {Array} itens - itens da nota (valor_total e os mesmos campos por item)
+ * @returns {{ itens: Array<{vFrete, vSeg, vDesc, vOutro}>, totais: {vFrete, vSeg, vDesc, vOutro} }}
+ */
+function ratearValores(dados, itens) {
+    const resultado = itens.map(() => ({ vFrete: 0, vSeg: 0, vDesc: 0, vOutro: 0 }));
+    const totais = { vFrete: 0, vSeg: 0, vDesc: 0, vOutro: 0 };
+
+    Object.entries(CAMPOS_RATEIO).forEach(([campo, tag]) => {
+        const semValor = [];
+        let somaInformados = 0;
+
+        itens.forEach((item, i) => {
+            if (informado(item[campo])) {
+                resultado[i][tag] = arredondar(item[campo]);
+                somaInformados = arredondar(somaInformados + resultado[i][tag]);
+            } else {
+                semValor.push(i);
+            }
+        });
+
+        if (informado(dados[campo]) && semValor.length > 0) {
+            const restante = Math.max(0, arredondar(Number(dados[campo]) - somaInformados));
+            const partes = distribuir(restante, semValor.map(i => parseFloat(itens[i].valor_total || 0)));
+            semValor.forEach((i, n) => {
+                resultado[i][tag] = partes[n];
+            });
+        }
+
+        totais[tag] = arredondar(resultado.reduce((soma, r) => soma + r[tag], 0));
+    });
+
+    return { itens: resultado, totais };
+}
+
+/**
+ * Tags vFrete/vSeg/vDesc/vOutro do <prod> (só as maiores que zero, na ordem do layout)
+ */
+function montarValoresItemXml(valores) {
+    return ['vFrete', 'vSeg', 'vDesc', 'vOutro']
+        .filter(tag => valores[tag] > 0)
+        .map(tag => `<${tag}>${valores[tag].toFixed(2)}</${tag}>`)
+        .join('');
+}
+
+module.exports = {
+    validarRateio,
+    ratearValores,
+    montarValoresItemXml,
+};
@@ -0,0 +1,77 @@
+/**
+ * Comunicação com os webservices da SEFAZ compartilhada pelas rotas de NF-e e NFC-e:
+ * timeouts, idLote, detecção de falha de comunicação e XML/envelope de eventos
+ */
+
+const { gerarDataHora, ufPorCodigo } = require('./data-hora');
+
+// Timeout padrão para requisições SEFAZ
+const SEFAZ_TIMEOUT = parseInt(process.env.SEFAZ_TIMEOUT) || 30000;
+
+// Consulta do recibo (NFeRetAutorizacao) no modo assíncrono: tentativas e espera máxima entre elas
+const RET_AUTORIZACAO_TENTATIVAS = parseInt(process.env.SEFAZ_RET_TENTATIVAS) || 5;
+const RET_AUTORIZACAO_ESPERA_MAX = 8000;
+
+/**
+ * Tempo máximo de uma autorização assíncrona: envio do lote mais todas as consultas do recibo,
+ * cada uma após a espera máxima, com um SEFAZ_TIMEOUT de folga (assinatura, chamada interna)
+ */
+function tempoMaximoAutorizacaoAssincrona() {
+    return SEFAZ_TIMEOUT * 2 + RET_AUTORIZACAO_TENTATIVAS * (RET_AUTORIZACAO_ESPERA_MAX + SEFAZ_TIMEOUT);
+}
+
+// Último idLote gerado neste processo (compartilhado pelas rotas)
+let ultimoIdLote = 0;
+
+/**
+ * Gera idLote numérico com 15 dígitos, único no processo mesmo com requisições concorrentes:
+ * timestamp em ms seguido de 2 dígitos de sequência, sempre maior que o anterior
+ */
+function gerarIdLote() {
+    ultimoIdLote = Math.max(Date.now() * 100, ultimoIdLote + 1);
+    return String(ultimoIdLote).padStart(15, '0');
+}
+
+/**
+ * Indica se o erro do axios foi de comunicação com a SEFAZ (sem resposta ou HTTP 5xx)
+ */
+function isFalhaComunicacao(error) {
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)
+        || /timeout/i.test(error.message);
+}
+
+/**
+ * Monta o XML de um evento da NF-e/NFC-e (sem assinatura)
+ * detEvento recebe apenas o conteúdo interno específico de cada tipo de evento
+ * dhEvento no fuso da UF do autor (padrão: UF da chave)
+ */
+function montarXmlEvento({ cOrgao, tpAmb, CNPJ, CPF, chNFe, tpEvento, nSeqEvento, detEvento, uf, dhEvento = gerarDataHora(uf || ufPorCodigo(chNFe.substring(0, 2))) }) {
+    const idEvento = `ID${tpEvento}${chNFe}${String(nSeqEvento).padStart(2, '0')}`;
+    // Autor do evento: CNPJ ou CPF (manifestação de destinatário pessoa física)
+    const autorXml = CPF ? `<CPF>${CPF}</CPF>` : `<CNPJ>${CNPJ}</CNPJ>`;
+
+    const xmlEvento = `<evento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><infEvento Id="${idEvento}"><cOrgao>${cOrgao}</cOrgao><tpAmb>${tpAmb}</tpAmb>${autorXml}<chNFe>${chNFe}</chNFe><dhEvento>${dhEvento}</dhEvento><tpEvento>${tpEvento}</tpEvento><nSeqEvento>${nSeqEvento}</nSeqEvento><verEvento>1.00</verEvento><detEvento versao="1.00">${detEvento}</detEvento></infEvento></evento>`;
+
+    return { xmlEvento, idEvento };
+}
+
+/**
+ * Envelope SOAP do RecepcaoEvento - envEvento contém o evento assinado
+ */
+function gerarEnvelopeEvento(idLote, xmlEventoAssinado) {
+    return `<?xml version="1.0" encoding="UTF-8"?><soap12:Envelope xmlns:soap12="http://www.w3.org/2003/05/soap-envelope"><soap12:Body><nfeDadosMsg xmlns="http://www.portalfiscal.inf.br/nfe/wsdl/NFeRecepcaoEvento4"><envEvento xmlns="http://www.portalfiscal.inf.br/nfe" versao="1.00"><idLote>${idLote}</idLote>${xmlEventoAssinado}</envEvento></nfeDadosMsg></soap12:Body></soap12:Envelope>`;
+}
+
+module.exports = {
+    SEFAZ_TIMEOUT,
+    RET_AUTORIZACAO_TENTATIVAS,
+    RET_AUTORIZACAO_ESPERA_MAX,
+    tempoMaximoAutorizacaoAssincrona,
+    gerarIdLote,
+    isFalhaComunicacao,
+    montarXmlEvento,
+    gerarEnvelopeEvento,
+};
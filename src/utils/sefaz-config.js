@@ -21,10 +21,21 @@ const SVAN_ESTADOS = ['MA', 'PA', 'PI'];
 // Estados que usam SVRS (SEFAZ Virtual RS)
 const SVRS_ESTADOS = ['AC', 'AL', 'AP', 'CE', 'DF', 'ES', 'PB', 'RJ', 'RN', 'RO', 'RR', 'SC', 'SE', 'TO'];
 
+// Estados com autorizador NFC-e (modelo 65) próprio; os demais autorizam NFC-e no SVRS
+const NFCE_PROPRIA = ['AM', 'GO', 'MG', 'MS', 'MT', 'PR', 'RS', 'SP'];
+
+// Contingência SVC: estados atendidos pelo SVC-AN (tpEmis=6); os demais usam o SVC-RS (tpEmis=7)
+const SVC_AN_ESTADOS = ['AC', 'AL', 'AP', 'DF', 'ES', 'MG', 'PB', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'];
+const SVC_RS_ESTADOS = ['AM', 'BA', 'CE', 'GO', 'MA', 'MS', 'MT', 'PA', 'PE', 'PI', 'PR'];
+
+// Código do órgão Ambiente Nacional (cOrgao dos eventos de manifestação, EPEC, etc)
+const COD_AMBIENTE_NACIONAL = '91';
+
 // URLs das SEFAZs
 const SEFAZ_URLS = {
     // ============== SEFAZ com Webservice Próprio ==============
     'AM': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/NfeStatusServico4',
             producao: 'https://nfe.sefaz.am.gov.br/services2/services/NfeStatusServico4',
@@ -33,10 +44,56 @@ const SEFAZ_URLS = {
             homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/NfeAutorizacao4',
             producao: 'https://nfe.sefaz.am.gov.br/services2/services/NfeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/NfeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.am.gov.br/services2/services/NfeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/NfeConsulta4',
             producao: 'https://nfe.sefaz.am.gov.br/services2/services/NfeConsulta4',
         },
+        RecepcaoEvento: {
+            homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/RecepcaoEvento4',
+            producao: 'https://nfe.sefaz.am.gov.br/services2/services/RecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://homnfe.sefaz.am.gov.br/services2/services/NfeInutilizacao4',
+            producao: 'https://nfe.sefaz.am.gov.br/services2/services/NfeInutilizacao4',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/NfeStatusServico4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/NfeStatusServico4',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/NfeAutorizacao4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/NfeAutorizacao4',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/NfeRetAutorizacao4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/NfeRetAutorizacao4',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/NfeConsulta4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/NfeConsulta4',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/RecepcaoEvento4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/RecepcaoEvento4',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://homnfce.sefaz.am.gov.br/nfce-services/services/NfeInutilizacao4',
+            producao: 'https://nfce.sefaz.am.gov.br/nfce-services/services/NfeInutilizacao4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://sistemas.sefaz.am.gov.br/nfceweb-hom/consultarNFCe.jsp',
+            producao: 'https://sistemas.sefaz.am.gov.br/nfceweb/consultarNFCe.jsp',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.am.gov.br/nfce/consulta',
+            producao: 'www.sefaz.am.gov.br/nfce/consulta',
+        },
     },
     'BA': {
         NfeStatusServico: {
@@ -47,12 +104,38 @@ const SEFAZ_URLS = {
             homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/NFeAutorizacao4/NFeAutorizacao4.asmx',
             producao: 'https://nfe.sefaz.ba.gov.br/webservices/NFeAutorizacao4/NFeAutorizacao4.asmx',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfe.sefaz.ba.gov.br/webservices/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
             producao: 'https://nfe.sefaz.ba.gov.br/webservices/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/CadConsultaCadastro4/CadConsultaCadastro4.asmx',
+            producao: 'https://nfe.sefaz.ba.gov.br/webservices/CadConsultaCadastro4/CadConsultaCadastro4.asmx',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+            producao: 'https://nfe.sefaz.ba.gov.br/webservices/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://hnfe.sefaz.ba.gov.br/webservices/NFeInutilizacao4/NFeInutilizacao4.asmx',
+            producao: 'https://nfe.sefaz.ba.gov.br/webservices/NFeInutilizacao4/NFeInutilizacao4.asmx',
+        },
+        // NFC-e autorizada pelo SVRS - aqui só as URLs do QR Code da UF
+        NfceQRCode: {
+            homologacao: 'http://hnfe.sefaz.ba.gov.br/servicos/nfce/qrcode.aspx',
+            producao: 'http://nfe.sefaz.ba.gov.br/servicos/nfce/qrcode.aspx',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'http://hinternet.sefaz.ba.gov.br/nfce/consulta',
+            producao: 'http://www.sefaz.ba.gov.br/nfce/consulta',
+        },
     },
     'GO': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeStatusServico4',
             producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeStatusServico4',
@@ -61,12 +144,63 @@ const SEFAZ_URLS = {
             homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeAutorizacao4',
             producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeConsultaProtocolo4',
             producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeConsultaProtocolo4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/CadConsultaCadastro4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/CadConsultaCadastro4',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeRecepcaoEvento4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeRecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeInutilizacao4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeInutilizacao4',
+        },
+        // === NFC-e (modelo 65) - mesmos endpoints da NF-e ===
+        NfceStatusServico: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeStatusServico4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeStatusServico4',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeAutorizacao4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeAutorizacao4',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeRetAutorizacao4',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeConsultaProtocolo4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeConsultaProtocolo4',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeRecepcaoEvento4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeRecepcaoEvento4',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://homolog.sefaz.go.gov.br/nfe/services/NFeInutilizacao4',
+            producao: 'https://nfe.sefaz.go.gov.br/nfe/services/NFeInutilizacao4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://nfewebhomolog.sefaz.go.gov.br/nfeweb/sites/nfce/danfeNFCe',
+            producao: 'https://nfeweb.sefaz.go.gov.br/nfeweb/sites/nfce/danfeNFCe',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.go.gov.br/nfce/consulta',
+            producao: 'www.sefaz.go.gov.br/nfce/consulta',
+        },
     },
     'MG': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeStatusServico4',
             producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeStatusServico4',
@@ -75,10 +209,60 @@ const SEFAZ_URLS = {
             homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeAutorizacao4',
             producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeRetAutorizacao4',
+            producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeConsultaProtocolo4',
             producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeConsultaProtocolo4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/CadConsultaCadastro4',
+            producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/CadConsultaCadastro4',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeRecepcaoEvento4',
+            producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeRecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://hnfe.fazenda.mg.gov.br/nfe2/services/NFeInutilizacao4',
+            producao: 'https://nfe.fazenda.mg.gov.br/nfe2/services/NFeInutilizacao4',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeStatusServico4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeStatusServico4',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeAutorizacao4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeAutorizacao4',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeRetAutorizacao4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeRetAutorizacao4',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeConsultaProtocolo4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeConsultaProtocolo4',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeRecepcaoEvento4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeRecepcaoEvento4',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://hnfce.fazenda.mg.gov.br/nfce/services/NFeInutilizacao4',
+            producao: 'https://nfce.fazenda.mg.gov.br/nfce/services/NFeInutilizacao4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://portalsped.fazenda.mg.gov.br/portalnfce/sistema/qrcode.xhtml',
+            producao: 'https://portalsped.fazenda.mg.gov.br/portalnfce/sistema/qrcode.xhtml',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'https://hportalsped.fazenda.mg.gov.br/portalnfce',
+            producao: 'https://portalsped.fazenda.mg.gov.br/portalnfce',
+        },
     },
     'MS': {
         // === NF-e (modelo 55) ===
@@ -90,10 +274,18 @@ const SEFAZ_URLS = {
             homologacao: 'https://hom.nfe.sefaz.ms.gov.br/ws/NFeAutorizacao4',
             producao: 'https://nfe.sefaz.ms.gov.br/ws/NFeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://hom.nfe.sefaz.ms.gov.br/ws/NFeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.ms.gov.br/ws/NFeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://hom.nfe.sefaz.ms.gov.br/ws/NFeConsultaProtocolo4',
             producao: 'https://nfe.sefaz.ms.gov.br/ws/NFeConsultaProtocolo4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://hom.nfe.sefaz.ms.gov.br/ws/CadConsultaCadastro4',
+            producao: 'https://nfe.sefaz.ms.gov.br/ws/CadConsultaCadastro4',
+        },
         RecepcaoEvento: {
             homologacao: 'https://hom.nfe.sefaz.ms.gov.br/ws/NFeRecepcaoEvento4',
             producao: 'https://nfe.sefaz.ms.gov.br/ws/NFeRecepcaoEvento4',
@@ -111,6 +303,10 @@ const SEFAZ_URLS = {
             homologacao: 'https://hom.nfce.sefaz.ms.gov.br/ws/NFeAutorizacao4',
             producao: 'https://nfce.sefaz.ms.gov.br/ws/NFeAutorizacao4',
         },
+        NfceRetAutorizacao: {
+            homologacao: 'https://hom.nfce.sefaz.ms.gov.br/ws/NFeRetAutorizacao4',
+            producao: 'https://nfce.sefaz.ms.gov.br/ws/NFeRetAutorizacao4',
+        },
         NfceConsultaProtocolo: {
             homologacao: 'https://hom.nfce.sefaz.ms.gov.br/ws/NFeConsultaProtocolo4',
             producao: 'https://nfce.sefaz.ms.gov.br/ws/NFeConsultaProtocolo4',
@@ -134,6 +330,7 @@ const SEFAZ_URLS = {
         },
     },
     'MT': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/NfeStatusServico4',
             producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/NfeStatusServico4',
@@ -142,10 +339,60 @@ const SEFAZ_URLS = {
             homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/NfeAutorizacao4',
             producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/NfeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/NfeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/NfeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/NfeConsulta4',
             producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/NfeConsulta4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/CadConsultaCadastro4',
+            producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/CadConsultaCadastro4',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/RecepcaoEvento4',
+            producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/RecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfews/v2/services/NfeInutilizacao4',
+            producao: 'https://nfe.sefaz.mt.gov.br/nfews/v2/services/NfeInutilizacao4',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/NfeStatusServico4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/NfeStatusServico4',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/NfeAutorizacao4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/NfeAutorizacao4',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/NfeRetAutorizacao4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/NfeRetAutorizacao4',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/NfeConsulta4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/NfeConsulta4',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/RecepcaoEvento4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/RecepcaoEvento4',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://homologacao.sefaz.mt.gov.br/nfcews/services/NfeInutilizacao4',
+            producao: 'https://nfce.sefaz.mt.gov.br/nfcews/services/NfeInutilizacao4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://homologacao.sefaz.mt.gov.br/nfce/consultanfce',
+            producao: 'http://www.sefaz.mt.gov.br/nfce/consultanfce',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'http://homologacao.sefaz.mt.gov.br/nfce/consultanfce',
+            producao: 'http://www.sefaz.mt.gov.br/nfce/consultanfce',
+        },
     },
     'PE': {
         NfeStatusServico: {
@@ -156,12 +403,38 @@ const SEFAZ_URLS = {
             homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/NFeAutorizacao4',
             producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/NFeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/NFeRetAutorizacao4',
+            producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/NFeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/NFeConsultaProtocolo4',
             producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/NFeConsultaProtocolo4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/CadConsultaCadastro4',
+            producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/CadConsultaCadastro4',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/NFeRecepcaoEvento4',
+            producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/NFeRecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://nfehomolog.sefaz.pe.gov.br/nfe-service/services/NFeInutilizacao4',
+            producao: 'https://nfe.sefaz.pe.gov.br/nfe-service/services/NFeInutilizacao4',
+        },
+        // NFC-e autorizada pelo SVRS - aqui só as URLs do QR Code da UF
+        NfceQRCode: {
+            homologacao: 'http://nfcehomolog.sefaz.pe.gov.br/nfce/consulta',
+            producao: 'http://nfce.sefaz.pe.gov.br/nfce/consulta',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'nfce.sefaz.pe.gov.br/nfce/consulta',
+            producao: 'nfce.sefaz.pe.gov.br/nfce/consulta',
+        },
     },
     'PR': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeStatusServico4',
             producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeStatusServico4',
@@ -170,12 +443,63 @@ const SEFAZ_URLS = {
             homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeAutorizacao4',
             producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeAutorizacao4',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeRetAutorizacao4',
+            producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeRetAutorizacao4',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeConsultaProtocolo4',
             producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeConsultaProtocolo4',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/CadConsultaCadastro4',
+            producao: 'https://nfe.sefa.pr.gov.br/nfe/CadConsultaCadastro4',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeRecepcaoEvento4',
+            producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeRecepcaoEvento4',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://homologacao.nfe.sefa.pr.gov.br/nfe/NFeInutilizacao4',
+            producao: 'https://nfe.sefa.pr.gov.br/nfe/NFeInutilizacao4',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeStatusServico4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeStatusServico4',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeAutorizacao4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeAutorizacao4',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeRetAutorizacao4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeRetAutorizacao4',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeConsultaProtocolo4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeConsultaProtocolo4',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeRecepcaoEvento4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeRecepcaoEvento4',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://homologacao.nfce.sefa.pr.gov.br/nfce/NFeInutilizacao4',
+            producao: 'https://nfce.sefa.pr.gov.br/nfce/NFeInutilizacao4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.fazenda.pr.gov.br/nfce/qrcode',
+            producao: 'http://www.fazenda.pr.gov.br/nfce/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'http://www.fazenda.pr.gov.br/nfce/consulta',
+            producao: 'http://www.fazenda.pr.gov.br/nfce/consulta',
+        },
     },
     'RS': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
             producao: 'https://nfe.sefazrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
@@ -184,12 +508,63 @@ const SEFAZ_URLS = {
             homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
             producao: 'https://nfe.sefazrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfe.sefazrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
             producao: 'https://nfe.sefazrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://cad.sefazrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+            producao: 'https://cad.sefazrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+            producao: 'https://nfe.sefazrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://nfe-homologacao.sefazrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+            producao: 'https://nfe.sefazrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://nfce-homologacao.sefazrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+            producao: 'https://nfce.sefazrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx',
+            producao: 'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.rs.gov.br/nfce/consulta',
+            producao: 'www.sefaz.rs.gov.br/nfce/consulta',
+        },
     },
     'SP': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nfestatusservico4.asmx',
             producao: 'https://nfe.fazenda.sp.gov.br/ws/nfestatusservico4.asmx',
@@ -198,10 +573,280 @@ const SEFAZ_URLS = {
             homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nfeautorizacao4.asmx',
             producao: 'https://nfe.fazenda.sp.gov.br/ws/nfeautorizacao4.asmx',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nferetautorizacao4.asmx',
+            producao: 'https://nfe.fazenda.sp.gov.br/ws/nferetautorizacao4.asmx',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nfeconsultaprotocolo4.asmx',
             producao: 'https://nfe.fazenda.sp.gov.br/ws/nfeconsultaprotocolo4.asmx',
         },
+        NfeConsultaCadastro: {
+            homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/cadconsultacadastro4.asmx',
+            producao: 'https://nfe.fazenda.sp.gov.br/ws/cadconsultacadastro4.asmx',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nferecepcaoevento4.asmx',
+            producao: 'https://nfe.fazenda.sp.gov.br/ws/nferecepcaoevento4.asmx',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://homologacao.nfe.fazenda.sp.gov.br/ws/nfeinutilizacao4.asmx',
+            producao: 'https://nfe.fazenda.sp.gov.br/ws/nfeinutilizacao4.asmx',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeStatusServico4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeStatusServico4.asmx',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeAutorizacao4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeAutorizacao4.asmx',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeRetAutorizacao4.asmx',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeConsultaProtocolo4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeConsultaProtocolo4.asmx',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeRecepcaoEvento4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeRecepcaoEvento4.asmx',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://homologacao.nfce.fazenda.sp.gov.br/ws/NFeInutilizacao4.asmx',
+            producao: 'https://nfce.fazenda.sp.gov.br/ws/NFeInutilizacao4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://www.homologacao.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx',
+            producao: 'https://www.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'https://www.homologacao.nfce.fazenda.sp.gov.br/consulta',
+            producao: 'https://www.nfce.fazenda.sp.gov.br/consulta',
+        },
+    },
+
+    // ============== Somente URLs da UF (QR Code NFC-e, cadastro) ==============
+    // Demais webservices ficam no autorizador compartilhado (SVRS/SVAN), exceto o cadastro:
+    // UF sem NfeConsultaCadastro aqui não oferece a consulta
+    // urlChave conforme tabela da SEFAZ (algumas UFs publicam sem protocolo)
+    'AC': {
+        // Cadastro de contribuintes no SVRS
+        NfeConsultaCadastro: {
+            homologacao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+            producao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.hml.sefaznet.ac.gov.br/nfce/qrcode',
+            producao: 'http://www.sefaznet.ac.gov.br/nfce/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.hml.sefaznet.ac.gov.br/nfce/consulta',
+            producao: 'www.sefaznet.ac.gov.br/nfce/consulta',
+        },
+    },
+    'AL': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://nfce.sefaz.al.gov.br/QRCode/consultarNFCe.jsp',
+            producao: 'http://nfce.sefaz.al.gov.br/QRCode/consultarNFCe.jsp',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.al.gov.br/nfce/consulta',
+            producao: 'www.sefaz.al.gov.br/nfce/consulta',
+        },
+    },
+    'AP': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://www.sefaz.ap.gov.br/nfcehml/nfce.php',
+            producao: 'https://www.sefaz.ap.gov.br/nfce/nfcep.php',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.ap.gov.br/nfce/consulta',
+            producao: 'www.sefaz.ap.gov.br/nfce/consulta',
+        },
+    },
+    'CE': {
+        NfeConsultaCadastro: {
+            homologacao: 'https://nfeh.sefaz.ce.gov.br/nfe4/services/CadConsultaCadastro4',
+            producao: 'https://nfe.sefaz.ce.gov.br/nfe4/services/CadConsultaCadastro4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://nfceh.sefaz.ce.gov.br/pages/ShowNFCe.html',
+            producao: 'http://nfce.sefaz.ce.gov.br/pages/ShowNFCe.html',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.ce.gov.br/nfce/consulta',
+            producao: 'www.sefaz.ce.gov.br/nfce/consulta',
+        },
+    },
+    'DF': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.fazenda.df.gov.br/nfce/qrcode',
+            producao: 'http://www.fazenda.df.gov.br/nfce/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.fazenda.df.gov.br/nfce/consulta',
+            producao: 'www.fazenda.df.gov.br/nfce/consulta',
+        },
+    },
+    'ES': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://homologacao.sefaz.es.gov.br/ConsultaNFCe/qrcode.aspx',
+            producao: 'http://app.sefaz.es.gov.br/ConsultaNFCe/qrcode.aspx',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.es.gov.br/nfce/consulta',
+            producao: 'www.sefaz.es.gov.br/nfce/consulta',
+        },
+    },
+    'MA': {
+        NfeConsultaCadastro: {
+            homologacao: 'https://sistemas1.sefaz.ma.gov.br/wscadastro/CadConsultaCadastro4',
+            producao: 'https://sistemas1.sefaz.ma.gov.br/wscadastro/CadConsultaCadastro4',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.hom.nfce.sefaz.ma.gov.br/portal/consultarNFCe.jsp',
+            producao: 'http://www.nfce.sefaz.ma.gov.br/portal/consultarNFCe.jsp',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.ma.gov.br/nfce/consulta',
+            producao: 'www.sefaz.ma.gov.br/nfce/consulta',
+        },
+    },
+    'PA': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://appnfc.sefa.pa.gov.br/portal-homologacao/view/consultas/nfce/nfceForm.seam',
+            producao: 'https://appnfc.sefa.pa.gov.br/portal/view/consultas/nfce/nfceForm.seam',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefa.pa.gov.br/nfce/consulta',
+            producao: 'www.sefa.pa.gov.br/nfce/consulta',
+        },
+    },
+    'PB': {
+        // Cadastro de contribuintes no SVRS
+        NfeConsultaCadastro: {
+            homologacao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+            producao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.sefaz.pb.gov.br/nfcehom',
+            producao: 'http://www.sefaz.pb.gov.br/nfce',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.pb.gov.br/nfcehom',
+            producao: 'www.sefaz.pb.gov.br/nfce/consulta',
+        },
+    },
+    'PI': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://webas.sefaz.pi.gov.br/nfceweb-homologacao/consultarNFCe.jsf',
+            producao: 'http://webas.sefaz.pi.gov.br/nfceweb/consultarNFCe.jsf',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.pi.gov.br/nfce/consulta',
+            producao: 'www.sefaz.pi.gov.br/nfce/consulta',
+        },
+    },
+    'RJ': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://consultadfe.fazenda.rj.gov.br/consultaNFCe/QRCode',
+            producao: 'https://consultadfe.fazenda.rj.gov.br/consultaNFCe/QRCode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.fazenda.rj.gov.br/nfce/consulta',
+            producao: 'www.fazenda.rj.gov.br/nfce/consulta',
+        },
+    },
+    'RN': {
+        // Cadastro de contribuintes no SVRS
+        NfeConsultaCadastro: {
+            homologacao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+            producao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://hom.nfce.set.rn.gov.br/consultarNFCe.aspx',
+            producao: 'http://nfce.set.rn.gov.br/consultarNFCe.aspx',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.set.rn.gov.br/nfce/consulta',
+            producao: 'www.set.rn.gov.br/nfce/consulta',
+        },
+    },
+    'RO': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.nfce.sefin.ro.gov.br/consultanfce/consulta.jsp',
+            producao: 'http://www.nfce.sefin.ro.gov.br/consultanfce/consulta.jsp',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefin.ro.gov.br/nfce/consulta',
+            producao: 'www.sefin.ro.gov.br/nfce/consulta',
+        },
+    },
+    'RR': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://200.174.88.103:8080/nfce/servlet/qrcode',
+            producao: 'https://www.sefaz.rr.gov.br/nfce/servlet/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'www.sefaz.rr.gov.br/nfce/consulta',
+            producao: 'www.sefaz.rr.gov.br/nfce/consulta',
+        },
+    },
+    'SC': {
+        // Cadastro de contribuintes no SVRS
+        NfeConsultaCadastro: {
+            homologacao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+            producao: 'https://cad.svrs.rs.gov.br/ws/cadconsultacadastro/cadconsultacadastro4.asmx',
+        },
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'https://hom.sat.sef.sc.gov.br/nfce/consulta',
+            producao: 'https://sat.sef.sc.gov.br/nfce/consulta',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'https://hom.sat.sef.sc.gov.br/nfce/consulta',
+            producao: 'https://sat.sef.sc.gov.br/nfce/consulta',
+        },
+    },
+    'SE': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://www.hom.nfe.se.gov.br/nfce/qrcode',
+            producao: 'http://www.nfce.se.gov.br/nfce/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'http://www.hom.nfe.se.gov.br/nfce/consulta',
+            producao: 'http://www.nfce.se.gov.br/nfce/consulta',
+        },
+    },
+    'TO': {
+        // URLs do QR Code NFC-e
+        NfceQRCode: {
+            homologacao: 'http://homologacao.sefaz.to.gov.br/nfce/qrcode',
+            producao: 'http://www.sefaz.to.gov.br/nfce/qrcode',
+        },
+        NfceConsultaPublica: {
+            homologacao: 'http://homologacao.sefaz.to.gov.br/nfce/consulta.jsf',
+            producao: 'http://www.sefaz.to.gov.br/nfce/consulta',
+        },
     },
 
     // ============== SVAN (SEFAZ Virtual Ambiente Nacional) ==============
@@ -214,14 +859,87 @@ const SEFAZ_URLS = {
             homologacao: 'https://hom.sefazvirtual.fazenda.gov.br/NFeAutorizacao4/NFeAutorizacao4.asmx',
             producao: 'https://www.sefazvirtual.fazenda.gov.br/NFeAutorizacao4/NFeAutorizacao4.asmx',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://hom.sefazvirtual.fazenda.gov.br/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+            producao: 'https://www.sefazvirtual.fazenda.gov.br/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://hom.sefazvirtual.fazenda.gov.br/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
             producao: 'https://www.sefazvirtual.fazenda.gov.br/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
         },
+        RecepcaoEvento: {
+            homologacao: 'https://hom.sefazvirtual.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+            producao: 'https://www.sefazvirtual.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://hom.sefazvirtual.fazenda.gov.br/NFeInutilizacao4/NFeInutilizacao4.asmx',
+            producao: 'https://www.sefazvirtual.fazenda.gov.br/NFeInutilizacao4/NFeInutilizacao4.asmx',
+        },
+    },
+
+    // ============== AN (Ambiente Nacional) ==============
+    'AN': {
+        RecepcaoEvento: {
+            homologacao: 'https://hom1.nfe.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+            producao: 'https://www.nfe.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+        },
+        NFeDistribuicaoDFe: {
+            homologacao: 'https://hom1.nfe.fazenda.gov.br/NFeDistribuicaoDFe/NFeDistribuicaoDFe.asmx',
+            producao: 'https://www1.nfe.fazenda.gov.br/NFeDistribuicaoDFe/NFeDistribuicaoDFe.asmx',
+        },
+    },
+
+    // ============== SVC-AN (Contingência Virtual Ambiente Nacional) ==============
+    'SVC-AN': {
+        NfeStatusServico: {
+            homologacao: 'https://hom.svc.fazenda.gov.br/NFeStatusServico4/NFeStatusServico4.asmx',
+            producao: 'https://www.svc.fazenda.gov.br/NFeStatusServico4/NFeStatusServico4.asmx',
+        },
+        NfeAutorizacao: {
+            homologacao: 'https://hom.svc.fazenda.gov.br/NFeAutorizacao4/NFeAutorizacao4.asmx',
+            producao: 'https://www.svc.fazenda.gov.br/NFeAutorizacao4/NFeAutorizacao4.asmx',
+        },
+        NfeRetAutorizacao: {
+            homologacao: 'https://hom.svc.fazenda.gov.br/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+            producao: 'https://www.svc.fazenda.gov.br/NFeRetAutorizacao4/NFeRetAutorizacao4.asmx',
+        },
+        NfeConsultaProtocolo: {
+            homologacao: 'https://hom.svc.fazenda.gov.br/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
+            producao: 'https://www.svc.fazenda.gov.br/NFeConsultaProtocolo4/NFeConsultaProtocolo4.asmx',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://hom.svc.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+            producao: 'https://www.svc.fazenda.gov.br/NFeRecepcaoEvento4/NFeRecepcaoEvento4.asmx',
+        },
+    },
+
+    // ============== SVC-RS (Contingência Virtual RS) ==============
+    'SVC-RS': {
+        NfeStatusServico: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+        },
+        NfeAutorizacao: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+        },
+        NfeRetAutorizacao: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+        },
+        NfeConsultaProtocolo: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+        },
+        RecepcaoEvento: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+        },
     },
 
     // ============== SVRS (SEFAZ Virtual RS) ==============
     'SVRS': {
+        // === NF-e (modelo 55) ===
         NfeStatusServico: {
             homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
             producao: 'https://nfe.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
@@ -230,38 +948,136 @@ const SEFAZ_URLS = {
             homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
             producao: 'https://nfe.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
         },
+        NfeRetAutorizacao: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+        },
         NfeConsultaProtocolo: {
             homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
             producao: 'https://nfe.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
         },
+        RecepcaoEvento: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+        },
+        NfeInutilizacao: {
+            homologacao: 'https://nfe-homologacao.svrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+            producao: 'https://nfe.svrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+        },
+        // === NFC-e (modelo 65) ===
+        NfceStatusServico: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/NfeStatusServico/NfeStatusServico4.asmx',
+        },
+        NfceAutorizacao: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/NfeAutorizacao/NFeAutorizacao4.asmx',
+        },
+        NfceRetAutorizacao: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/NfeRetAutorizacao/NFeRetAutorizacao4.asmx',
+        },
+        NfceConsultaProtocolo: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/NfeConsulta/NfeConsulta4.asmx',
+        },
+        NfceRecepcaoEvento: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/recepcaoevento/recepcaoevento4.asmx',
+        },
+        NfceInutilizacao: {
+            homologacao: 'https://nfce-homologacao.svrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+            producao: 'https://nfce.svrs.rs.gov.br/ws/nfeinutilizacao/nfeinutilizacao4.asmx',
+        },
     },
 };
 
+/**
+ * Retorna o autorizador (chave de SEFAZ_URLS) da UF para o serviço
+ * Serviços Nfce* seguem o autorizador da NFC-e, os demais o da NF-e
+ */
+function getAutorizador(uf, servico) {
+    const ufUpper = uf.toUpperCase();
+    if (!UF_CODIGOS[ufUpper]) {
+        throw new Error(`UF inválida: ${uf}`);
+    }
+
+    if (servico.startsWith('Nfce')) {
+        return NFCE_PROPRIA.includes(ufUpper) ? ufUpper : 'SVRS';
+    }
+    if (SEFAZ_PROPRIA.includes(ufUpper)) {
+        return ufUpper;
+    }
+    if (SVAN_ESTADOS.includes(ufUpper)) {
+        return 'SVAN';
+    }
+    return 'SVRS';
+}
+
 /**
  * Obtém as URLs da SEFAZ para uma UF e serviço específico
+ * Com tpEmis 6/7 retorna o autorizador de contingência (SVC-AN/SVC-RS)
+ * Lança erro se o serviço não é oferecido para a UF (sem fallback para outro autorizador)
  */
-function getSefazUrls(uf, servico) {
+function getSefazUrls(uf, servico, tpEmis) {
     const ufUpper = uf.toUpperCase();
 
-    // Verificar se tem SEFAZ própria
-    if (SEFAZ_PROPRIA.includes(ufUpper) && SEFAZ_URLS[ufUpper]) {
-        return SEFAZ_URLS[ufUpper][servico] || SEFAZ_URLS['SVRS'][servico];
+    // Contingência SVC (tpEmis 6 = SVC-AN, 7 = SVC-RS)
+    if (String(tpEmis) === '6' || String(tpEmis) === '7') {
+        const autorizador = String(tpEmis) === '6' ? 'SVC-AN' : 'SVC-RS';
+        const urls = SEFAZ_URLS[autorizador][servico];
+        if (!urls) {
+            throw new Error(`Serviço ${servico} não disponível no ${autorizador}`);
+        }
+        return urls;
     }
 
-    // Verificar se usa SVAN
-    if (SVAN_ESTADOS.includes(ufUpper)) {
-        return SEFAZ_URLS['SVAN'][servico];
+    const autorizador = getAutorizador(ufUpper, servico);
+
+    // URLs próprias da UF (QR Code NFC-e, cadastro) têm prioridade sobre o autorizador compartilhado
+    // Consulta cadastro só por UF: o SVRS não atende o cadastro de todas as UFs que autoriza
+    const urls = SEFAZ_URLS[ufUpper][servico] ||
+        (servico !== 'NfeConsultaCadastro' ? SEFAZ_URLS[autorizador][servico] : null);
+    if (!urls) {
+        throw new Error(`Serviço ${servico} não disponível para ${ufUpper} (autorizador ${autorizador})`);
     }
+    return urls;
+}
 
-    // Por padrão, usa SVRS
-    return SEFAZ_URLS['SVRS'][servico];
+/**
+ * Retorna o autorizador de contingência (SVC-AN ou SVC-RS) e o tpEmis correspondente à UF
+ */
+function getContingenciaSvc(uf) {
+    const ufUpper = uf.toUpperCase();
+    if (SVC_RS_ESTADOS.includes(ufUpper)) {
+        return { autorizador: 'SVC-RS', tpEmis: '7' };
+    }
+    return { autorizador: 'SVC-AN', tpEmis: '6' };
+}
+
+/**
+ * Obtém as URLs de um serviço do Ambiente Nacional (manifestação, EPEC, distribuição)
+ */
+function getAmbienteNacionalUrls(servico) {
+    const urls = SEFAZ_URLS['AN'][servico];
+    if (!urls) {
+        throw new Error(`Serviço ${servico} não disponível no Ambiente Nacional`);
+    }
+    return urls;
 }
 
 module.exports = {
     UF_CODIGOS,
+    COD_AMBIENTE_NACIONAL,
     SEFAZ_PROPRIA,
     SVAN_ESTADOS,
     SVRS_ESTADOS,
+    NFCE_PROPRIA,
+    SVC_AN_ESTADOS,
+    SVC_RS_ESTADOS,
     SEFAZ_URLS,
+    getAutorizador,
     getSefazUrls,
+    getContingenciaSvc,
+    getAmbienteNacionalUrls,
 };
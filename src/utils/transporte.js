@@ -0,0 +1,167 @@
+/**
+ * Grupo de transporte da NF-e (<transp>): modalidade do frete, transportadora, veículo/reboques e volumes
+ *
+ * Entrada em `transporte` (sem ela: <modFrete>9</modFrete>, sem ocorrência de transporte):
+ *   modalidade_frete: 0=remetente (CIF), 1=destinatário (FOB), 2=terceiros,
+ *                     3=próprio remetente, 4=próprio destinatário, 9=sem frete
+ *   transportadora: { documento, nome, inscricao_estadual, endereco, cidade, uf }
+ *   veiculo: { placa, uf, rntc }
+ *   reboques: [{ placa, uf, rntc }] (até 5)
+ *   volumes: [{ quantidade, especie, marca, numeracao, peso_liquido, peso_bruto, lacres: [] }]
+ */
+
+const { UF_CODIGOS } = require('./sefaz-config');
+const { informado, tagTexto } = require('./xml-helpers');
+
+const MODALIDADES_FRETE = ['0', '1', '2', '3', '4', '9'];
+
+const REBOQUES_MAX = 5;
+const VOLUMES_MAX = 5000;
+
+// Placa antiga (AAA9999) ou Mercosul (AAA9A99)
+const PLACA_REGEX = /^[A-Z]{3}\d[A-Z0-9]\d{2}$/;
+
+function normalizarPlaca(placa) {
+    return String(placa || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function validarVeiculo(veiculo, descricao) {
+    if (!PLACA_REGEX.test(normalizarPlaca(veiculo.placa))) {
+        return `Placa do ${descricao} inválida: ${veiculo.placa}`;
+    }
+    if (informado(veiculo.uf) && !UF_CODIGOS[String(veiculo.uf).toUpperCase()]) {
+        return `UF do ${descricao} inválida: ${veiculo.uf}`;
+    }
+    return null;
+}
+
+/**
+ * Valida os dados de transporte
+ * Retorna a mensagem de erro ou null
+ */
+function validarTransporte(transporte) {
+    if (!transporte) {
+        return null;
+    }
+
+    const modFrete = String(transporte.modalidade_frete ?? '9');
+    if (!MODALIDADES_FRETE.includes(modFrete)) {
+        return `modalidade_frete inválida: ${transporte.modalidade_frete} (0, 1, 2, 3, 4 ou 9)`;
+    }
+
+    const temTransporte = transporte.transportadora || transporte.veiculo ||
+        (transporte.reboques || []).length > 0 || (transporte.volumes || []).length > 0;
+    if (modFrete === '9' && temTransporte) {
+        return 'modalidade_frete 9 (sem frete) não admite transportadora, veículo ou volumes';
+    }
+
+    const transportadora = transporte.transportadora;
+    if (transportadora) {
+        const documento = String(transportadora.documento || '').replace(/\D/g, '');
+        if (documento && documento.length !== 11 && documento.length !== 14) {
+            return 'Documento da transportadora deve ser CPF (11) ou CNPJ (14 dígitos)';
+        }
+        if (informado(transportadora.uf) && !UF_CODIGOS[String(transportadora.uf).toUpperCase()]) {
+            return `UF da transportadora inválida: ${transportadora.uf}`;
+        }
+    }
+
+    if (transporte.veiculo) {
+        const erro = validarVeiculo(transporte.veiculo, 'veículo');
+        if (erro) {
+            return erro;
+        }
+    }
+
+    const reboques = transporte.reboques || [];
+    if (reboques.length > REBOQUES_MAX) {
+        return `Máximo de ${REBOQUES_MAX} reboques`;
+    }
+    for (const reboque of reboques) {
+        const erro = validarVeiculo(reboque, 'reboque');
+        if (erro) {
+            return erro;
+        }
+    }
+
+    const volumes = transporte.volumes || [];
+    if (volumes.length > VOLUMES_MAX) {
+        return `Máximo de ${VOLUMES_MAX} volumes`;
+    }
+    for (const volume of volumes) {
+        const numericos = ['quantidade', 'peso_liquido', 'peso_bruto'].filter(campo => informado(volume[campo]));
+        if (numericos.some(campo => !Number.isFinite(Number(volume[campo])) || Number(volume[campo]) < 0)) {
+            return 'Quantidade e pesos dos volumes devem ser numéricos não negativos';
+        }
+    }
+
+    return null;
+}
+
+function montarVeiculo(grupo, veiculo) {
+    return `<${grupo}>` +
+        `<placa>${normalizarPlaca(veiculo.placa)}</placa>` +
+        (informado(veiculo.uf) ? `<UF>${String(veiculo.uf).toUpperCase()}</UF>` : '') +
+        tagTexto('RNTC', veiculo.rntc, 20) +
+        `</${grupo}>`;
+}
+
+function montarVolume(volume) {
+    const lacres = (volume.lacres || [])
+        .map(lacre => `<lacres>${tagTexto('nLacre', lacre, 60)}</lacres>`)
+        .join('');
+
+    return `<vol>` +
+        (informado(volume.quantidade) ? `<qVol>${parseInt(volume.quantidade)}</qVol>` : '') +
+        tagTexto('esp', volume.especie, 60) +
+        tagTexto('marca', volume.marca, 60) +
+        tagTexto('nVol', volume.numeracao, 60) +
+        (informado(volume.peso_liquido) ? `<pesoL>${Number(volume.peso_liquido).toFixed(3)}</pesoL>` : '') +
+        (informado(volume.peso_bruto) ? `<pesoB>${Number(volume.peso_bruto).toFixed(3)}</pesoB>` : '') +
+        lacres +
+        `</vol>`;
+}
+
+/**
+ * Monta o grupo <transp>
+ */
+function montarTransporte(transporte) {
+    if (!transporte) {
+        return '<transp><modFrete>9</modFrete></transp>';
+    }
+
+    let xml = `<transp><modFrete>${String(transporte.modalidade_frete ?? '9')}</modFrete>`;
+
+    const transportadora = transporte.transportadora;
+    if (transportadora) {
+        const documento = String(transportadora.documento || '').replace(/\D/g, '');
+        const idTag = documento.length === 11 ? 'CPF' : 'CNPJ';
+        const ie = String(transportadora.inscricao_estadual || '').toUpperCase();
+        xml += `<transporta>` +
+            (documento ? `<${idTag}>${documento}</${idTag}>` : '') +
+            tagTexto('xNome', transportadora.nome, 60) +
+            (ie ? `<IE>${ie === 'ISENTO' ? 'ISENTO' : ie.replace(/\D/g, '')}</IE>` : '') +
+            tagTexto('xEnder', transportadora.endereco, 60) +
+            tagTexto('xMun', transportadora.cidade, 60) +
+            (informado(transportadora.uf) ? `<UF>${String(transportadora.uf).toUpperCase()}</UF>` : '') +
+            `</transporta>`;
+    }
+
+    if (transporte.veiculo) {
+        xml += montarVeiculo('veicTransp', transporte.veiculo);
+    }
+    (transporte.reboques || []).forEach(reboque => {
+        xml += montarVeiculo('reboque', reboque);
+    });
+    (transporte.volumes || []).forEach(volume => {
+        xml += montarVolume(volume);
+    });
+
+    return xml + '</transp>';
+}
+
+module.exports = {
+    MODALIDADES_FRETE,
+    validarTransporte,
+    montarTransporte,
+};
@@ -0,0 +1,63 @@
+/**
+ * Formatação de valores e montagem de tags comuns aos grupos do XML da NF-e/NFC-e
+ */
+
+/**
+ * Campo presente na entrada (0 e false contam como informados)
+ */
+function informado(v) {
+    return v !== undefined && v !== null && v !== '';
+}
+
+/**
+ * Valor monetário com 2 casas decimais
+ */
+function valor(v) {
+    return Number(v || 0).toFixed(2);
+}
+
+/**
+ * Valor com 4 casas decimais (alíquotas percentuais, quantidades e valores por unidade)
+ */
+function decimal4(v) {
+    return Number(v || 0).toFixed(4);
+}
+
+/**
+ * Escapa caracteres especiais de texto informado pelo cliente (ausente = vazio)
+ */
+function escapeXml(str) {
+    if (str === undefined || str === null) {
+        return '';
+    }
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function tag(nome, conteudo) {
+    return `<${nome}>${conteudo}</${nome}>`;
+}
+
+/**
+ * Tag com texto (omitida se vazio), limitada ao tamanho do layout
+ */
+function tagTexto(nome, texto, tamanho) {
+    if (!informado(texto)) {
+        return '';
+    }
+    return tag(nome, escapeXml(String(texto).trim().substring(0, tamanho)));
+}
+
+module.exports = {
+    informado,
+    valor,
+    decimal4,
+    percentual: decimal4,
+    escapeXml,
+    tag,
+    tagTexto,
+};
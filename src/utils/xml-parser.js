@@ -0,0 +1,102 @@
+/**
+ * Utilitário para leitura de XML da SEFAZ
+ * Usa o DOM do xmldom (já usado na assinatura) em vez de expressões regulares
+ */
+
+const { DOMParser, XMLSerializer } = require('xmldom');
+
+/**
+ * Faz o parse de uma string XML e retorna o Document
+ */
+function parseXml(xml) {
+    return new DOMParser({
+        errorHandler: { warning: () => {}, error: () => {}, fatalError: (e) => { throw new Error(e); } },
+    }).parseFromString(String(xml || ''), 'text/xml');
+}
+
+/**
+ * Lista os elementos descendentes com o nome local informado (ignora namespace)
+ */
+function buscarElementos(node, tag) {
+    if (!node) return [];
+    return Array.from(node.getElementsByTagNameNS('*', tag));
+}
+
+/**
+ * Retorna o primeiro elemento descendente com o nome local informado
+ */
+function buscarElemento(node, tag) {
+    return buscarElementos(node, tag)[0] || null;
+}
+
+/**
+ * Retorna o texto do primeiro elemento descendente com o nome informado
+ */
+function obterTexto(node, tag) {
+    const el = buscarElemento(node, tag);
+    return el ? el.textContent : null;
+}
+
+/**
+ * Retorna apenas os filhos diretos que são elementos
+ */
+function filhosElemento(node) {
+    return Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+}
+
+/**
+ * Converte um elemento em objeto JS
+ * - elementos só com texto viram string
+ * - elementos repetidos viram array
+ * - atributos ficam com prefixo "@" (ex: "@versao", "@Id")
+ */
+function elementoParaObjeto(node) {
+    if (!node) return null;
+
+    const filhos = filhosElemento(node);
+    const atributos = Array.from(node.attributes || []).filter(attr => !/^xmlns/.test(attr.name));
+
+    if (filhos.length === 0 && atributos.length === 0) {
+        return node.textContent;
+    }
+
+    const obj = {};
+    atributos.forEach(attr => {
+        obj[`@${attr.name}`] = attr.value;
+    });
+
+    filhos.forEach(filho => {
+        const nome = filho.localName || filho.nodeName;
+        const valor = elementoParaObjeto(filho);
+
+        if (obj[nome] === undefined) {
+            obj[nome] = valor;
+        } else if (Array.isArray(obj[nome])) {
+            obj[nome].push(valor);
+        } else {
+            obj[nome] = [obj[nome], valor];
+        }
+    });
+
+    if (filhos.length === 0 && node.textContent) {
+        obj['#text'] = node.textContent;
+    }
+
+    return obj;
+}
+
+/**
+ * Serializa um elemento de volta para string XML
+ */
+function serializarElemento(node) {
+    return node ? new XMLSerializer().serializeToString(node) : null;
+}
+
+module.exports = {
+    parseXml,
+    buscarElementos,
+    buscarElemento,
+    obterTexto,
+    elementoParaObjeto,
+    serializarElemento,
+};